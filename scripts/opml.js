@@ -0,0 +1,149 @@
+/**
+ * Import feeds from OPML into config/sources.json, or export the source list as OPML.
+ *
+ * Usage:
+ *   npm run opml -- import <file.opml> [--dry-run] [--category <default>]
+ *   npm run opml -- export [file.opml]
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseOpml, mergeFeeds, buildOpml } from '../src/lib/opml.js';
+import { canonicalizeUrl } from '../src/lib/urls.js';
+import { loadTwitterConfig, loadResearchers, timelineUrl } from '../src/adapters/twitter.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const configDir = path.resolve(__dirname, '..', 'config');
+const sourcesFile = path.join(configDir, 'sources.json');
+
+function usage() {
+  console.log('Usage:');
+  console.log('  npm run opml -- import <file.opml> [--dry-run] [--category <default>]');
+  console.log('  npm run opml -- export [file.opml]');
+  process.exit(1);
+}
+
+function optionValue(args, flag) {
+  const idx = args.indexOf(flag);
+  return idx >= 0 ? args[idx + 1] : undefined;
+}
+
+function bridgeBases() {
+  try {
+    return loadTwitterConfig(configDir).bridges.map(b => canonicalizeUrl(b.base_url));
+  } catch (_) {
+    return [];
+  }
+}
+
+function importOpml(file, args) {
+  if (!file || !fs.existsSync(file)) {
+    console.error(`❌ OPML file not found: ${file || '(none given)'}`);
+    usage();
+  }
+
+  const sourcesData = JSON.parse(fs.readFileSync(sourcesFile, 'utf-8'));
+  let incoming = parseOpml(fs.readFileSync(file, 'utf-8'));
+  console.log(`📥 Read ${incoming.length} feeds from ${path.basename(file)}`);
+
+  // Twitter bridge timelines belong in twitter-researchers.json, not rss_feeds
+  const bridges = bridgeBases();
+  if (bridges.length > 0) {
+    const before = incoming.length;
+    incoming = incoming.filter(f => !bridges.some(b => canonicalizeUrl(f.url).startsWith(b)));
+    if (incoming.length < before) {
+      console.log(`   Skipped ${before - incoming.length} Twitter bridge timelines`);
+    }
+  }
+
+  const { feeds, added, duplicates } = mergeFeeds(sourcesData.rss_feeds || [], incoming, {
+    defaultCategory: optionValue(args, '--category'),
+  });
+
+  for (const feed of added) {
+    console.log(`  + ${feed.name} [${feed.category}] ${feed.url}`);
+  }
+  for (const dup of duplicates) {
+    console.log(`  = ${dup.name} (already have "${dup.existing}")`);
+  }
+
+  console.log(`\n${added.length} new, ${duplicates.length} already present`);
+
+  if (args.includes('--dry-run')) {
+    console.log('Dry run — sources.json not changed');
+    return;
+  }
+  if (added.length === 0) return;
+
+  sourcesData.rss_feeds = feeds;
+  fs.writeFileSync(sourcesFile, JSON.stringify(sourcesData, null, 2) + '\n');
+  console.log(`✅ Updated ${sourcesFile}`);
+
+  const newCategories = [...new Set(added.map(f => f.category))]
+    .filter(c => !(sourcesData.rss_feeds || []).some(f => !added.includes(f) && f.category === c));
+  if (newCategories.length > 0) {
+    console.log(`ℹ️  New categories: ${newCategories.join(', ')} — see "Categories" in docs/CUSTOMIZATION.md`);
+  }
+}
+
+function exportOpml(file) {
+  const sourcesData = JSON.parse(fs.readFileSync(sourcesFile, 'utf-8'));
+
+  const byCategory = new Map();
+  for (const feed of sourcesData.rss_feeds || []) {
+    const category = feed.category || 'news';
+    if (!byCategory.has(category)) byCategory.set(category, []);
+    byCategory.get(category).push({ text: feed.name, title: feed.name, type: 'rss', xmlUrl: feed.url });
+  }
+
+  let researchers = [];
+  try {
+    researchers = loadResearchers(configDir);
+  } catch (error) {
+    console.warn(`⚠️  Could not read twitter-researchers.json: ${error.message}`);
+  }
+
+  const groups = [
+    ...[...byCategory].map(([folder, items]) => ({ folder, items })),
+    {
+      folder: 'Twitter',
+      items: researchers.map(r => ({
+        text: `${r.name} (@${r.handle})`,
+        title: `${r.name} (@${r.handle})`,
+        type: 'rss',
+        xmlUrl: timelineUrl(r),
+        htmlUrl: `https://x.com/${r.handle}`,
+      })),
+    },
+    {
+      // No feed URL — they arrive by email — but listed so the reading setup knows about them
+      folder: 'Newsletters',
+      items: (sourcesData.newsletter_sources || []).map(n => ({
+        text: n.name,
+        title: n.name,
+        type: 'newsletter',
+        description: n.note,
+      })),
+    },
+  ];
+
+  const opml = buildOpml('The Guttenberg Press sources', groups);
+
+  if (file) {
+    fs.writeFileSync(file, opml);
+    const total = groups.reduce((sum, g) => sum + g.items.length, 0);
+    console.log(`✅ Exported ${total} sources to ${file}`);
+  } else {
+    process.stdout.write(opml);
+  }
+}
+
+const [command, file, ...rest] = process.argv.slice(2);
+
+if (command === 'import') {
+  importOpml(file, rest);
+} else if (command === 'export') {
+  exportOpml(file && !file.startsWith('--') ? file : null);
+} else {
+  usage();
+}
@@ -0,0 +1,84 @@
+/**
+ * List and manage "Send to Paper" queue items.
+ *
+ * Usage:
+ *   npm run queue                        Pending items (what the next paper will consider)
+ *   npm run queue -- --all               Every item, any status
+ *   npm run queue -- --status <status>   pending, consumed, expired or rejected
+ *   npm run queue -- reject <id> [reason]
+ *   npm run queue -- restore <id>        Back to pending, with a fresh carry-over window
+ */
+import { readQueueFiles, updateQueueItem, QUEUE_STATUSES } from '../src/lib/paper-queue.js';
+
+const STATUS_MARKS = { pending: '⏳', consumed: '✓', expired: '⌛', rejected: '✗' };
+
+function usage() {
+  console.log('Usage:');
+  console.log('  npm run queue [-- --all | --status <status>]');
+  console.log('  npm run queue -- reject <id> [reason]');
+  console.log('  npm run queue -- restore <id>');
+  process.exit(1);
+}
+
+function optionValue(args, flag) {
+  const idx = args.indexOf(flag);
+  return idx >= 0 ? args[idx + 1] : undefined;
+}
+
+function shortTime(iso) {
+  return iso ? iso.replace('T', ' ').substring(0, 16) : '—';
+}
+
+function listQueue(args) {
+  const status = optionValue(args, '--status');
+  if (status && !QUEUE_STATUSES.includes(status)) {
+    console.error(`❌ Unknown status "${status}" — use ${QUEUE_STATUSES.join(', ')}`);
+    process.exit(1);
+  }
+  const showAll = args.includes('--all');
+  const wanted = showAll ? QUEUE_STATUSES : [status || 'pending'];
+
+  const items = Object.values(readQueueFiles()).flat();
+  const counts = Object.fromEntries(QUEUE_STATUSES.map(s => [s, items.filter(i => i.status === s).length]));
+  console.log(`Send to Paper queue: ${QUEUE_STATUSES.map(s => `${counts[s]} ${s}`).join(', ')}\n`);
+
+  const shown = items
+    .filter(i => wanted.includes(i.status))
+    .sort((a, b) => a.queued_at.localeCompare(b.queued_at));
+
+  if (shown.length === 0) {
+    console.log(showAll ? 'The queue is empty.' : `No ${wanted[0]} items.`);
+    return;
+  }
+
+  for (const item of shown) {
+    console.log(`${STATUS_MARKS[item.status]} ${item.id}  ${item.status.padEnd(8)}  queued ${shortTime(item.queued_at)}  [${item.source || 'Queue Item'}]`);
+    console.log(`   ${item.title || '(untitled)'}`);
+    if (item.link) console.log(`   ${item.link}`);
+    if (item.doug_note) console.log(`   💬 ${item.doug_note.substring(0, 100)}`);
+    if (item.status === 'consumed') console.log(`   → in the ${item.paper_date || '?'} paper`);
+    if (item.reason) console.log(`   → ${item.reason}`);
+  }
+}
+
+function setStatus(id, status, reason) {
+  if (!id) usage();
+  const item = updateQueueItem(id, status, { reason });
+  if (!item) {
+    console.error(`❌ No queue item with id ${id}`);
+    process.exit(1);
+  }
+  console.log(`✅ ${item.id} is now ${item.status}: "${item.title}"`);
+}
+
+const [command, ...rest] = process.argv.slice(2);
+
+if (!command || command.startsWith('--')) {
+  listQueue(process.argv.slice(2));
+} else if (command === 'reject') {
+  setStatus(rest[0], 'rejected', rest.slice(1).join(' ') || 'rejected by hand');
+} else if (command === 'restore') {
+  setStatus(rest[0], 'pending', null);
+} else {
+  usage();
+}
@@ -0,0 +1,52 @@
+/**
+ * Re-run the fetch stage (fetch → dedup → extract) against recorded HTTP fixtures.
+ *
+ * Usage: npm run replay-fetch -- [fixture-dir]
+ *   fixture-dir defaults to the most recent recording under data/http-fixtures/
+ *
+ * Record a night with: HTTP_FIXTURES=record npm run nightly
+ */
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const recordingsDir = path.resolve(__dirname, '../data/http-fixtures');
+
+function latestRecording() {
+  if (!fs.existsSync(recordingsDir)) return null;
+  const dirs = fs.readdirSync(recordingsDir)
+    .filter(d => fs.existsSync(path.join(recordingsDir, d, 'manifest.json')))
+    .sort();
+  return dirs.length > 0 ? path.join(recordingsDir, dirs[dirs.length - 1]) : null;
+}
+
+const fixtureDir = process.argv[2] ? path.resolve(process.argv[2]) : latestRecording();
+
+if (!fixtureDir || !fs.existsSync(fixtureDir)) {
+  console.error('❌ No recording found');
+  console.error('Record one with: HTTP_FIXTURES=record npm run nightly');
+  process.exit(1);
+}
+
+process.env.HTTP_FIXTURES = 'replay';
+process.env.HTTP_FIXTURES_DIR = fixtureDir;
+
+const { default: fetchSources } = await import('../src/modules/fetch-sources.js');
+const { default: dedupArticles } = await import('../src/modules/dedup-articles.js');
+const { default: extractArticles } = await import('../src/modules/extract-articles.js');
+
+console.log(`🔁 Replaying fetch stage from ${fixtureDir}\n`);
+
+const fetched = await fetchSources();
+const articles = await extractArticles(dedupArticles(fetched));
+
+const outFile = path.join(fixtureDir, 'replay-result.json');
+fs.writeFileSync(outFile, JSON.stringify(articles, null, 2));
+
+const missing = fetched.source_outcomes.filter(o => /No recorded response/.test(o.error || ''));
+console.log(`Articles: ${articles.articles.length} (${fetched.articles.length} before dedup), scores: ${articles.scores.length}`);
+console.log(`Recency drops: ${fetched.recency_drops.length}`);
+console.log(`Failed sources: ${fetched.source_outcomes.filter(o => o.status === 'error' || o.status === 'timeout').length} (${missing.length} not in the recording)`);
+console.log(`\n✅ Wrote ${outFile}`);
@@ -11,6 +11,9 @@ const envFile = path.join(projectDir, '.env');
 const papersDir = path.join(projectDir, 'data', 'papers');
 const feedbackDir = path.join(projectDir, 'data', 'feedback');
 const sourcesFile = path.join(projectDir, 'config', 'sources.json');
+const sourceHealthFile = path.join(projectDir, 'data', 'source-health.json');
+const bridgeHealthFile = path.join(projectDir, 'data', 'bridge-health.json');
+const inboxQuarantineFile = path.join(projectDir, 'data', 'inbox-quarantine.json');
 
 function maskValue(value) {
   if (!value) return '(not set)';
@@ -152,6 +155,77 @@ function checkFeeds() {
   }
 }
 
+function checkSourceHealth() {
+  console.log('\nSource Health:');
+  if (!fs.existsSync(sourceHealthFile)) {
+    console.log('  ✗ No source health data yet (runs after the first nightly fetch)');
+    return;
+  }
+
+  try {
+    const ledger = JSON.parse(fs.readFileSync(sourceHealthFile, 'utf-8'));
+    const records = Object.values(ledger);
+    const quarantined = records.filter((r) => r.quarantined);
+    const failing = records.filter((r) => !r.quarantined && r.consecutive_failures > 0);
+    const healthy = records.length - quarantined.length - failing.length;
+
+    console.log(`  ✓ ${healthy} healthy, ${failing.length} failing, ${quarantined.length} quarantined`);
+
+    quarantined.forEach((r) => {
+      const lastSuccess = r.last_success ? r.last_success.split('T')[0] : 'never';
+      console.log(`    ✗ ${r.source} (${r.type}) — quarantined until ${r.quarantined_until.split('T')[0]}, last success ${lastSuccess}`);
+      console.log(`        ${r.last_error}`);
+    });
+
+    failing.forEach((r) => {
+      console.log(`    ! ${r.source} (${r.type}) — ${r.consecutive_failures} failure(s) in a row: ${r.last_error}`);
+    });
+
+    const quiet = records.filter((r) => !r.quarantined && r.avg_items !== null && r.avg_items < 1);
+    if (quiet.length > 0) {
+      console.log(`    Low volume (< 1 item/run avg): ${quiet.map((r) => r.source).join(', ')}`);
+    }
+  } catch (error) {
+    console.log(`  ✗ Error reading source health: ${error.message}`);
+  }
+}
+
+function checkBridgeHealth() {
+  if (!fs.existsSync(bridgeHealthFile)) return;
+
+  console.log('\nTwitter Bridges:');
+  try {
+    const ledger = JSON.parse(fs.readFileSync(bridgeHealthFile, 'utf-8'));
+    Object.values(ledger)
+      .sort((a, b) => b.score - a.score)
+      .forEach((r) => {
+        const cooling = r.cooling_until && new Date(r.cooling_until) > new Date();
+        const mark = cooling ? '✗' : r.consecutive_failures > 0 ? '!' : '✓';
+        const latency = r.avg_latency_ms !== null ? `, ~${r.avg_latency_ms}ms` : '';
+        console.log(`  ${mark} ${r.name} (${r.type}) — score ${r.score.toFixed(2)}${latency}${cooling ? `, cooling down until ${r.cooling_until.replace('T', ' ').substring(0, 16)}` : ''}`);
+      });
+  } catch (error) {
+    console.log(`  ✗ Error reading bridge health: ${error.message}`);
+  }
+}
+
+function checkInboxQuarantine() {
+  if (!fs.existsSync(inboxQuarantineFile)) return;
+
+  console.log('\nInbox Quarantine:');
+  try {
+    const records = JSON.parse(fs.readFileSync(inboxQuarantineFile, 'utf-8'));
+    const weekAgo = Date.now() - 7 * 24 * 60 * 60 * 1000;
+    const recent = records.filter(r => new Date(r.quarantined_at).getTime() > weekAgo);
+    console.log(`  ${recent.length > 0 ? '!' : '✓'} ${recent.length} email(s) refused in the last 7 days (${records.length} total)`);
+    recent.slice(-5).forEach((r) => {
+      console.log(`    • ${r.quarantined_at.replace('T', ' ').substring(0, 16)} "${r.subject}" — ${r.reason}`);
+    });
+  } catch (error) {
+    console.log(`  ✗ Error reading inbox quarantine: ${error.message}`);
+  }
+}
+
 console.log('╔════════════════════════════════════════════════╗');
 console.log('║         Daily Paper - System Status            ║');
 console.log('╚════════════════════════════════════════════════╝\n');
@@ -161,5 +235,8 @@ checkLaunchd();
 checkLastPaperRun();
 checkLastFeedback();
 checkFeeds();
+checkSourceHealth();
+checkBridgeHealth();
+checkInboxQuarantine();
 
 console.log('\n');
@@ -123,6 +123,9 @@ TELEGRAM_CHAT_ID=
 GMAIL_ADDRESS=
 GMAIL_APP_PASSWORD=
 
+# Browser "Send to Paper" intake (npm start); any long random string
+INTAKE_TOKEN=
+
 # Optional: Customize your paper
 PAPER_TIMEZONE=America/New_York
 PAPER_CATEGORIES=business,technology,science
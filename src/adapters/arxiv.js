@@ -0,0 +1,203 @@
+import fs from 'fs';
+import path from 'path';
+import * as cheerio from 'cheerio';
+import { createLogger } from '../lib/logger.js';
+import { httpGet } from '../lib/http-fixtures.js';
+import { toArticle } from '../lib/article-schema.js';
+
+const logger = createLogger('adapter-arxiv');
+
+const API_URL = 'https://export.arxiv.org/api/query';
+
+const DEFAULTS = {
+  categories: [],
+  keywords: [],
+  weight: 0.5,
+  // Papers with a followed researcher among the authors, or from a followed lab
+  followed_weight: 0.9,
+  max_items: 15
+};
+
+/**
+ * arXiv API search query: any of the categories, narrowed by any of the
+ * keywords in the title or abstract.
+ *
+ * @param {object} query - Entry from arxiv_queries (categories, keywords)
+ * @returns {string}
+ */
+export function searchQuery(query) {
+  const categories = (query.categories || []).map(c => `cat:${c}`);
+  const keywords = (query.keywords || []).flatMap(k => {
+    const term = /\s/.test(k) ? `"${k}"` : k;
+    return [`ti:${term}`, `abs:${term}`];
+  });
+
+  const parts = [categories, keywords].filter(p => p.length > 0).map(p => `(${p.join(' OR ')})`);
+  if (parts.length === 0) {
+    throw new Error(`arXiv query "${query.name}" needs categories or keywords`);
+  }
+  return parts.join(' AND ');
+}
+
+/**
+ * API URL for a query, newest submissions first.
+ */
+export function queryUrl(query, maxItems = DEFAULTS.max_items) {
+  const params = new URLSearchParams({
+    search_query: searchQuery(query),
+    sortBy: 'submittedDate',
+    sortOrder: 'descending',
+    max_results: String(query.max_items ?? maxItems)
+  });
+  return `${API_URL}?${params}`;
+}
+
+function normalizeName(name) {
+  return String(name || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase().replace(/[^a-z\s-]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Researchers and labs followed in twitter-researchers.json.
+ *
+ * @returns {{ researchers: string[], labs: string[] }}
+ */
+export function loadFollowed(configDir) {
+  const file = path.join(configDir, 'twitter-researchers.json');
+  if (!fs.existsSync(file)) return { researchers: [], labs: [] };
+  const { researchers = [] } = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  return {
+    researchers: researchers.filter(r => r.enabled !== false && r.name).map(r => r.name),
+    labs: [...new Set(researchers.filter(r => r.org).map(r => r.org))]
+  };
+}
+
+// Comment phrasings that state where the work was done ("Work done while at Anthropic")
+const AFFILIATION_COMMENT = /\b(?:work (?:was )?(?:done|performed|conducted)(?: while| during an internship)? at|while (?:at|interning at)|affiliated with)\s+([^.;()]+)/gi;
+
+/**
+ * Which followed researchers wrote a paper, and which followed labs it comes
+ * from. Labs count only in author affiliations or a comment that states an
+ * affiliation — an abstract that benchmarks "models from OpenAI and
+ * Anthropic" isn't from either.
+ */
+export function matchFollowed(paper, followed = { researchers: [], labs: [] }) {
+  const authors = new Set(paper.authors.map(normalizeName));
+  const researchers = followed.researchers.filter(name => authors.has(normalizeName(name)));
+
+  const stated = [...String(paper.comment || '').matchAll(AFFILIATION_COMMENT)].map(m => m[1]);
+  const text = [...paper.affiliations, ...stated].join(' ');
+  const labs = followed.labs.filter(lab => new RegExp(`\\b${escapeRegExp(lab)}\\b`, 'i').test(text));
+
+  return { researchers, labs };
+}
+
+function cleanText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Parse an arXiv API Atom response into papers.
+ *
+ * @param {string} xml
+ * @returns {Array<{ arxiv_id, title, abstract, authors, affiliations, comment, primary_category, categories, link, pdf_link, published, updated }>}
+ */
+export function parseArxivFeed(xml) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+
+  return $('entry').toArray().map(el => {
+    const entry = $(el);
+    const id = cleanText(entry.children('id').text());
+    // http://arxiv.org/abs/2403.01234v2 → 2403.01234; old-style ids keep their archive prefix
+    const arxivId = id.replace(/^https?:\/\/arxiv\.org\/abs\//, '').replace(/v\d+$/, '');
+    const pdfLink = entry.children('link[title="pdf"]').attr('href') || `https://arxiv.org/pdf/${arxivId}`;
+
+    return {
+      arxiv_id: arxivId,
+      title: cleanText(entry.children('title').text()),
+      abstract: cleanText(entry.children('summary').text()),
+      authors: entry.children('author').toArray().map(a => cleanText($(a).children('name').text())).filter(Boolean),
+      affiliations: entry.find('arxiv\\:affiliation').toArray().map(a => cleanText($(a).text())).filter(Boolean),
+      comment: cleanText(entry.children('arxiv\\:comment').text()) || null,
+      primary_category: entry.children('arxiv\\:primary_category').attr('term') || null,
+      categories: entry.children('category').toArray().map(c => $(c).attr('term')).filter(Boolean),
+      link: `https://arxiv.org/abs/${arxivId}`,
+      pdf_link: pdfLink.replace(/^http:/, 'https:'),
+      published: entry.children('published').text() || null,
+      updated: entry.children('updated').text() || null
+    };
+  }).filter(paper => paper.arxiv_id && paper.title);
+}
+
+function authorLine(authors) {
+  return authors.length > 3 ? `${authors.slice(0, 3).join(', ')} et al.` : authors.join(', ');
+}
+
+/**
+ * Turn papers into articles, weighted up when a followed researcher or lab is involved.
+ *
+ * @param {Array} papers - From parseArxivFeed()
+ * @param {object} query - Entry from arxiv_queries, with `followed` from loadFollowed()
+ */
+export function papersToArticles(papers, query, { retrievedAt = new Date().toISOString() } = {}) {
+  const settings = { ...DEFAULTS, ...query };
+
+  return papers.map(paper => {
+    const followed = matchFollowed(paper, settings.followed);
+    const isFollowed = followed.researchers.length > 0 || followed.labs.length > 0;
+
+    return toArticle({
+      source: settings.name,
+      title: paper.title,
+      link: paper.link,
+      published: paper.published,
+      content: `${authorLine(paper.authors)}${paper.primary_category ? ` [${paper.primary_category}]` : ''}\n\n${paper.abstract}`,
+      retrieved_at: retrievedAt,
+      category: settings.category || 'ai',
+      source_weight: isFollowed ? settings.followed_weight : settings.weight,
+      // The paper itself — not coverage of it
+      evidence_type: 'primary_source',
+      arxiv_id: paper.arxiv_id,
+      authors: paper.authors,
+      abstract: paper.abstract,
+      primary_category: paper.primary_category,
+      categories: paper.categories,
+      pdf_link: paper.pdf_link,
+      followed_researchers: followed.researchers,
+      followed_labs: followed.labs
+    }, settings);
+  });
+}
+
+/**
+ * Fetch the newest papers for one configured query.
+ */
+async function fetchArxiv(query, { timeoutMs = 15000, maxItems } = {}) {
+  const response = await httpGet(queryUrl(query, maxItems ?? DEFAULTS.max_items), {
+    timeout: timeoutMs,
+    responseType: 'text'
+  });
+
+  const articles = papersToArticles(parseArxivFeed(response.data), query);
+  const followed = articles.filter(a => a.followed_researchers.length > 0 || a.followed_labs.length > 0);
+  logger.info(`${query.name}: ${articles.length} papers${followed.length > 0 ? `, ${followed.length} from followed researchers or labs` : ''}`);
+  return articles;
+}
+
+export default {
+  type: 'arxiv',
+  description: 'New arXiv papers for the category and keyword queries under arxiv_queries',
+  configured: (sourcesData, { configDir }) => {
+    const queries = sourcesData.arxiv_queries || [];
+    if (queries.length === 0) return [];
+    const followed = loadFollowed(configDir);
+    return queries.map(q => ({ ...q, followed }));
+  },
+  taskName: (query) => query.name,
+  fetch: fetchArxiv,
+};
@@ -0,0 +1,77 @@
+import { createLogger } from '../lib/logger.js';
+import { httpGet } from '../lib/http-fixtures.js';
+import { loadPlatformResearchers, postToArticle } from '../lib/social-posts.js';
+
+const logger = createLogger('adapter-bluesky');
+
+// Public AppView — no account or app password needed for public posts
+const APPVIEW_URL = 'https://public.api.bsky.app/xrpc';
+
+/**
+ * A researcher's author feed. Replies are filtered out server-side unless
+ * the researcher opts in; reposts are dropped after fetching.
+ */
+export function authorFeedUrl(researcher, maxItems = 10) {
+  const params = new URLSearchParams({
+    actor: researcher.handle,
+    limit: String(researcher.max_items ?? maxItems),
+    filter: researcher.include_replies ? 'posts_with_replies' : 'posts_no_replies'
+  });
+  return `${APPVIEW_URL}/app.bsky.feed.getAuthorFeed?${params}`;
+}
+
+/**
+ * Web link for a post: at://did:plc:abc/app.bsky.feed.post/3kxyz → bsky.app/profile/<handle>/post/3kxyz
+ */
+export function postLink(uri, handle) {
+  const rkey = String(uri || '').split('/').pop();
+  return `https://bsky.app/profile/${handle}/post/${rkey}`;
+}
+
+/**
+ * Turn an author feed into posts, dropping reposts and replies unless the
+ * researcher opts in.
+ *
+ * @param {object} data - getAuthorFeed response
+ * @param {object} researcher - From loadPlatformResearchers(configDir, 'bluesky')
+ * @returns {Array<{ id, text, link, published, card }>}
+ */
+export function parseAuthorFeed(data, researcher) {
+  return (data?.feed || [])
+    .filter(item => {
+      const repost = item.reason?.$type === 'app.bsky.feed.defs#reasonRepost' ||
+        (item.post?.author?.handle && item.post.author.handle.toLowerCase() !== researcher.handle.toLowerCase());
+      if (repost) return researcher.include_retweets === true;
+      if (item.post?.record?.reply) return researcher.include_replies === true;
+      return true;
+    })
+    .map(({ post }) => {
+      const external = post.embed?.external || post.embed?.media?.external || null;
+      return {
+        id: post.uri,
+        text: (post.record?.text || '').trim(),
+        link: postLink(post.uri, post.author?.handle || researcher.handle),
+        published: post.record?.createdAt || post.indexedAt || null,
+        card: external ? { url: external.uri, title: external.title || null, description: external.description || null } : null
+      };
+    })
+    .filter(post => post.text || post.card);
+}
+
+/**
+ * Fetch one researcher's recent Bluesky posts.
+ */
+async function fetchBluesky(researcher, { timeoutMs = 10000, maxItems } = {}) {
+  const response = await httpGet(authorFeedUrl(researcher, maxItems ?? 10), { timeout: timeoutMs });
+  const posts = parseAuthorFeed(response.data, researcher);
+  logger.info(`Fetched ${posts.length} posts from @${researcher.handle} on Bluesky`);
+  return posts.map(post => postToArticle(post, researcher));
+}
+
+export default {
+  type: 'bluesky',
+  description: 'Bluesky posts from researchers in twitter-researchers.json with a handles.bluesky entry',
+  configured: (sourcesData, { configDir }) => loadPlatformResearchers(configDir, 'bluesky'),
+  taskName: (researcher) => `Bluesky: @${researcher.handle}`,
+  fetch: fetchBluesky,
+};
@@ -0,0 +1,59 @@
+import { createLogger } from '../lib/logger.js';
+import { httpGet, replayClock } from '../lib/http-fixtures.js';
+import { scoreboardUrl, scoreboardDays, parseScoreboard } from '../lib/sports.js';
+
+const logger = createLogger('adapter-espn');
+
+/**
+ * One league's scoreboard for a date. Teams in the same league share the
+ * request through the run's `shared` map; a failed request isn't kept, so a
+ * retry asks again.
+ */
+function scoreboard(sport, date, { timeoutMs, shared }) {
+  const url = scoreboardUrl(sport, date);
+  if (!shared) return httpGet(url, { timeout: timeoutMs });
+
+  const key = `espn:${url}`;
+  if (!shared.has(key)) {
+    shared.set(key, httpGet(url, { timeout: timeoutMs }).catch((error) => {
+      shared.delete(key);
+      throw error;
+    }));
+  }
+  return shared.get(key);
+}
+
+/**
+ * Fetch yesterday's and today's scoreboards for one team's league and keep
+ * that team's games.
+ */
+async function fetchGames(team, { timeoutMs = 10000, shared } = {}) {
+  const { name, sport } = team;
+
+  if (!sport) {
+    logger.warn(`Skipping team ${name}: missing sport`);
+    return { scores: [] };
+  }
+  if (!team.team_id) {
+    logger.warn(`${name} has no team_id — matching by name, which can miss games`);
+  }
+
+  const games = [];
+  for (const { day, date } of scoreboardDays(replayClock())) {
+    const response = await scoreboard(sport, date, { timeoutMs, shared });
+    games.push(...parseScoreboard(response.data, team, { day }));
+  }
+
+  const finals = games.filter(g => g.day === 'yesterday' && g.status === 'final').length;
+  const upcoming = games.filter(g => g.day === 'today').length;
+  logger.info(`${name}: ${finals} result(s) yesterday, ${upcoming} game(s) today`);
+  return { scores: games };
+}
+
+export default {
+  type: 'espn',
+  description: 'ESPN scoreboard results and schedule for teams listed under espn_teams',
+  configured: (sourcesData) => sourcesData.espn_teams || [],
+  taskName: (team) => `ESPN: ${team.name}`,
+  fetch: fetchGames,
+};
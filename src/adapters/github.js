@@ -0,0 +1,200 @@
+import * as cheerio from 'cheerio';
+import { createLogger } from '../lib/logger.js';
+import { httpGet } from '../lib/http-fixtures.js';
+import { toArticle } from '../lib/article-schema.js';
+
+const logger = createLogger('adapter-github');
+
+const DEFAULTS = {
+  category: 'developer',
+  weight: 0.6,
+  include_prereleases: false,
+  // Read tags.atom instead of releases.atom (for repos that tag without publishing releases)
+  tags: false,
+  max_items: 3,
+  max_highlights: 5
+};
+
+const VERSION_PATTERN = /v?\d+\.\d+(?:\.\d+)?(?:[-+][0-9A-Za-z.-]+)?/;
+const PRERELEASE_PATTERN = /[-.](alpha|beta|rc|pre|preview|canary|next|dev)\b/i;
+
+const BREAKING_HEADING = /breaking|backwards?[- ]incompatible|migration/i;
+const HIGHLIGHT_HEADING = /highlight|feature|what'?s new|added|new|improvement|enhancement/i;
+const SKIP_HEADING = /bug ?fix|fixe?s|chore|dependenc|internal|docs|documentation|refactor|contributors|full changelog/i;
+// Conventional-commit "feat!:" / "BREAKING CHANGE:" markers inside any list
+const BREAKING_ITEM = /^\s*breaking( changes?)?\b|^\s*\w+(\([^)]*\))?!:|⚠️/i;
+
+/**
+ * The repo's releases (or tags) Atom feed.
+ */
+export function feedUrl(repo) {
+  return `https://github.com/${repo.repo}/${repo.tags ? 'tags' : 'releases'}.atom`;
+}
+
+/**
+ * Version number from a release title or tag, e.g. "Release v2.3.0 (LTS)" → "v2.3.0".
+ */
+export function parseVersion(text) {
+  const match = String(text || '').match(VERSION_PATTERN);
+  return match ? match[0] : null;
+}
+
+function cleanItem(text) {
+  return text
+    // "by @someone in https://github.com/org/repo/pull/123" and "(#123)" trailers
+    .replace(/\s+by @[\w-]+(\[bot\])? in https?:\/\/\S+/g, '')
+    .replace(/\s*\((?:#\d+|[0-9a-f]{7,40})(?:,\s*#\d+)*\)/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Pull highlights and breaking changes out of release-note HTML.
+ * Items under a "Breaking changes" heading, or marked BREAKING / `feat!:`,
+ * are breaking changes; items under feature/highlight headings are
+ * highlights, falling back to the first items that aren't fixes or chores.
+ *
+ * @param {string} html - Release body as rendered by GitHub
+ * @returns {{ highlights: string[], breaking_changes: string[], text: string }}
+ */
+export function parseReleaseNotes(html, { maxHighlights = DEFAULTS.max_highlights } = {}) {
+  const $ = cheerio.load(html || '');
+  const breaking = [];
+  const featured = [];
+  const other = [];
+  const lines = [];
+
+  let heading = '';
+  $('h1, h2, h3, h4, h5, h6, li, p').each((_, el) => {
+    const tag = el.tagName.toLowerCase();
+    const text = cleanItem($(el).text());
+    if (!text) return;
+
+    if (/^h\d$/.test(tag)) {
+      heading = text;
+      lines.push(text);
+      return;
+    }
+    // Nested lists: only the innermost item carries its own text
+    if (tag === 'li' && $(el).find('li').length > 0) return;
+    if (tag === 'p' && $(el).parents('li').length > 0) return;
+    lines.push(tag === 'li' ? `- ${text}` : text);
+
+    if (BREAKING_HEADING.test(heading) || BREAKING_ITEM.test(text)) {
+      breaking.push(text.replace(BREAKING_ITEM, '').replace(/^[\s:*-]+/, '') || text);
+    } else if (tag === 'li' && HIGHLIGHT_HEADING.test(heading) && !SKIP_HEADING.test(heading)) {
+      featured.push(text);
+    } else if (tag === 'li' && !SKIP_HEADING.test(heading)) {
+      other.push(text);
+    }
+  });
+
+  const highlights = (featured.length > 0 ? featured : other).slice(0, maxHighlights);
+  return {
+    highlights,
+    breaking_changes: [...new Set(breaking)],
+    text: lines.length > 0 ? lines.join('\n') : cleanItem($.root().text())
+  };
+}
+
+/**
+ * Parse a GitHub releases.atom or tags.atom feed.
+ *
+ * @returns {Array<{ title, version, link, published, html }>}
+ */
+export function parseReleaseFeed(xml) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  return $('entry').toArray().map(el => {
+    const entry = $(el);
+    const title = entry.children('title').text().trim();
+    const link = entry.children('link').attr('href') || '';
+    const tag = decodeURIComponent(link.split('/').pop() || '');
+    return {
+      title,
+      tag,
+      version: parseVersion(tag) || parseVersion(title),
+      link,
+      published: entry.children('updated').text() || null,
+      html: entry.children('content').text() || ''
+    };
+  });
+}
+
+function summarize(notes) {
+  const lines = [];
+  if (notes.breaking_changes.length > 0) {
+    lines.push('Breaking changes:', ...notes.breaking_changes.map(c => `- ${c}`), '');
+  }
+  if (notes.highlights.length > 0) {
+    lines.push('Highlights:', ...notes.highlights.map(h => `- ${h}`), '');
+  }
+  lines.push(notes.text.substring(0, 2000));
+  return lines.join('\n').trim();
+}
+
+/**
+ * Turn a repo's feed entries into release articles.
+ *
+ * @param {Array} entries - From parseReleaseFeed()
+ * @param {object} repo - Watchlist entry (repo, name, include_prereleases, max_items)
+ */
+export function releasesToArticles(entries, repo, { maxItems, retrievedAt = new Date().toISOString() } = {}) {
+  const settings = { ...DEFAULTS, ...repo };
+  const name = settings.name || settings.repo;
+
+  return entries
+    .filter(e => settings.include_prereleases || !PRERELEASE_PATTERN.test(e.version || e.title))
+    .slice(0, settings.max_items ?? maxItems)
+    .map(entry => {
+      const notes = parseReleaseNotes(entry.html, { maxHighlights: settings.max_highlights });
+      const version = entry.version || entry.title;
+      const breaking = notes.breaking_changes.length;
+
+      return toArticle({
+        source: name,
+        title: `${name} ${version}${breaking > 0 ? ` — ${breaking} breaking change${breaking === 1 ? '' : 's'}` : ''}`,
+        link: entry.link,
+        published: entry.published,
+        content: summarize(notes) || entry.title,
+        retrieved_at: retrievedAt,
+        category: settings.category,
+        // Release notes are the maintainers' own account of the change
+        evidence_type: 'primary_source',
+        repo: settings.repo,
+        version,
+        prerelease: PRERELEASE_PATTERN.test(version),
+        highlights: notes.highlights,
+        breaking_changes: notes.breaking_changes
+      }, settings);
+    });
+}
+
+/**
+ * Fetch the latest releases for one watched repository. A repo with no
+ * published releases is read from its tags instead.
+ */
+async function fetchReleases(repo, { timeoutMs = 15000, maxItems } = {}) {
+  const options = { timeout: timeoutMs, responseType: 'text', headers: { Accept: 'application/atom+xml' } };
+
+  let entries = parseReleaseFeed((await httpGet(feedUrl(repo), options)).data);
+  if (entries.length === 0 && !repo.tags) {
+    logger.debug(`${repo.repo} has no releases; reading tags`);
+    entries = parseReleaseFeed((await httpGet(feedUrl({ ...repo, tags: true }), options)).data);
+  }
+
+  const articles = releasesToArticles(entries, repo, { maxItems });
+  const breaking = articles.filter(a => a.breaking_changes.length > 0).length;
+  logger.info(`${repo.repo}: ${articles.length} release(s)${breaking > 0 ? `, ${breaking} with breaking changes` : ''}`);
+  return articles;
+}
+
+export default {
+  type: 'github',
+  description: 'Releases (or tags) of the repositories listed under github_watch',
+  configured: (sourcesData) => {
+    const { repos = [], ...shared } = sourcesData.github_watch || {};
+    return repos.map(r => ({ ...shared, ...r, name: r.name || r.repo }));
+  },
+  taskName: (repo) => `GitHub: ${repo.repo}`,
+  fetch: fetchReleases,
+};
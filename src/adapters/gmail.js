@@ -0,0 +1,79 @@
+import { checkInbox, extractPaperContent, extractInboxItems } from '../lib/email-client.js';
+import { createLogger } from '../lib/logger.js';
+import { toArticle } from '../lib/article-schema.js';
+
+const logger = createLogger('adapter-gmail');
+
+/**
+ * Convert one parsed "Send to Paper" email into an article.
+ */
+export function emailToArticle(email) {
+  const extracted = extractPaperContent(email);
+  return toArticle({
+    source: extracted.source || "Doug's Inbox",
+    title: extracted.title || email.subject || 'Untitled Email',
+    link: extracted.link,
+    published: extracted.published || email.date,
+    content: extracted.content,
+    manual_send: true,
+    doug_note: extracted.doug_note,
+    category: 'email',
+  });
+}
+
+/**
+ * Convert one inbox email into articles — one per newsletter story or linked page.
+ */
+export async function emailToArticles(email, settings = {}) {
+  const items = await extractInboxItems(email, settings);
+  return items.map(item => toArticle({
+    ...item,
+    title: item.title || email.subject || 'Untitled Email',
+    published: item.published || email.date,
+    category: item.category || 'email',
+  }));
+}
+
+/**
+ * Read unread mail from the paper inbox. A bad email is skipped, not fatal;
+ * mail refused by the sender policy never gets this far.
+ */
+async function fetchInbox(inbox) {
+  const emails = await checkInbox(inbox);
+
+  if (!emails || !Array.isArray(emails)) {
+    logger.warn('No emails returned from checkInbox()');
+    return [];
+  }
+
+  const articles = [];
+  for (const email of emails) {
+    try {
+      articles.push(...await emailToArticles(email, inbox));
+    } catch (error) {
+      logger.warn(`Failed to extract content from email: ${error.message}`);
+    }
+  }
+
+  logger.info(`Fetched ${articles.length} articles from Gmail inbox`);
+  return articles;
+}
+
+export default {
+  type: 'gmail',
+  description: '"Send to Paper" emails in the paper_inbox mailbox',
+  configured: (sourcesData) => (sourcesData.paper_inbox?.enabled === false
+    ? []
+    : [{
+      timeout_ms: 60000,
+      ...sourcesData.paper_inbox,
+      name: 'Gmail inbox',
+      newsletter_sources: sourcesData.newsletter_sources || []
+    }]),
+  // Authenticated and local to Doug — no retries or health tracking
+  retries: 0,
+  track_health: false,
+  // IMAP sits outside the HTTP fixture layer, so replays leave the inbox alone
+  replayable: false,
+  fetch: fetchInbox,
+};
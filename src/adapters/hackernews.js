@@ -0,0 +1,141 @@
+import { createLogger } from '../lib/logger.js';
+import { httpGet } from '../lib/http-fixtures.js';
+import { toArticle } from '../lib/article-schema.js';
+import { commentExcerpt, meetsThresholds, discussionContent } from '../lib/engagement.js';
+
+const logger = createLogger('adapter-hackernews');
+
+const API_URL = 'https://hn.algolia.com/api/v1';
+
+const DEFAULTS = {
+  category: 'ai',
+  weight: 0.5,
+  min_points: 50,
+  min_comments: 10,
+  // Top-level comments to excerpt per story; 0 skips the extra request
+  top_comments: 3,
+  comment_chars: 280,
+  max_items: 15
+};
+
+/**
+ * Algolia search for recent stories matching the query that already clear
+ * the engagement thresholds.
+ *
+ * @param {object} search - Entry from hackernews.searches (query, tags, min_points, min_comments)
+ */
+export function searchUrl(search, maxItems = DEFAULTS.max_items) {
+  const settings = { ...DEFAULTS, ...search };
+  const params = new URLSearchParams({
+    tags: settings.tags || 'story',
+    numericFilters: `points>=${settings.min_points},num_comments>=${settings.min_comments}`,
+    hitsPerPage: String(search.max_items ?? maxItems)
+  });
+  if (settings.query) params.set('query', settings.query);
+  return `${API_URL}/search_by_date?${params}`;
+}
+
+/**
+ * The story's full comment tree.
+ */
+export function itemUrl(id) {
+  return `${API_URL}/items/${id}`;
+}
+
+export function discussionUrl(id) {
+  return `https://news.ycombinator.com/item?id=${id}`;
+}
+
+function countReplies(comment) {
+  return (comment.children || []).reduce((sum, child) => sum + 1 + countReplies(child), 0);
+}
+
+/**
+ * The top-level comments that drew the most replies, excerpted. HN's API
+ * doesn't expose comment scores, so reply count stands in for them.
+ *
+ * @param {object} item - Response from the items endpoint
+ */
+export function topComments(item, { top_comments = DEFAULTS.top_comments, comment_chars = DEFAULTS.comment_chars } = {}) {
+  return (item?.children || [])
+    .filter(c => c.text && c.author)
+    .map(c => ({ author: c.author, text: commentExcerpt(c.text, comment_chars), points: null, replies: countReplies(c) }))
+    .sort((a, b) => b.replies - a.replies)
+    .slice(0, top_comments);
+}
+
+/**
+ * Turn Algolia hits into articles carrying their engagement.
+ *
+ * @param {Array} hits - `hits` from the search response
+ * @param {object} search - Entry from hackernews.searches
+ * @param {object} comments - { [objectID]: top comments } from topComments()
+ */
+export function storiesToArticles(hits, search, comments = {}, { retrievedAt = new Date().toISOString() } = {}) {
+  const settings = { ...DEFAULTS, ...search };
+
+  return hits
+    .filter(hit => hit.title && meetsThresholds({ points: hit.points, comments: hit.num_comments }, settings))
+    .map(hit => {
+      const engagement = {
+        platform: 'hackernews',
+        points: hit.points ?? 0,
+        comments: hit.num_comments ?? 0,
+        upvote_ratio: null,
+        discussion_url: discussionUrl(hit.objectID),
+        top_comments: comments[hit.objectID] || []
+      };
+
+      return toArticle({
+        source: settings.name,
+        title: hit.title,
+        // Ask HN and other text posts have no link of their own
+        link: hit.url || engagement.discussion_url,
+        published: hit.created_at || null,
+        content: discussionContent(engagement, hit.story_text ? commentExcerpt(hit.story_text, 2000) : ''),
+        retrieved_at: retrievedAt,
+        category: settings.category,
+        evidence_type: 'community_signal',
+        hn_id: hit.objectID,
+        author: hit.author || null,
+        engagement
+      }, settings);
+    });
+}
+
+/**
+ * Fetch one configured search, then the comment threads of the stories that
+ * made the cut.
+ */
+async function fetchHackerNews(search, { timeoutMs = 15000, maxItems } = {}) {
+  const settings = { ...DEFAULTS, ...search };
+  const response = await httpGet(searchUrl(search, maxItems ?? DEFAULTS.max_items), { timeout: timeoutMs });
+  const hits = (response.data?.hits || [])
+    .filter(hit => meetsThresholds({ points: hit.points, comments: hit.num_comments }, settings));
+
+  const comments = {};
+  if (settings.top_comments > 0) {
+    for (const hit of hits) {
+      try {
+        comments[hit.objectID] = topComments((await httpGet(itemUrl(hit.objectID), { timeout: timeoutMs })).data, settings);
+      } catch (error) {
+        logger.debug(`No comments for HN ${hit.objectID}: ${error.message}`);
+      }
+    }
+  }
+
+  const articles = storiesToArticles(hits, search, comments);
+  logger.info(`${settings.name}: ${articles.length} stories over ${settings.min_points} points / ${settings.min_comments} comments`);
+  return articles;
+}
+
+export default {
+  type: 'hackernews',
+  description: 'Hacker News stories (via Algolia) for the searches under hackernews, with points, comments and top comments',
+  configured: (sourcesData) => {
+    const { searches = [], ...shared } = sourcesData.hackernews || {};
+    return searches.map(s => ({ ...shared, ...s }));
+  },
+  taskName: (search) => search.name,
+  fetch: fetchHackerNews,
+};
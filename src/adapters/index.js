@@ -0,0 +1,69 @@
+/**
+ * Source adapter registry.
+ *
+ * An adapter knows how to fetch one kind of source. It is a plain object:
+ *
+ *   {
+ *     type: 'rss',                              // matches `type` on source entries
+ *     description: '...',
+ *     fetch(source, context) -> articles[] | { articles, scores, status },
+ *     configured(sourcesData, { configDir })    // optional: sources it finds in its own config keys
+ *     taskName(source)                          // optional: name used in logs and the health ledger
+ *     retries, track_health                     // optional scheduler overrides
+ *     replayable                                // false if it can't run from HTTP fixtures (HTTP_FIXTURES=replay)
+ *   }
+ *
+ * `context` carries { timeoutMs, maxItems, feedCache, shared }. `shared` is a Map
+ * that lives for one run, for sources of the same adapter to share work (the
+ * ESPN teams of one league share its scoreboards). Articles should be
+ * built with toArticle() from lib/article-schema.js, and HTTP requests made
+ * with httpGet() from lib/http-fixtures.js so they can be recorded and replayed.
+ *
+ * New kinds of source are added by registering an adapter here, or without
+ * touching code by naming a module in the `adapters` map of sources.json.
+ */
+import path from 'path';
+import { pathToFileURL } from 'url';
+import rss from './rss.js';
+import espn from './espn.js';
+import twitter from './twitter.js';
+import gmail from './gmail.js';
+import queue from './queue.js';
+import arxiv from './arxiv.js';
+import github from './github.js';
+import hackernews from './hackernews.js';
+import reddit from './reddit.js';
+import bluesky from './bluesky.js';
+import mastodon from './mastodon.js';
+
+const adapters = new Map();
+
+export function registerAdapter(adapter) {
+  if (!adapter?.type || typeof adapter.fetch !== 'function') {
+    throw new Error(`Invalid source adapter${adapter?.type ? ` "${adapter.type}"` : ''}: needs a type and a fetch() function`);
+  }
+  adapters.set(adapter.type, adapter);
+}
+
+export function getAdapter(type) {
+  return adapters.get(type) || null;
+}
+
+export function listAdapters() {
+  return [...adapters.values()];
+}
+
+/**
+ * Register adapters named in sources.json, e.g. { "podcast": "./adapters/podcast.js" }.
+ * Paths are relative to the project root. The config key is the adapter's type.
+ */
+export async function loadCustomAdapters(modules = {}, baseDir = process.cwd()) {
+  for (const [type, modulePath] of Object.entries(modules)) {
+    const mod = await import(pathToFileURL(path.resolve(baseDir, modulePath)).href);
+    registerAdapter({ ...(mod.default || mod), type });
+  }
+}
+
+[rss, espn, twitter, gmail, queue, arxiv, github, hackernews, reddit, bluesky, mastodon].forEach(registerAdapter);
+
+export default { registerAdapter, getAdapter, listAdapters, loadCustomAdapters };
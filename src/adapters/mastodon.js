@@ -0,0 +1,89 @@
+import { createLogger } from '../lib/logger.js';
+import { httpGet } from '../lib/http-fixtures.js';
+import { loadPlatformResearchers, postText, postToArticle } from '../lib/social-posts.js';
+
+const logger = createLogger('adapter-mastodon');
+
+/**
+ * Split "simon@simonwillison.net" into the account name and its instance.
+ */
+export function parseMastodonHandle(handle) {
+  const match = String(handle || '').replace(/^@/, '').match(/^([\w.-]+)@([\w.-]+\.[a-z]{2,})$/i);
+  if (!match) {
+    throw new Error(`Mastodon handle "${handle}" should look like @user@instance.social`);
+  }
+  return { username: match[1], instance: match[2].toLowerCase() };
+}
+
+/**
+ * Account lookup on the researcher's home instance (gives the account id).
+ */
+export function lookupUrl(handle) {
+  const { username, instance } = parseMastodonHandle(handle);
+  return `https://${instance}/api/v1/accounts/lookup?acct=${encodeURIComponent(username)}`;
+}
+
+/**
+ * An account's public statuses, with replies and boosts excluded server-side
+ * unless the researcher opts in.
+ */
+export function statusesUrl(handle, accountId, researcher = {}, maxItems = 10) {
+  const { instance } = parseMastodonHandle(handle);
+  const params = new URLSearchParams({ limit: String(researcher.max_items ?? maxItems) });
+  if (!researcher.include_replies) params.set('exclude_replies', 'true');
+  if (!researcher.include_retweets) params.set('exclude_reblogs', 'true');
+  return `https://${instance}/api/v1/accounts/${accountId}/statuses?${params}`;
+}
+
+/**
+ * Turn statuses into posts. Boosts are the original post; replies to anyone
+ * but the researcher (threads) are dropped unless opted in.
+ *
+ * @param {Array} statuses - Statuses API response
+ * @param {object} researcher - From loadPlatformResearchers(configDir, 'mastodon')
+ * @returns {Array<{ id, text, link, published, card }>}
+ */
+export function parseStatuses(statuses, researcher, accountId = null) {
+  return (Array.isArray(statuses) ? statuses : [])
+    .filter(status => {
+      if (status.reblog) return researcher.include_retweets === true;
+      if (status.in_reply_to_id && status.in_reply_to_account_id !== accountId) return researcher.include_replies === true;
+      return status.visibility === undefined || status.visibility === 'public' || status.visibility === 'unlisted';
+    })
+    .map(status => {
+      const post = status.reblog || status;
+      const body = postText(post.content);
+      return {
+        id: post.uri || post.id,
+        // A content warning stays in front of the text it hides
+        text: post.spoiler_text ? `CW: ${post.spoiler_text}\n\n${body}` : body,
+        link: post.url || post.uri,
+        published: post.created_at || null,
+        card: post.card?.url ? { url: post.card.url, title: post.card.title || null, description: post.card.description || null } : null
+      };
+    })
+    .filter(post => post.text || post.card);
+}
+
+/**
+ * Fetch one researcher's recent statuses from their home instance.
+ */
+async function fetchMastodon(researcher, { timeoutMs = 10000, maxItems } = {}) {
+  const account = (await httpGet(lookupUrl(researcher.handle), { timeout: timeoutMs })).data;
+  if (!account?.id) {
+    throw new Error(`No Mastodon account found for @${researcher.handle}`);
+  }
+
+  const response = await httpGet(statusesUrl(researcher.handle, account.id, researcher, maxItems ?? 10), { timeout: timeoutMs });
+  const posts = parseStatuses(response.data, researcher, account.id);
+  logger.info(`Fetched ${posts.length} posts from @${researcher.handle} on Mastodon`);
+  return posts.map(post => postToArticle(post, researcher));
+}
+
+export default {
+  type: 'mastodon',
+  description: 'Mastodon posts from researchers in twitter-researchers.json with a handles.mastodon entry',
+  configured: (sourcesData, { configDir }) => loadPlatformResearchers(configDir, 'mastodon'),
+  taskName: (researcher) => `Mastodon: @${researcher.handle}`,
+  fetch: fetchMastodon,
+};
@@ -0,0 +1,60 @@
+import { createLogger } from '../lib/logger.js';
+import { claimPendingItems } from '../lib/paper-queue.js';
+import { toArticle } from '../lib/article-schema.js';
+
+const logger = createLogger('adapter-queue');
+
+const QUEUE_FIELDS = ['id', 'status', 'queued_at', 'status_changed_at', 'last_claimed_at', 'reason'];
+
+/**
+ * Convert a stored queue item into an article.
+ * The article keeps `queue_id` so the nightly run can mark it consumed.
+ */
+export function queueItemToArticle(item) {
+  const fields = { ...item };
+  QUEUE_FIELDS.forEach(key => delete fields[key]);
+
+  return toArticle({
+    ...fields,
+    source: item.source || 'Queue Item',
+    published: item.published || new Date().toISOString(),
+    retrieved_at: new Date().toISOString(),
+    // Forwarded newsletter stories are queued as ordinary candidates
+    manual_send: item.manual_send !== false,
+    category: item.category || 'queue',
+    queue_id: item.id || null,
+  });
+}
+
+/**
+ * Claim every pending "Send to Paper" item, whichever day it was queued.
+ */
+async function fetchQueue(queueSource) {
+  const { claimed, expired, rejected } = claimPendingItems({ carry_over_days: queueSource.carry_over_days });
+
+  if (expired.length > 0) {
+    logger.info(`Expired ${expired.length} queue item(s) older than ${queueSource.carry_over_days ?? 'the carry-over window'} day(s)`);
+  }
+  if (rejected.length > 0) {
+    logger.info(`Rejected ${rejected.length} queue item(s): ${rejected.map(i => `${i.id} (${i.reason})`).join(', ')}`);
+  }
+  if (claimed.length === 0) {
+    logger.info('No pending queue items');
+    return [];
+  }
+
+  const articles = claimed.map(queueItemToArticle);
+  logger.info(`Claimed ${articles.length} pending queue items`);
+  return articles;
+}
+
+export default {
+  type: 'queue',
+  description: '"Send to Paper" items queued from the inbox, Telegram and other intake',
+  configured: (sourcesData) => [{ name: 'Send to Paper queue', ...(sourcesData.queue || {}) }],
+  retries: 0,
+  track_health: false,
+  // The queue is local state, not part of a fetch recording
+  replayable: false,
+  fetch: fetchQueue,
+};
@@ -0,0 +1,156 @@
+import { createLogger } from '../lib/logger.js';
+import { httpGet } from '../lib/http-fixtures.js';
+import { toArticle } from '../lib/article-schema.js';
+import { commentExcerpt, meetsThresholds, discussionContent } from '../lib/engagement.js';
+
+const logger = createLogger('adapter-reddit');
+
+const BASE_URL = 'https://www.reddit.com';
+
+// Reddit throttles the default axios user agent hard
+const HEADERS = { 'User-Agent': 'daily-paper/1.0 (personal news digest)' };
+
+const DEFAULTS = {
+  category: 'ai',
+  weight: 0.4,
+  // hot | top | new | rising
+  listing: 'top',
+  // Window for the top listing: hour | day | week
+  time: 'day',
+  min_points: 100,
+  min_comments: 20,
+  top_comments: 3,
+  comment_chars: 280,
+  max_items: 15
+};
+
+// Moderator and bot comments aren't discussion
+const BOT_AUTHORS = new Set(['AutoModerator', '[deleted]']);
+
+/**
+ * JSON listing for a subreddit.
+ *
+ * @param {object} sub - Entry from reddit.subreddits (subreddit, listing, time)
+ */
+export function listingUrl(sub, maxItems = DEFAULTS.max_items) {
+  const settings = { ...DEFAULTS, ...sub };
+  const params = new URLSearchParams({ limit: String(sub.max_items ?? maxItems), raw_json: '1' });
+  if (settings.listing === 'top') params.set('t', settings.time);
+  return `${BASE_URL}/r/${settings.subreddit}/${settings.listing}.json?${params}`;
+}
+
+/**
+ * A post's comment thread, best comments first, one level of replies deep.
+ */
+export function commentsUrl(sub, postId, topComments = DEFAULTS.top_comments) {
+  const params = new URLSearchParams({ sort: 'top', depth: '2', limit: String(topComments + 2), raw_json: '1' });
+  return `${BASE_URL}/r/${sub.subreddit}/comments/${postId}.json?${params}`;
+}
+
+function replyCount(comment) {
+  return (comment.replies?.data?.children || []).filter(c => c.kind === 't1').length;
+}
+
+/**
+ * Excerpts of a thread's best comments, skipping stickied, bot and removed ones.
+ *
+ * @param {Array} thread - Response from the comments endpoint: [post listing, comment listing]
+ */
+export function topComments(thread, { top_comments = DEFAULTS.top_comments, comment_chars = DEFAULTS.comment_chars } = {}) {
+  const children = Array.isArray(thread) ? thread[1]?.data?.children || [] : [];
+  return children
+    .filter(c => c.kind === 't1')
+    .map(c => c.data)
+    .filter(c => !c.stickied && !BOT_AUTHORS.has(c.author) && c.body && !/^\[(removed|deleted)\]$/.test(c.body))
+    .sort((a, b) => (b.score ?? 0) - (a.score ?? 0))
+    .slice(0, top_comments)
+    .map(c => ({ author: c.author, text: commentExcerpt(c.body, comment_chars), points: c.score ?? null, replies: replyCount(c) }));
+}
+
+/**
+ * Posts in a listing that are worth reading: not stickied, not NSFW, and
+ * over the engagement thresholds.
+ */
+export function filterPosts(listing, sub) {
+  const settings = { ...DEFAULTS, ...sub };
+  return (listing?.data?.children || [])
+    .filter(c => c.kind === 't3')
+    .map(c => c.data)
+    .filter(p => p.title && !p.stickied && !p.over_18)
+    .filter(p => meetsThresholds({ points: p.score, comments: p.num_comments }, settings));
+}
+
+/**
+ * Turn posts into articles carrying their engagement.
+ *
+ * @param {Array} posts - From filterPosts()
+ * @param {object} sub - Entry from reddit.subreddits
+ * @param {object} comments - { [post id]: top comments } from topComments()
+ */
+export function postsToArticles(posts, sub, comments = {}, { retrievedAt = new Date().toISOString() } = {}) {
+  const settings = { ...DEFAULTS, ...sub };
+
+  return posts.map(post => {
+    const engagement = {
+      platform: 'reddit',
+      points: post.score ?? 0,
+      comments: post.num_comments ?? 0,
+      upvote_ratio: post.upvote_ratio ?? null,
+      discussion_url: `${BASE_URL}${post.permalink}`,
+      top_comments: comments[post.id] || []
+    };
+
+    return toArticle({
+      source: settings.name,
+      title: post.title,
+      // Self posts link to themselves
+      link: post.is_self || !post.url ? engagement.discussion_url : post.url,
+      published: post.created_utc ? new Date(post.created_utc * 1000).toISOString() : null,
+      content: discussionContent(engagement, post.selftext ? commentExcerpt(post.selftext, 2000) : ''),
+      retrieved_at: retrievedAt,
+      category: settings.category,
+      evidence_type: 'community_signal',
+      reddit_id: post.id,
+      subreddit: post.subreddit || settings.subreddit,
+      flair: post.link_flair_text || null,
+      engagement
+    }, settings);
+  });
+}
+
+/**
+ * Fetch one subreddit's listing, then the comment threads of the posts that
+ * made the cut.
+ */
+async function fetchReddit(sub, { timeoutMs = 15000, maxItems } = {}) {
+  const settings = { ...DEFAULTS, ...sub };
+  const response = await httpGet(listingUrl(sub, maxItems ?? DEFAULTS.max_items), { timeout: timeoutMs, headers: HEADERS });
+  const posts = filterPosts(response.data, settings);
+
+  const comments = {};
+  if (settings.top_comments > 0) {
+    for (const post of posts) {
+      try {
+        const thread = await httpGet(commentsUrl(settings, post.id, settings.top_comments), { timeout: timeoutMs, headers: HEADERS });
+        comments[post.id] = topComments(thread.data, settings);
+      } catch (error) {
+        logger.debug(`No comments for r/${settings.subreddit} ${post.id}: ${error.message}`);
+      }
+    }
+  }
+
+  const articles = postsToArticles(posts, settings, comments);
+  logger.info(`${settings.name}: ${articles.length} posts over ${settings.min_points} points / ${settings.min_comments} comments`);
+  return articles;
+}
+
+export default {
+  type: 'reddit',
+  description: 'Subreddit listings (Reddit JSON) under reddit.subreddits, with scores, comment counts and top comments',
+  configured: (sourcesData) => {
+    const { subreddits = [], ...shared } = sourcesData.reddit || {};
+    return subreddits.map(s => ({ ...shared, ...s, name: s.name || `r/${s.subreddit}` }));
+  },
+  taskName: (sub) => sub.name,
+  fetch: fetchReddit,
+};
@@ -0,0 +1,193 @@
+import Parser from 'rss-parser';
+import fs from 'fs';
+import path from 'path';
+import { createLogger } from '../lib/logger.js';
+import { httpGet, fixtureMode } from '../lib/http-fixtures.js';
+import { toArticle } from '../lib/article-schema.js';
+import { loadBridgeHealth, saveBridgeHealth } from '../lib/storage.js';
+import { loadBridges, bridgeUrl, orderBridges, recordBridgeResult } from '../lib/bridge-pool.js';
+import { researcherHandle } from '../lib/social-posts.js';
+
+const logger = createLogger('adapter-twitter');
+const parser = new Parser({ customFields: { item: ['dc:creator', 'author'] } });
+
+const DEFAULTS = {
+  include_replies: false,
+  include_retweets: false,
+  bridge_timeout_ms: 8000,
+  max_bridge_attempts: 3
+};
+
+/**
+ * Bridge pool and timeline settings from twitter-researchers.json.
+ */
+export function loadTwitterConfig(configDir) {
+  const twitterData = JSON.parse(fs.readFileSync(path.join(configDir, 'twitter-researchers.json'), 'utf-8'));
+  return {
+    twitterData,
+    bridges: loadBridges(twitterData),
+    settings: { ...DEFAULTS, ...(twitterData.timeline_settings || {}) }
+  };
+}
+
+/**
+ * Researchers with an X handle, each carrying the bridge pool and timeline
+ * settings to read them with. Those only on Bluesky or Mastodon are left to
+ * their own adapters.
+ */
+export function loadResearchers(configDir) {
+  const { twitterData, bridges, settings } = loadTwitterConfig(configDir);
+  const attempts = Math.min(settings.max_bridge_attempts, bridges.length);
+
+  return (twitterData.researchers || []).filter(r => researcherHandle(r, 'twitter')).map(r => ({
+    include_replies: settings.include_replies,
+    include_retweets: settings.include_retweets,
+    ...r,
+    handle: researcherHandle(r, 'twitter'),
+    bridges,
+    bridge_timeout_ms: settings.bridge_timeout_ms,
+    max_bridge_attempts: attempts,
+    // Room for every failover attempt inside the scheduler's task timeout
+    timeout_ms: r.timeout_ms ?? settings.bridge_timeout_ms * attempts + 2000
+  }));
+}
+
+/**
+ * RSS URL for a researcher's timeline, on the given bridge or the first configured one.
+ */
+export function timelineUrl(researcher, bridge = researcher.bridges[0]) {
+  return bridgeUrl(bridge, researcher.handle);
+}
+
+/**
+ * Is a timeline item a reply or a retweet rather than the researcher's own post?
+ * Bridges mark these differently: nitter titles start with "R to @x:" / "RT by @y:",
+ * and a retweet's creator is the original author.
+ *
+ * @returns {'reply'|'retweet'|null}
+ */
+export function classifyItem(item, handle) {
+  const text = (item.title || item.contentSnippet || '').trim();
+  // Only handle-style creators ("@karpathy") can be compared; RSSHub uses display names
+  const creator = String(item['dc:creator'] || item.creator || item.author || '').trim();
+  const retweetedOther = creator.startsWith('@') && creator.slice(1).toLowerCase() !== handle.toLowerCase();
+
+  if (/^RT\b/i.test(text) || retweetedOther) return 'retweet';
+  if (/^R to @\w+/i.test(text) || /^@\w+/.test(text)) return 'reply';
+  return null;
+}
+
+/**
+ * Point bridge links at x.com so the same post matches across bridges.
+ */
+function canonicalTweetLink(link) {
+  const match = (link || '').match(/^https?:\/\/[^/]+\/(\w+)\/status\/(\d+)/);
+  return match ? `https://x.com/${match[1]}/status/${match[2]}` : link;
+}
+
+/**
+ * Turn a bridge's RSS timeline into articles, dropping replies and retweets
+ * unless the researcher opts in.
+ *
+ * @param {string} xml - Timeline feed document
+ * @param {object} researcher - Researcher entry from twitter-researchers.json
+ * @returns {Promise<Array>}
+ */
+export async function parseTimeline(xml, researcher, { maxItems = 10 } = {}) {
+  const { name, handle } = researcher;
+  const feed = await parser.parseString(xml);
+  const retrievedAt = new Date().toISOString();
+
+  const posts = feed.items.filter(item => {
+    const kind = classifyItem(item, handle);
+    if (kind === 'reply') return researcher.include_replies === true;
+    if (kind === 'retweet') return researcher.include_retweets === true;
+    return true;
+  });
+
+  return posts.slice(0, researcher.max_items ?? maxItems).map((item) => toArticle({
+    source: `@${handle} (${name})`,
+    title: item.title || 'Untitled Tweet',
+    link: canonicalTweetLink(item.link),
+    published: item.isoDate || item.pubDate,
+    content: item.content || item.contentSnippet,
+    retrieved_at: retrievedAt,
+    category: 'twitter',
+    platform: 'twitter',
+    researcher: name,
+  }, researcher));
+}
+
+// Shared by every researcher fetched in this process, so one dead instance is learned once
+let bridgeLedger = null;
+
+function ledger() {
+  if (!bridgeLedger) {
+    try {
+      bridgeLedger = loadBridgeHealth();
+    } catch (error) {
+      logger.warn(`Could not load bridge health: ${error.message}`);
+      bridgeLedger = {};
+    }
+  }
+  return bridgeLedger;
+}
+
+function persistLedger() {
+  if (fixtureMode() === 'replay') return;
+  try {
+    saveBridgeHealth(bridgeLedger);
+  } catch (error) {
+    logger.warn(`Could not save bridge health: ${error.message}`);
+  }
+}
+
+/**
+ * Fetch posts for one researcher, failing over across bridge instances.
+ * Throws only when every instance tried has failed.
+ */
+async function fetchResearcher(researcher, { maxItems } = {}) {
+  const { name, handle, bridges = [] } = researcher;
+
+  if (!handle || bridges.length === 0) {
+    logger.warn(`Skipping researcher ${name}: missing handle or no bridges configured`);
+    return [];
+  }
+
+  const health = ledger();
+  const candidates = orderBridges(bridges, health).slice(0, researcher.max_bridge_attempts || bridges.length);
+  const errors = [];
+
+  for (const bridge of candidates) {
+    const start = Date.now();
+    try {
+      const response = await httpGet(timelineUrl(researcher, bridge), {
+        timeout: researcher.bridge_timeout_ms,
+        responseType: 'text'
+      });
+      const tweets = await parseTimeline(response.data, researcher, { maxItems });
+      recordBridgeResult(health, bridge, { ok: true, latencyMs: Date.now() - start });
+      persistLedger();
+
+      logger.info(`Fetched ${tweets.length} posts from @${handle} via ${bridge.name}`);
+      return tweets;
+    } catch (error) {
+      recordBridgeResult(health, bridge, { ok: false, error: error.message });
+      errors.push(`${bridge.name}: ${error.message}`);
+      logger.debug(`@${handle} failed on ${bridge.name}, trying next bridge: ${error.message}`);
+    }
+  }
+
+  persistLedger();
+  throw new Error(`All ${candidates.length} bridge(s) failed for @${handle} — ${errors.join('; ')}`);
+}
+
+export default {
+  type: 'twitter',
+  description: 'Researcher timelines from twitter-researchers.json, read through a pool of RSS bridges',
+  configured: (sourcesData, { configDir }) => loadResearchers(configDir),
+  taskName: (researcher) => `@${researcher.handle}`,
+  // Failover across bridges is the retry
+  retries: 0,
+  fetch: fetchResearcher,
+};
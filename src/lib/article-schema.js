@@ -0,0 +1,71 @@
+/**
+ * The common article shape every source adapter produces.
+ *
+ * Downstream stages (recency, dedup, extraction, normalize) rely on these
+ * fields, so adapters build articles with toArticle() and the fetch stage
+ * rejects anything validateArticle() complains about.
+ */
+
+export const ARTICLE_FIELDS = {
+  source: 'string',          // Display name of the outlet or person
+  title: 'string',
+  link: 'string',            // '' when the item has no URL
+  published: 'string|null',  // Raw or ISO date; the recency filter normalizes it
+  content: 'string',         // Body or snippet, may contain HTML
+  retrieved_at: 'string',    // ISO timestamp of the fetch
+  manual_send: 'boolean',    // Doug sent it himself (inbox, queue)
+  doug_note: 'string|null',
+  category: 'string',
+  source_weight: 'number|null'
+};
+
+/**
+ * Build a schema-conformant article, filling defaults from the source config.
+ * Extra fields (e.g. `links`, `extraction`) pass through untouched.
+ *
+ * @param {object} fields - Fields the adapter knows
+ * @param {object} source - Source config entry (name, category, weight)
+ * @returns {object}
+ */
+export function toArticle(fields, source = {}) {
+  return {
+    ...fields,
+    source: fields.source || source.name || 'Unknown Source',
+    title: fields.title || 'Untitled',
+    link: fields.link || '',
+    published: fields.published || null,
+    content: fields.content || '',
+    retrieved_at: fields.retrieved_at || new Date().toISOString(),
+    manual_send: fields.manual_send === true,
+    doug_note: fields.doug_note || null,
+    category: fields.category || source.category || 'news',
+    source_weight: fields.source_weight ?? source.weight ?? null,
+  };
+}
+
+function typeOf(value) {
+  return value === null ? 'null' : typeof value;
+}
+
+/**
+ * Check an article against the common schema.
+ * @returns {string[]} Problems found; empty when valid
+ */
+export function validateArticle(article) {
+  if (!article || typeof article !== 'object') return ['not an object'];
+
+  const errors = [];
+  for (const [field, expected] of Object.entries(ARTICLE_FIELDS)) {
+    if (!expected.split('|').includes(typeOf(article[field]))) {
+      errors.push(`${field} should be ${expected}, got ${typeOf(article[field])}`);
+    }
+  }
+  if (typeof article.source === 'string' && !article.source.trim()) errors.push('source is empty');
+  if (typeof article.title === 'string' && !article.title.trim()) errors.push('title is empty');
+  if (typeof article.source_weight === 'number' && (article.source_weight < 0 || article.source_weight > 1)) {
+    errors.push(`source_weight ${article.source_weight} outside 0-1`);
+  }
+  return errors;
+}
+
+export default { ARTICLE_FIELDS, toArticle, validateArticle };
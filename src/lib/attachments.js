@@ -0,0 +1,172 @@
+/**
+ * Local parsing of inbox attachments — PDF, HTML and plain text/markdown —
+ * so a forwarded report or deck can become a story of its own.
+ */
+import path from 'path';
+import pdfParse from 'pdf-parse/lib/pdf-parse.js';
+import { createLogger } from './logger.js';
+import { extractReadableText } from './readability.js';
+
+const log = createLogger('attachments');
+
+const DEFAULTS = {
+  parse_attachments: true,
+  max_attachments: 5,
+  max_attachment_bytes: 10 * 1024 * 1024,
+  max_pdf_pages: 50,
+  max_content_chars: 20000,
+  min_text_chars: 200
+};
+
+const EXTENSIONS = {
+  '.pdf': 'pdf',
+  '.html': 'html',
+  '.htm': 'html',
+  '.txt': 'text',
+  '.md': 'text',
+  '.markdown': 'text'
+};
+
+// Titles PDF writers fill in on their own
+const JUNK_PDF_TITLE = /^(microsoft (word|powerpoint)|untitled|slide \d+|presentation\d*$)|\.(docx?|pptx?|key|pages)$/i;
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${Math.round(bytes / 1024)} KB`;
+}
+
+/**
+ * Which parser handles an attachment, by content type then file extension.
+ *
+ * @returns {'pdf'|'html'|'text'|null}
+ */
+export function attachmentKind(attachment) {
+  const type = (attachment.contentType || '').toLowerCase();
+  if (type === 'application/pdf') return 'pdf';
+  if (type === 'text/html') return 'html';
+  if (type === 'text/plain' || type === 'text/markdown' || type === 'text/x-markdown') return 'text';
+  return EXTENSIONS[path.extname(attachment.filename || '').toLowerCase()] || null;
+}
+
+/**
+ * Signature logos and other inline images aren't things Doug sent.
+ */
+function isEmbedded(attachment) {
+  return attachment.related === true ||
+    (attachment.contentDisposition === 'inline' && /^image\//i.test(attachment.contentType || ''));
+}
+
+function titleFromFilename(filename) {
+  return path.basename(filename || 'Attachment', path.extname(filename || ''))
+    .replace(/[_-]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+async function parsePdf(buffer, settings) {
+  // pdf.js reads the whole underlying ArrayBuffer, so a pooled Buffer slice must be copied out
+  const result = await pdfParse(new Uint8Array(buffer), { max: settings.max_pdf_pages });
+  const title = (result.info?.Title || '').trim();
+  // Reports usually open with their title; fall back to the first line of a sensible length
+  const firstLine = (result.text || '').split('\n').map(l => l.trim()).find(l => l.length >= 8 && l.length <= 120);
+  return {
+    title: (title && !JUNK_PDF_TITLE.test(title) ? title : null) || firstLine || null,
+    text: result.text,
+    pages: result.numpages
+  };
+}
+
+function parseText(buffer) {
+  const text = buffer.toString('utf-8');
+  const heading = text.match(/^#\s+(.+)$/m);
+  return { title: heading ? heading[1].trim() : null, text };
+}
+
+function parseHtml(buffer) {
+  const { title, text } = extractReadableText(buffer.toString('utf-8'));
+  return { title, text };
+}
+
+const PARSERS = { pdf: parsePdf, html: parseHtml, text: parseText };
+
+/**
+ * Parse one attachment into a document. Throws if the parser fails.
+ */
+export async function parseAttachment(attachment, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const kind = attachmentKind(attachment);
+  const parsed = await PARSERS[kind](attachment.content, settings);
+  const text = (parsed.text || '').replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+
+  return {
+    filename: attachment.filename,
+    kind,
+    title: parsed.title || titleFromFilename(attachment.filename),
+    text: text.substring(0, settings.max_content_chars),
+    truncated: text.length > settings.max_content_chars,
+    chars: text.length,
+    pages: parsed.pages ?? null
+  };
+}
+
+/**
+ * Parse every supported attachment on an email, within the size limits.
+ * Anything not parsed is listed in `skipped` with the reason.
+ *
+ * @param {Array} attachments - From checkInbox(); each needs `content` (Buffer)
+ * @param {object} options - parse_attachments, max_attachments, max_attachment_bytes, max_pdf_pages, max_content_chars, min_text_chars
+ * @returns {Promise<{ documents: Array<object>, skipped: Array<{ filename: string, reason: string }> }>}
+ */
+export async function extractAttachments(attachments = [], options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const documents = [];
+  const skipped = [];
+
+  if (!settings.parse_attachments) {
+    return { documents, skipped };
+  }
+
+  for (const attachment of attachments.filter(a => !isEmbedded(a))) {
+    const filename = attachment.filename || '(unnamed)';
+    const kind = attachmentKind(attachment);
+    const size = attachment.size ?? attachment.content?.length ?? 0;
+
+    if (!kind) {
+      skipped.push({ filename, reason: `unsupported type (${attachment.contentType || 'unknown'})` });
+    } else if (size > settings.max_attachment_bytes) {
+      skipped.push({ filename, reason: `${formatBytes(size)} is over the ${formatBytes(settings.max_attachment_bytes)} limit` });
+    } else if (documents.length >= settings.max_attachments) {
+      skipped.push({ filename, reason: `only the first ${settings.max_attachments} attachments are read` });
+    } else if (!attachment.content) {
+      skipped.push({ filename, reason: 'no content downloaded' });
+    } else {
+      try {
+        const doc = await parseAttachment(attachment, settings);
+        if (doc.chars < settings.min_text_chars) {
+          skipped.push({ filename, reason: kind === 'pdf' ? 'no extractable text (scanned PDF?)' : 'too little text' });
+        } else {
+          documents.push(doc);
+          log.info(`Parsed ${filename}: ${doc.chars} chars${doc.truncated ? ' (truncated)' : ''}`);
+        }
+      } catch (error) {
+        skipped.push({ filename, reason: `could not be parsed (${error.message})` });
+      }
+    }
+  }
+
+  for (const { filename, reason } of skipped) {
+    log.info(`Skipped attachment ${filename}: ${reason}`);
+  }
+
+  return { documents, skipped };
+}
+
+/**
+ * One-line summary of skipped attachments, or null if none were skipped.
+ */
+export function describeSkipped(skipped = []) {
+  if (skipped.length === 0) return null;
+  return `Skipped ${skipped.length} attachment${skipped.length === 1 ? '' : 's'}: ${skipped.map(s => `${s.filename} (${s.reason})`).join('; ')}`;
+}
+
+export default { attachmentKind, parseAttachment, extractAttachments, describeSkipped };
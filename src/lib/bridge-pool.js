@@ -0,0 +1,126 @@
+/**
+ * A pool of Twitter RSS bridge instances (nitter, RSSHub, rss-bridge) with
+ * per-instance health scoring. Healthy, fast instances are tried first;
+ * instances that keep failing cool down and are only tried as a last resort.
+ */
+
+// Timeline path for each bridge type; {handle} is replaced with the account name
+export const PATH_TEMPLATES = {
+  nitter: '/{handle}/rss',
+  rsshub: '/twitter/user/{handle}',
+  'rss-bridge': '/?action=display&bridge=TwitterBridge&context=By+username&u={handle}&norep=on&noretweet=on&format=Atom'
+};
+
+const DEFAULTS = {
+  score_alpha: 0.3,            // weight of the latest result in the success score
+  cooldown_after_failures: 2,
+  cooldown_minutes: 30,        // doubles with each further failure
+  max_cooldown_minutes: 1440
+};
+
+/**
+ * Read the bridge list from twitter-researchers.json. Older configs with a
+ * single rss_bridge_base_url / rss_path_template become a one-instance pool.
+ *
+ * @returns {Array<{ name, type, base_url, path_template }>}
+ */
+export function loadBridges(twitterData = {}) {
+  const configured = twitterData.rss_bridges?.length
+    ? twitterData.rss_bridges
+    : [{
+      name: 'default',
+      type: 'nitter',
+      base_url: twitterData.rss_bridge_base_url || 'https://nitter.net',
+      path_template: twitterData.rss_path_template
+    }];
+
+  return configured
+    .filter(b => b.enabled !== false && b.base_url)
+    .map(b => {
+      const type = b.type || 'nitter';
+      return {
+        name: b.name || b.base_url,
+        type,
+        base_url: b.base_url.replace(/\/+$/, ''),
+        path_template: b.path_template || PATH_TEMPLATES[type] || PATH_TEMPLATES.nitter
+      };
+    });
+}
+
+/**
+ * Timeline feed URL for an account on one bridge.
+ */
+export function bridgeUrl(bridge, handle) {
+  const account = encodeURIComponent(String(handle).replace(/^@/, ''));
+  return `${bridge.base_url}${bridge.path_template.replace('{handle}', account)}`;
+}
+
+function isCoolingDown(record, now) {
+  return !!record?.cooling_until && new Date(record.cooling_until) > now;
+}
+
+/**
+ * Order bridges for an attempt: cooled-down instances last, then by success
+ * score, then by config order.
+ */
+export function orderBridges(bridges, ledger = {}, now = new Date()) {
+  return bridges
+    .map((bridge, index) => ({ bridge, index, record: ledger[bridge.name] }))
+    .sort((a, b) =>
+      isCoolingDown(a.record, now) - isCoolingDown(b.record, now) ||
+      (b.record?.score ?? 1) - (a.record?.score ?? 1) ||
+      a.index - b.index
+    )
+    .map(entry => entry.bridge);
+}
+
+/**
+ * Fold one request's result into the bridge's health record (mutates ledger).
+ */
+export function recordBridgeResult(ledger, bridge, { ok, latencyMs = null, error = null }, now = new Date(), options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const record = ledger[bridge.name] || {
+    name: bridge.name,
+    type: bridge.type,
+    score: 1,
+    consecutive_failures: 0,
+    requests: 0,
+    failures: 0,
+    avg_latency_ms: null,
+    last_success: null,
+    last_failure: null,
+    last_error: null,
+    cooling_until: null
+  };
+
+  record.requests++;
+  record.score = Math.round(((1 - settings.score_alpha) * record.score + settings.score_alpha * (ok ? 1 : 0)) * 1000) / 1000;
+
+  if (ok) {
+    record.consecutive_failures = 0;
+    record.last_success = now.toISOString();
+    record.cooling_until = null;
+    if (latencyMs !== null) {
+      record.avg_latency_ms = record.avg_latency_ms === null
+        ? latencyMs
+        : Math.round(0.8 * record.avg_latency_ms + 0.2 * latencyMs);
+    }
+  } else {
+    record.failures++;
+    record.consecutive_failures++;
+    record.last_failure = now.toISOString();
+    record.last_error = error;
+    if (record.consecutive_failures >= settings.cooldown_after_failures) {
+      const minutes = Math.min(
+        settings.cooldown_minutes * 2 ** (record.consecutive_failures - settings.cooldown_after_failures),
+        settings.max_cooldown_minutes
+      );
+      record.cooling_until = new Date(now.getTime() + minutes * 60000).toISOString();
+    }
+  }
+
+  ledger[bridge.name] = record;
+  return record;
+}
+
+export default { PATH_TEMPLATES, loadBridges, bridgeUrl, orderBridges, recordBridgeResult };
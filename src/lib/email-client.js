@@ -2,26 +2,29 @@ import nodemailer from 'nodemailer';
 import imapSimple from 'imap-simple';
 import { simpleParser } from 'mailparser';
 import { createLogger } from './logger.js';
+import fs from 'fs';
+import path from 'path';
+import { matchNewsletter, newsletterItems } from './newsletter.js';
+import { followPaperLinks, noteWithoutLinks } from './paper-links.js';
+import { extractAttachments, describeSkipped } from './attachments.js';
+import { screenEmail } from './sender-policy.js';
+import { quarantineEmail } from './storage.js';
+import { loadMailConfig, assertMailConfig, oauthAccessToken, imapOptions, smtpOptions } from './mail-config.js';
 
 const log = createLogger('email');
 
-// ─── SENDING (SMTP via Gmail) ───
+const URL_PATTERN = /https?:\/\/[^\s<>"{}|\\^`\][\n]+/g;
+
+// ─── SENDING (SMTP; Gmail unless MAIL_* says otherwise) ───
 
 let transporter = null;
 
 function getTransporter() {
   if (!transporter) {
-    if (!process.env.GMAIL_USER || !process.env.GMAIL_APP_PASSWORD) {
-      throw new Error('GMAIL_USER and GMAIL_APP_PASSWORD must be set');
-    }
-    transporter = nodemailer.createTransport({
-      service: 'gmail',
-      auth: {
-        user: process.env.GMAIL_USER,
-        pass: process.env.GMAIL_APP_PASSWORD
-      }
-    });
-    log.info('SMTP transporter initialized');
+    const mail = loadMailConfig();
+    assertMailConfig(mail, 'smtp');
+    transporter = nodemailer.createTransport(smtpOptions(mail));
+    log.info(`SMTP transporter initialized (${mail.smtp.host}:${mail.smtp.port}, ${mail.smtp.tls}, ${mail.auth.method})`);
   }
   return transporter;
 }
@@ -37,7 +40,7 @@ function getTransporter() {
  */
 export async function sendEmail({ to, subject, text, html }) {
   const t = getTransporter();
-  const from = `"Daily Paper" <${process.env.GMAIL_USER}>`;
+  const { from } = loadMailConfig();
 
   try {
     const result = await t.sendMail({ from, to, subject, text, html });
@@ -49,34 +52,51 @@ export async function sendEmail({ to, subject, text, html }) {
   }
 }
 
-// ─── RECEIVING (IMAP via Gmail) ───
+// ─── RECEIVING (IMAP) ───
 
 /**
- * Check the paper inbox for new unread emails.
- * Marks them as read after retrieval.
- * @returns {Promise<Array>} Array of parsed email objects
+ * Set an email aside in data/inbox-quarantine.json with the reason it was refused.
  */
-export async function checkInbox() {
-  if (!process.env.GMAIL_USER || !process.env.GMAIL_APP_PASSWORD) {
-    throw new Error('GMAIL_USER and GMAIL_APP_PASSWORD must be set');
+function quarantine(email, reason) {
+  try {
+    quarantineEmail({
+      quarantined_at: new Date().toISOString(),
+      reason,
+      from: email.from,
+      subject: email.subject,
+      date: email.date,
+      message_id: email.message_id,
+      authentication_results: email.authentication_results,
+      text_excerpt: (email.text || '').substring(0, 500),
+      attachments: email.attachments.map(a => a.filename)
+    });
+  } catch (error) {
+    log.error(`Could not write inbox quarantine: ${error.message}`);
   }
+}
 
-  const config = {
-    imap: {
-      user: process.env.GMAIL_USER,
-      password: process.env.GMAIL_APP_PASSWORD,
-      host: 'imap.gmail.com',
-      port: 993,
-      tls: true,
-      tlsOptions: { rejectUnauthorized: false },
-      authTimeout: 10000
-    }
-  };
+/**
+ * Check the paper inbox for new unread emails.
+ * Marks them as read after retrieval. Emails from senders that aren't
+ * allowed, or that fail authentication, are quarantined instead of returned.
+ * @param {object} settings - paper_inbox settings, from loadInboxSettings()
+ * @returns {Promise<Array>} Array of parsed email objects
+ */
+export async function checkInbox(settings = {}) {
+  const mail = loadMailConfig();
+  assertMailConfig(mail, 'imap');
+  const mailbox = settings.mailbox || 'INBOX';
 
   let connection;
   try {
-    connection = await imapSimple.connect(config);
-    await connection.openBox('INBOX');
+    const accessToken = mail.auth.method === 'xoauth2' ? await oauthAccessToken(mail) : null;
+    connection = await imapSimple.connect({
+      imap: imapOptions(mail, {
+        accessToken,
+        rejectUnauthorized: mail.imap.reject_unauthorized && settings.tls_reject_unauthorized !== false
+      })
+    });
+    await connection.openBox(mailbox);
 
     // Search for unread messages
     const searchCriteria = ['UNSEEN'];
@@ -87,7 +107,7 @@ export async function checkInbox() {
     };
 
     const messages = await connection.search(searchCriteria, fetchOptions);
-    log.info(`Found ${messages.length} unread emails in paper inbox`);
+    log.info(`Found ${messages.length} unread emails in ${mailbox}`);
 
     const parsed = [];
     for (const msg of messages) {
@@ -95,8 +115,13 @@ export async function checkInbox() {
         const fullBody = msg.parts.find(p => p.which === '');
         if (fullBody) {
           const email = await simpleParser(fullBody.body);
+          const headerValues = (key) => (email.headerLines || [])
+            .filter(h => h.key === key)
+            .map(h => h.line.replace(/^[^:]+:\s*/, ''));
           parsed.push({
             from: email.from?.text || 'unknown',
+            message_id: email.messageId || null,
+            authentication_results: headerValues('authentication-results'),
             subject: email.subject || '(no subject)',
             date: email.date?.toISOString() || new Date().toISOString(),
             text: email.text || '',
@@ -104,7 +129,10 @@ export async function checkInbox() {
             attachments: (email.attachments || []).map(a => ({
               filename: a.filename,
               contentType: a.contentType,
-              size: a.size
+              contentDisposition: a.contentDisposition,
+              related: a.related === true,
+              size: a.size,
+              content: a.content
             }))
           });
         }
@@ -113,7 +141,18 @@ export async function checkInbox() {
       }
     }
 
-    return parsed;
+    const accepted = [];
+    for (const email of parsed) {
+      const { accepted: ok, reason } = screenEmail(email, settings);
+      if (ok) {
+        accepted.push(email);
+      } else {
+        log.warn(`Quarantined "${email.subject}" from ${email.from}: ${reason}`);
+        quarantine(email, reason);
+      }
+    }
+
+    return accepted;
   } catch (error) {
     log.error(`IMAP connection error: ${error.message}`);
     return [];
@@ -135,8 +174,7 @@ export function extractPaperContent(email) {
   const subject = email.subject || '';
 
   // Extract any URLs from the email body
-  const urlRegex = /https?:\/\/[^\s<>"{}|\\^`\][\n]+/g;
-  const urls = content.match(urlRegex) || [];
+  const urls = content.match(URL_PATTERN) || [];
 
   // Check if this is a forwarded email
   const isForwarded = subject.toLowerCase().startsWith('fwd:') ||
@@ -170,4 +208,69 @@ export function extractPaperContent(email) {
   };
 }
 
-export default { sendEmail, checkInbox, extractPaperContent };
+/**
+ * Inbox handling settings: the `paper_inbox` block of sources.json plus
+ * its `newsletter_sources`.
+ * @param {string} configDir - Path to config/
+ * @returns {object}
+ */
+export function loadInboxSettings(configDir) {
+  const sourcesData = JSON.parse(fs.readFileSync(path.join(configDir, 'sources.json'), 'utf-8'));
+  return {
+    ...(sourcesData.paper_inbox || {}),
+    newsletter_sources: sourcesData.newsletter_sources || []
+  };
+}
+
+/**
+ * Everything one inbox email contributes to the paper: a newsletter from
+ * `newsletter_sources` becomes one item per story; anything else is a
+ * "Send to Paper" item per link it contains (with the linked page as content)
+ * and per readable attachment (with the parsed document as content).
+ * @param {object} email - Parsed email object
+ * @param {object} settings - From loadInboxSettings()
+ * @returns {Promise<Array<object>>} Structured content for the pipeline
+ */
+export async function extractInboxItems(email, settings = {}) {
+  const newsletter = matchNewsletter(email, settings.newsletter_sources || []);
+  if (newsletter) {
+    const items = newsletterItems(email, newsletter);
+    log.info(`Newsletter "${newsletter.name}": ${items.length} stories`);
+    return items;
+  }
+
+  const base = extractPaperContent(email);
+  const { documents, skipped } = await extractAttachments(email.attachments || [], settings);
+
+  // In a forward only the links in Doug's note are his picks; the rest are the forwarded message's footers and signatures
+  const followable = base.is_forwarded ? (base.doug_note || '').match(URL_PATTERN) || [] : base.links;
+  const items = followable.length > 0 ? await followPaperLinks({ ...base, links: followable }, settings) : [];
+  for (const doc of documents) {
+    items.push({
+      ...base,
+      title: doc.title,
+      content: doc.text,
+      link: null,
+      links: [],
+      doug_note: noteWithoutLinks(base.doug_note),
+      email_subject: base.title,
+      attachment: {
+        filename: doc.filename,
+        kind: doc.kind,
+        pages: doc.pages,
+        chars: doc.chars,
+        truncated: doc.truncated
+      }
+    });
+  }
+  if (items.length === 0) items.push(base);
+
+  const summary = describeSkipped(skipped);
+  if (summary) {
+    log.warn(`"${base.title}": ${summary}`);
+    for (const item of items) item.attachments_skipped = summary;
+  }
+  return items;
+}
+
+export default { sendEmail, checkInbox, extractPaperContent, loadInboxSettings, extractInboxItems };
@@ -0,0 +1,124 @@
+/**
+ * Discussion engagement from community sources (Hacker News, Reddit).
+ *
+ * Adapters attach an `engagement` object to each article:
+ *
+ *   { platform, points, comments, upvote_ratio, discussion_url,
+ *     top_comments: [{ author, text, points, replies }] }
+ *
+ * It survives dedup and normalize, is summed per cluster, and is shown to the
+ * signal_timing and disagreement lenses in score-dimensions.
+ */
+import * as cheerio from 'cheerio';
+
+export const PLATFORM_NAMES = {
+  hackernews: 'Hacker News',
+  reddit: 'Reddit'
+};
+
+/**
+ * Plain-text excerpt of a comment, cut at a word boundary.
+ *
+ * @param {string} text - Comment body; HTML (Hacker News) or markdown (Reddit)
+ * @param {number} maxChars
+ */
+export function commentExcerpt(text, maxChars = 280) {
+  const plain = cheerio.load(`<div>${String(text || '').replace(/<p>/gi, ' <p>')}</div>`)('div').first().text()
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (plain.length <= maxChars) return plain;
+  const cut = plain.substring(0, maxChars);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > maxChars * 0.6 ? cut.substring(0, lastSpace) : cut).replace(/[\s,;:.]+$/, '')}…`;
+}
+
+/**
+ * Does a post clear the configured min_points / min_comments?
+ */
+export function meetsThresholds({ points = 0, comments = 0 } = {}, { min_points = 0, min_comments = 0 } = {}) {
+  return (points ?? 0) >= min_points && (comments ?? 0) >= min_comments;
+}
+
+/**
+ * Article body for a discussion: the post's own text (if any) followed by
+ * its top comments, so normalize sees what people actually said.
+ */
+export function discussionContent(engagement, postText = '') {
+  const platform = PLATFORM_NAMES[engagement.platform] || engagement.platform;
+  const lines = [`${engagement.points} points, ${engagement.comments} comments on ${platform}`];
+  if (postText) lines.push('', postText);
+  if (engagement.top_comments.length > 0) {
+    lines.push('', 'Top comments:', ...engagement.top_comments.map(c => `- ${c.author}: ${c.text}`));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * The busiest discussion among duplicate copies of a story, so collapsing an
+ * HN thread into the outlet's own article keeps its engagement.
+ */
+export function busiestEngagement(articles) {
+  return articles
+    .map(a => a.engagement)
+    .filter(Boolean)
+    .sort((a, b) => (b.comments ?? 0) - (a.comments ?? 0) || (b.points ?? 0) - (a.points ?? 0))[0] || null;
+}
+
+/**
+ * Total discussion volume for a cluster, one count per thread (several
+ * assertions often come from the same post).
+ *
+ * @param {Array} assertions - Cluster assertions, each with an optional `engagement`
+ * @returns {{ points, comments, threads: Array, top_comments: Array }|null}
+ */
+export function clusterEngagement(assertions) {
+  const threads = new Map();
+  for (const a of assertions) {
+    const e = a.engagement;
+    if (!e) continue;
+    threads.set(e.discussion_url || `${e.platform}:${threads.size}`, e);
+  }
+  if (threads.size === 0) return null;
+
+  // Busiest thread first; its comments lead the excerpts
+  const list = [...threads.values()].sort((a, b) => (b.comments ?? 0) - (a.comments ?? 0));
+  return {
+    points: list.reduce((sum, e) => sum + (e.points ?? 0), 0),
+    comments: list.reduce((sum, e) => sum + (e.comments ?? 0), 0),
+    threads: list.map(e => ({
+      platform: e.platform,
+      points: e.points ?? 0,
+      comments: e.comments ?? 0,
+      upvote_ratio: e.upvote_ratio ?? null,
+      discussion_url: e.discussion_url || null
+    })),
+    top_comments: list
+      .flatMap(e => (e.top_comments || []).slice(0, 2).map(c => ({ ...c, platform: e.platform })))
+      .slice(0, 5)
+  };
+}
+
+/**
+ * Prompt lines describing a cluster's discussion, or '' when there's none.
+ *
+ * @param {object|null} engagement - From clusterEngagement()
+ */
+export function describeEngagement(engagement) {
+  if (!engagement) return '';
+  const threads = engagement.threads.map(t => {
+    const ratio = typeof t.upvote_ratio === 'number' ? `, ${Math.round(t.upvote_ratio * 100)}% upvoted` : '';
+    return `${PLATFORM_NAMES[t.platform] || t.platform} (${t.points} points, ${t.comments} comments${ratio})`;
+  });
+  const lines = [`Discussion: ${engagement.comments} comments and ${engagement.points} points across ${threads.join('; ')}`];
+  if (engagement.top_comments.length > 0) {
+    lines.push('Top comments:', ...engagement.top_comments.map(c => {
+      const counts = [typeof c.points === 'number' ? `${c.points} points` : null, `${c.replies ?? 0} ${c.replies === 1 ? 'reply' : 'replies'}`].filter(Boolean);
+      return `- ${c.author} (${counts.join(', ')}): "${c.text}"`;
+    }));
+  }
+  return lines.join('\n');
+}
+
+export default {
+  PLATFORM_NAMES, commentExcerpt, meetsThresholds, discussionContent, busiestEngagement, clusterEngagement, describeEngagement
+};
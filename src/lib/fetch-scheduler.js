@@ -0,0 +1,117 @@
+import { createLogger } from './logger.js';
+
+const log = createLogger('fetch-scheduler');
+
+const DEFAULTS = {
+  concurrency: 6,
+  timeout_ms: 15000,
+  retries: 1,
+  retry_delay_ms: 2000
+};
+
+/**
+ * Race a promise against a timer. The underlying request may keep running,
+ * but the scheduler stops waiting for it.
+ */
+function withTimeout(promise, timeoutMs, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(`Timed out after ${timeoutMs}ms (${label})`);
+      err.code = 'FETCH_TIMEOUT';
+      reject(err);
+    }, timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Run one task with its own timeout and retry budget.
+ * Never throws — failures are reported in the outcome.
+ */
+async function runTask(task, settings) {
+  const timeoutMs = task.timeout_ms || settings.timeout_ms;
+  const retries = task.retries ?? settings.retries;
+  const start = Date.now();
+
+  let attempts = 0;
+  let lastError = null;
+
+  while (attempts <= retries) {
+    attempts++;
+    try {
+      const result = await withTimeout(Promise.resolve().then(() => task.run({ timeoutMs })), timeoutMs, task.name);
+      const articles = result?.articles || [];
+      const scores = result?.scores || [];
+      return {
+        outcome: {
+          source: task.name,
+          type: task.type,
+          status: result?.status || 'ok',
+          items: articles.length + scores.length,
+          latency_ms: Date.now() - start,
+          attempts,
+          error: null
+        },
+        articles,
+        scores
+      };
+    } catch (error) {
+      lastError = error;
+      if (attempts <= retries) {
+        log.debug(`Retrying "${task.name}" after error: ${error.message}`);
+        await new Promise(resolve => setTimeout(resolve, settings.retry_delay_ms));
+      }
+    }
+  }
+
+  log.warn(`Source "${task.name}" failed after ${attempts} attempt(s): ${lastError.message}`);
+  return {
+    outcome: {
+      source: task.name,
+      type: task.type,
+      status: lastError.code === 'FETCH_TIMEOUT' ? 'timeout' : 'error',
+      items: 0,
+      latency_ms: Date.now() - start,
+      attempts,
+      error: lastError.message
+    },
+    articles: [],
+    scores: []
+  };
+}
+
+/**
+ * Run fetch tasks in parallel under a concurrency cap.
+ *
+ * Each task is { name, type, run({ timeoutMs }) => { articles, scores, status? }, timeout_ms?, retries? }.
+ * A task may report its own status (e.g. 'not_modified') in place of the default 'ok'.
+ * Results come back in the same order as the tasks, regardless of finish order.
+ *
+ * @param {Array<object>} tasks
+ * @param {object} options - concurrency, timeout_ms, retries, retry_delay_ms
+ * @returns {Promise<Array<{ outcome, articles, scores }>>}
+ */
+export async function runScheduled(tasks, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const concurrency = Math.max(1, settings.concurrency);
+  const results = new Array(tasks.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < tasks.length) {
+      const idx = next++;
+      results[idx] = await runTask(tasks[idx], settings);
+    }
+  }
+
+  const workers = [];
+  for (let i = 0; i < Math.min(concurrency, tasks.length); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+
+  return results;
+}
+
+export default { runScheduled };
@@ -0,0 +1,164 @@
+/**
+ * Record/replay layer for the fetch stage's HTTP requests.
+ *
+ *   HTTP_FIXTURES=record  — make real requests and save every response (or failure)
+ *   HTTP_FIXTURES=replay  — serve saved responses, never touch the network
+ *
+ * Fixtures live in HTTP_FIXTURES_DIR, defaulting to data/http-fixtures/<today>,
+ * one JSON file per URL plus a manifest noting when the recording was made and
+ * the feed cache the recording started from.
+ */
+import axios from 'axios';
+import { createHash } from 'crypto';
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { createLogger } from './logger.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const PROJECT_ROOT = join(__dirname, '..', '..');
+
+const log = createLogger('http-fixtures');
+
+const MODES = ['record', 'replay'];
+
+export function fixtureMode() {
+  const mode = process.env.HTTP_FIXTURES;
+  return MODES.includes(mode) ? mode : null;
+}
+
+export function fixtureDir() {
+  if (process.env.HTTP_FIXTURES_DIR) return resolve(process.env.HTTP_FIXTURES_DIR);
+  return join(PROJECT_ROOT, 'data', 'http-fixtures', new Date().toISOString().split('T')[0]);
+}
+
+/**
+ * Readable, collision-free file name for a URL.
+ */
+export function fixtureFile(url) {
+  const hash = createHash('sha1').update(url).digest('hex').substring(0, 12);
+  let slug = url;
+  try {
+    const parsed = new URL(url);
+    slug = `${parsed.hostname}${parsed.pathname}`;
+  } catch (_) { /* not a URL — slug the raw string */ }
+  slug = slug.replace(/[^a-zA-Z0-9]+/g, '-').replace(/^-|-$/g, '').substring(0, 80);
+  return `${slug}-${hash}.json`;
+}
+
+function manifestPath(dir) {
+  return join(dir, 'manifest.json');
+}
+
+/**
+ * When the fixtures being replayed were recorded — the "now" of that night.
+ * Outside replay mode, the real current time.
+ */
+export function replayClock() {
+  if (fixtureMode() !== 'replay') return new Date();
+  const file = manifestPath(fixtureDir());
+  if (!existsSync(file)) return new Date();
+  return new Date(JSON.parse(readFileSync(file, 'utf-8')).recorded_at);
+}
+
+/**
+ * The feed cache a fetch run starts from. Recording saves a copy of the live
+ * cache next to the fixtures; a replay starts from that copy, so 304s, seen
+ * GUIDs and check_frequency skips play out as they did that night.
+ *
+ * @param {Function} loadLive - Loads the live feed cache (not called in replay)
+ */
+export function startingFeedCache(loadLive) {
+  const file = join(fixtureDir(), 'feed-cache.json');
+  if (fixtureMode() === 'replay') {
+    return existsSync(file) ? JSON.parse(readFileSync(file, 'utf-8')) : {};
+  }
+
+  const cache = loadLive();
+  if (fixtureMode() === 'record') {
+    // The manifest's time is the run's start, which check_frequency skips were judged against
+    startRecording(fixtureDir());
+    writeFileSync(file, JSON.stringify(cache, null, 2));
+  }
+  return cache;
+}
+
+function startRecording(dir) {
+  mkdirSync(dir, { recursive: true });
+  if (!existsSync(manifestPath(dir))) {
+    writeFileSync(manifestPath(dir), JSON.stringify({ recorded_at: new Date().toISOString() }, null, 2));
+  }
+}
+
+function record(url, entry) {
+  const dir = fixtureDir();
+  startRecording(dir);
+  writeFileSync(join(dir, fixtureFile(url)), JSON.stringify({ url, recorded_at: new Date().toISOString(), ...entry }, null, 2));
+}
+
+/**
+ * Rebuild the error axios would have thrown.
+ */
+function replayError(entry) {
+  const err = new Error(entry.error.message);
+  err.code = entry.error.code;
+  if (entry.status) {
+    err.response = { status: entry.status, headers: entry.headers || {}, data: entry.data };
+  }
+  return err;
+}
+
+function replay(url, options) {
+  const file = join(fixtureDir(), fixtureFile(url));
+  if (!existsSync(file)) {
+    const err = new Error(`No recorded response for ${url} in ${fixtureDir()}`);
+    err.code = 'FIXTURE_MISSING';
+    throw err;
+  }
+
+  const entry = JSON.parse(readFileSync(file, 'utf-8'));
+  if (entry.error) throw replayError(entry);
+
+  const validateStatus = options.validateStatus || ((status) => status >= 200 && status < 300);
+  const data = options.responseType === 'text' && typeof entry.data !== 'string'
+    ? JSON.stringify(entry.data)
+    : entry.data;
+  const response = { status: entry.status, headers: entry.headers || {}, data };
+
+  if (!validateStatus(entry.status)) {
+    const err = new Error(`Request failed with status code ${entry.status}`);
+    err.response = response;
+    throw err;
+  }
+  return response;
+}
+
+/**
+ * Drop-in for axios.get that honors the fixture mode.
+ * Failures are recorded too, so a replay reproduces the night's errors.
+ */
+export async function httpGet(url, options = {}) {
+  const mode = fixtureMode();
+  if (mode === 'replay') return replay(url, options);
+
+  try {
+    const response = await axios.get(url, options);
+    if (mode === 'record') {
+      record(url, { status: response.status, headers: JSON.parse(JSON.stringify(response.headers)), data: response.data });
+    }
+    return response;
+  } catch (error) {
+    if (mode === 'record') {
+      record(url, {
+        status: error.response?.status || null,
+        headers: error.response ? JSON.parse(JSON.stringify(error.response.headers)) : null,
+        data: error.response?.data ?? null,
+        error: { message: error.message, code: error.code || null },
+      });
+      log.debug(`Recorded failure for ${url}: ${error.message}`);
+    }
+    throw error;
+  }
+}
+
+export default { fixtureMode, fixtureDir, fixtureFile, replayClock, startingFeedCache, httpGet };
@@ -0,0 +1,324 @@
+/**
+ * Local HTTP intake for "Send to Paper": a bookmarklet (or any script) posts
+ * the current page — URL, title, selected text and a note — and it is
+ * queued like an inbox email.
+ *
+ *   GET  /bookmarklet?token=…   page with the bookmarklet to drag to the bookmarks bar
+ *   GET  /add?url=…             the small form the bookmarklet opens, for adding a note
+ *   POST /queue                 JSON with a Bearer INTAKE_TOKEN, or the /add form
+ *
+ * The token never enters the page the bookmarklet is clicked on: /add hands
+ * its form a one-time nonce instead, which other sites can't read. Requests
+ * must be addressed to the server itself (Host), and POSTs from another
+ * origin are refused.
+ */
+import http from 'http';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { createLogger } from './logger.js';
+import { addToQueue, todayStr } from './storage.js';
+
+const log = createLogger('intake-server');
+
+const DEFAULTS = {
+  enabled: true,
+  host: '127.0.0.1',
+  port: 8787,
+  max_body_bytes: 1024 * 1024,
+  max_text_chars: 20000,
+  // Other names the server is reached by, when `host` exposes it beyond this machine
+  allowed_hosts: []
+};
+
+// How long an /add form stays submittable, and how many can be open at once
+const FORM_TTL_MS = 30 * 60 * 1000;
+const MAX_OPEN_FORMS = 50;
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * The `intake` block of sources.json, with the token from INTAKE_TOKEN.
+ *
+ * @param {string} configDir - Path to config/
+ * @param {object} env - Defaults to process.env
+ */
+export function loadIntakeSettings(configDir, env = process.env) {
+  const sourcesData = JSON.parse(fs.readFileSync(path.join(configDir, 'sources.json'), 'utf-8'));
+  const settings = { ...DEFAULTS, ...(sourcesData.intake || {}) };
+  return {
+    ...settings,
+    port: parseInt(env.INTAKE_PORT, 10) || settings.port,
+    token: env.INTAKE_TOKEN || null
+  };
+}
+
+/**
+ * Constant-time token check.
+ */
+export function tokenMatches(given, expected) {
+  if (!given || !expected) return false;
+  const a = Buffer.from(String(given));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Build the queue item for a submitted page. Throws a 400 error if there's
+ * nothing usable.
+ *
+ * @param {object} fields - url, title, text (selection), note
+ * @param {object} options - max_text_chars
+ */
+export function intakeItem(fields, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const url = String(fields.url || '').trim();
+  const text = String(fields.text || '').trim().substring(0, settings.max_text_chars);
+  const note = String(fields.note || '').trim();
+
+  if (url && !/^https?:\/\//i.test(url)) {
+    throw httpError(400, 'url must be an http(s) URL');
+  }
+  if (!url && !text) {
+    throw httpError(400, 'Send a url or some selected text');
+  }
+
+  const now = new Date().toISOString();
+  return {
+    source: 'Browser',
+    title: String(fields.title || '').trim() || url || text.substring(0, 120),
+    // The selection is what Doug wanted read; the nightly run fetches the full page when it's short
+    content: text,
+    link: url || null,
+    links: url ? [url] : [],
+    published: now,
+    retrieved_at: now,
+    manual_send: true,
+    doug_note: note || null,
+    selected_text: text || null
+  };
+}
+
+/**
+ * The bookmarklet: opens the /add form in a small window with the current
+ * page's URL, title and selection filled in. It carries no token — it runs
+ * inside whatever page it's clicked on.
+ *
+ * @param {string} baseUrl - e.g. http://127.0.0.1:8787
+ */
+export function bookmarkletSource(baseUrl) {
+  const script = `(function(){var e=encodeURIComponent,s=String(window.getSelection()).slice(0,5000);` +
+    `window.open('${baseUrl}/add?url='+e(location.href)+'&title='+e(document.title)+'&text='+e(s),'daily-paper','width=520,height=460');})();`;
+  return `javascript:${script}`;
+}
+
+/**
+ * Is the request addressed to the intake server itself? A Host naming some
+ * other site means DNS rebinding; an Origin other than our own means another
+ * site's page is posting. Scripts (curl) send no Origin.
+ *
+ * @param {object} headers - Request headers
+ * @param {string[]} hosts - Host values the server answers to, e.g. "127.0.0.1:8787"
+ */
+export function isSameOrigin(headers, hosts) {
+  const host = String(headers.host || '').toLowerCase();
+  if (!hosts.includes(host)) return false;
+  return !headers.origin || headers.origin.toLowerCase() === `http://${host}`;
+}
+
+/**
+ * One-time nonces for the /add form, in place of the token.
+ */
+function formNonces() {
+  const open = new Map();
+  const prune = (now) => {
+    for (const [nonce, expires] of open) {
+      if (expires <= now) open.delete(nonce);
+    }
+  };
+
+  return {
+    issue(now = Date.now()) {
+      prune(now);
+      // Anything can GET /add, so don't let it grow without bound — the oldest form goes first
+      while (open.size >= MAX_OPEN_FORMS) open.delete(open.keys().next().value);
+      const nonce = crypto.randomBytes(18).toString('base64url');
+      open.set(nonce, now + FORM_TTL_MS);
+      return nonce;
+    },
+    redeem(nonce, now = Date.now()) {
+      const expires = open.get(String(nonce || ''));
+      open.delete(String(nonce || ''));
+      return Boolean(expires && expires > now);
+    }
+  };
+}
+
+function page(title, body) {
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title>
+<style>body{font:15px -apple-system,system-ui,sans-serif;margin:24px;max-width:640px}input,textarea{width:100%;font:inherit;margin:4px 0 12px}textarea{height:90px}pre{white-space:pre-wrap;background:#f4f4f4;padding:8px}</style>
+</head><body>${body}</body></html>`;
+}
+
+function bookmarkletPage(baseUrl) {
+  const curl = `curl -X POST ${baseUrl}/queue \\
+  -H "Authorization: Bearer $INTAKE_TOKEN" -H "Content-Type: application/json" \\
+  -d '{"url": "https://example.com/story", "note": "why it matters"}'`;
+  return page('Send to Paper', `<h1>Send to Paper</h1>
+<p>Drag this to your bookmarks bar, then click it on any article (select text first to include a quote):</p>
+<p><a href="${escapeHtml(bookmarkletSource(baseUrl))}">📰 Send to Paper</a></p>
+<p>From a script:</p>
+<pre>${escapeHtml(curl)}</pre>`);
+}
+
+function addFormPage(query, nonce) {
+  return page('Send to Paper', `<h1>Send to Paper</h1>
+<form method="post" action="/queue">
+<input type="hidden" name="nonce" value="${escapeHtml(nonce)}">
+<label>Title<input name="title" value="${escapeHtml(query.get('title'))}"></label>
+<label>URL<input name="url" value="${escapeHtml(query.get('url'))}"></label>
+<label>Selected text<textarea name="text">${escapeHtml(query.get('text'))}</textarea></label>
+<label>Your note<textarea name="note" autofocus></textarea></label>
+<button type="submit">Add to the paper</button>
+</form>`);
+}
+
+function readBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        reject(httpError(413, `Body over ${maxBytes} bytes`));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+    req.on('error', reject);
+  });
+}
+
+function parseBody(raw, contentType) {
+  if (contentType.includes('application/json')) {
+    try {
+      return JSON.parse(raw || '{}');
+    } catch (error) {
+      throw httpError(400, `Invalid JSON body: ${error.message}`);
+    }
+  }
+  return Object.fromEntries(new URLSearchParams(raw));
+}
+
+function bearerToken(req) {
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+function send(res, status, body, type = 'application/json') {
+  const text = type === 'application/json' ? JSON.stringify(body) : body;
+  res.writeHead(status, {
+    'Content-Type': `${type}; charset=utf-8`,
+    'Cache-Control': 'no-store',
+    'X-Content-Type-Options': 'nosniff',
+    // The add form must not be framed by a page that could click it for you
+    'X-Frame-Options': 'DENY',
+    'Content-Security-Policy': "frame-ancestors 'none'"
+  });
+  res.end(text);
+}
+
+/**
+ * Create the intake server (not yet listening).
+ *
+ * @param {object} settings - From loadIntakeSettings(); needs `token`
+ * @param {object} deps - queue(item) → stored item; defaults to addToQueue for today
+ * @returns {http.Server}
+ */
+export function createIntakeServer(settings, { queue = item => addToQueue(todayStr(), item) } = {}) {
+  const config = { ...DEFAULTS, ...settings };
+  if (!config.token) {
+    throw new Error('INTAKE_TOKEN is not set — the intake server will not run without one');
+  }
+
+  const nonces = formNonces();
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const baseUrl = `http://${req.headers.host || `${config.host}:${config.port}`}`;
+    const wantsHtml = !(req.headers['content-type'] || '').includes('application/json');
+    const port = req.socket.localPort;
+    const hosts = [...new Set([config.host, '127.0.0.1', 'localhost', ...config.allowed_hosts])].map(h => `${h}:${port}`.toLowerCase());
+
+    try {
+      if (req.method === 'GET' && url.pathname === '/health') {
+        return send(res, 200, { ok: true });
+      }
+
+      if (!isSameOrigin(req.headers, hosts)) throw httpError(403, 'Requests must come from the intake server itself');
+
+      if (req.method === 'GET' && url.pathname === '/bookmarklet') {
+        if (!tokenMatches(url.searchParams.get('token'), config.token)) throw httpError(401, 'Bad or missing token');
+        return send(res, 200, bookmarkletPage(baseUrl), 'text/html');
+      }
+
+      if (req.method === 'GET' && url.pathname === '/add') {
+        return send(res, 200, addFormPage(url.searchParams, nonces.issue()), 'text/html');
+      }
+
+      if (req.method === 'POST' && url.pathname === '/queue') {
+        const fields = parseBody(await readBody(req, config.max_body_bytes), req.headers['content-type'] || '');
+        const bearer = bearerToken(req);
+        const allowed = bearer ? tokenMatches(bearer, config.token) : nonces.redeem(fields.nonce);
+        if (!allowed) throw httpError(401, 'Bad or missing token');
+
+        const queued = queue(intakeItem(fields, config));
+        log.info(`Queued ${queued.id} from the browser: "${queued.title}"`);
+
+        if (wantsHtml) {
+          return send(res, 201, page('Added', `<p>✓ Added to tomorrow's paper consideration: <b>${escapeHtml(queued.title)}</b></p>
+<script>setTimeout(function(){window.close()},1500)</script>`), 'text/html');
+        }
+        return send(res, 201, { ok: true, id: queued.id, title: queued.title });
+      }
+
+      throw httpError(404, 'Not found');
+    } catch (error) {
+      const status = error.status || 500;
+      if (status === 500) log.error(`Intake request failed: ${error.message}`);
+      if (!res.headersSent) send(res, status, { ok: false, error: error.message });
+    }
+  });
+}
+
+/**
+ * Start listening. Binds to 127.0.0.1 unless `host` says otherwise.
+ * @returns {Promise<http.Server>}
+ */
+export function startIntakeServer(settings, deps) {
+  const server = createIntakeServer(settings, deps);
+  const { host, port } = { ...DEFAULTS, ...settings };
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      log.info(`Intake server listening on http://${host}:${server.address().port} (bookmarklet at /bookmarklet?token=…)`);
+      resolve(server);
+    });
+  });
+}
+
+export default {
+  loadIntakeSettings, tokenMatches, intakeItem, bookmarkletSource, isSameOrigin, createIntakeServer, startIntakeServer
+};
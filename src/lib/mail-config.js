@@ -0,0 +1,193 @@
+/**
+ * Mail server settings for sending the paper and reading the paper inbox.
+ * Gmail with an app password is the default; any IMAP/SMTP provider
+ * (Fastmail, Exchange/Office 365, a local test server) can be configured
+ * through MAIL_* environment variables, with password or OAuth2 (XOAUTH2) auth.
+ */
+import axios from 'axios';
+
+// Known providers; MAIL_IMAP_* / MAIL_SMTP_* override any of these
+export const PROVIDERS = {
+  gmail: {
+    imap: { host: 'imap.gmail.com', port: 993, tls: 'implicit' },
+    smtp: { host: 'smtp.gmail.com', port: 465, tls: 'implicit' },
+    token_url: 'https://oauth2.googleapis.com/token'
+  },
+  fastmail: {
+    imap: { host: 'imap.fastmail.com', port: 993, tls: 'implicit' },
+    smtp: { host: 'smtp.fastmail.com', port: 465, tls: 'implicit' },
+    token_url: null
+  },
+  outlook: {
+    imap: { host: 'outlook.office365.com', port: 993, tls: 'implicit' },
+    smtp: { host: 'smtp.office365.com', port: 587, tls: 'starttls' },
+    token_url: 'https://login.microsoftonline.com/common/oauth2/v2.0/token'
+  },
+  custom: {
+    imap: {},
+    smtp: {},
+    token_url: null
+  }
+};
+
+const TLS_MODES = ['implicit', 'starttls', 'none'];
+
+const DEFAULT_PORTS = {
+  imap: { implicit: 993, starttls: 143, none: 143 },
+  smtp: { implicit: 465, starttls: 587, none: 25 }
+};
+
+function serverSettings(kind, preset, env) {
+  const prefix = `MAIL_${kind.toUpperCase()}`;
+  const tls = (env[`${prefix}_TLS`] || preset.tls || 'implicit').toLowerCase();
+  if (!TLS_MODES.includes(tls)) {
+    throw new Error(`${prefix}_TLS must be one of ${TLS_MODES.join(', ')} (got "${tls}")`);
+  }
+  return {
+    host: env[`${prefix}_HOST`] || preset.host || null,
+    port: parseInt(env[`${prefix}_PORT`], 10) || (env[`${prefix}_TLS`] ? null : preset.port) || DEFAULT_PORTS[kind][tls],
+    tls,
+    reject_unauthorized: env.MAIL_TLS_REJECT_UNAUTHORIZED !== 'false'
+  };
+}
+
+/**
+ * Read mail settings from the environment.
+ * GMAIL_USER / GMAIL_APP_PASSWORD still work as the user and password.
+ *
+ * @param {object} env - Defaults to process.env
+ * @returns {{ provider, user, from, imap, smtp, auth }}
+ */
+export function loadMailConfig(env = process.env) {
+  const provider = (env.MAIL_PROVIDER || 'gmail').toLowerCase();
+  const preset = PROVIDERS[provider];
+  if (!preset) {
+    throw new Error(`Unknown MAIL_PROVIDER "${provider}" — use ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  const user = env.MAIL_USER || env.GMAIL_USER || env.GMAIL_ADDRESS || null;
+  const method = (env.MAIL_AUTH || 'password').toLowerCase();
+  if (!['password', 'xoauth2'].includes(method)) {
+    throw new Error(`MAIL_AUTH must be "password" or "xoauth2" (got "${method}")`);
+  }
+
+  return {
+    provider,
+    user,
+    from: env.MAIL_FROM || (user ? `"Daily Paper" <${user}>` : null),
+    imap: serverSettings('imap', preset.imap, env),
+    smtp: serverSettings('smtp', preset.smtp, env),
+    auth: {
+      method,
+      password: env.MAIL_PASSWORD || env.GMAIL_APP_PASSWORD || null,
+      access_token: env.MAIL_OAUTH_ACCESS_TOKEN || null,
+      client_id: env.MAIL_OAUTH_CLIENT_ID || null,
+      client_secret: env.MAIL_OAUTH_CLIENT_SECRET || null,
+      refresh_token: env.MAIL_OAUTH_REFRESH_TOKEN || null,
+      token_url: env.MAIL_OAUTH_TOKEN_URL || preset.token_url
+    }
+  };
+}
+
+/**
+ * Throw a setup error naming what's missing for sending or receiving.
+ *
+ * @param {object} config - From loadMailConfig()
+ * @param {'imap'|'smtp'} kind
+ */
+export function assertMailConfig(config, kind) {
+  const missing = [];
+  if (!config.user) missing.push('MAIL_USER (or GMAIL_USER)');
+  if (!config[kind].host) missing.push(`MAIL_${kind.toUpperCase()}_HOST`);
+
+  const { auth } = config;
+  if (auth.method === 'password' && !auth.password) {
+    missing.push('MAIL_PASSWORD (or GMAIL_APP_PASSWORD)');
+  }
+  if (auth.method === 'xoauth2' && !auth.access_token && !(auth.client_id && auth.client_secret && auth.refresh_token && auth.token_url)) {
+    missing.push('MAIL_OAUTH_ACCESS_TOKEN, or MAIL_OAUTH_CLIENT_ID + MAIL_OAUTH_CLIENT_SECRET + MAIL_OAUTH_REFRESH_TOKEN (+ MAIL_OAUTH_TOKEN_URL)');
+  }
+
+  if (missing.length > 0) {
+    throw new Error(`Mail ${kind === 'imap' ? 'receiving' : 'sending'} is not configured: set ${missing.join(', ')}`);
+  }
+}
+
+/**
+ * An OAuth2 access token: the configured one, or a fresh one from the refresh token.
+ */
+export async function oauthAccessToken(config) {
+  const { auth } = config;
+  if (auth.access_token) return auth.access_token;
+
+  const response = await axios.post(auth.token_url, new URLSearchParams({
+    grant_type: 'refresh_token',
+    client_id: auth.client_id,
+    client_secret: auth.client_secret,
+    refresh_token: auth.refresh_token
+  }).toString(), {
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    timeout: 10000
+  });
+  return response.data.access_token;
+}
+
+/**
+ * SASL XOAUTH2 initial client response, base64-encoded.
+ */
+export function xoauth2String(user, accessToken) {
+  return Buffer.from(`user=${user}\x01auth=Bearer ${accessToken}\x01\x01`).toString('base64');
+}
+
+/**
+ * Connection options for imap-simple / node-imap.
+ *
+ * @param {object} config - From loadMailConfig()
+ * @param {object} options - accessToken (xoauth2), rejectUnauthorized override
+ */
+export function imapOptions(config, { accessToken = null, rejectUnauthorized = config.imap.reject_unauthorized } = {}) {
+  const { imap, auth } = config;
+  return {
+    user: config.user,
+    ...(auth.method === 'xoauth2'
+      ? { xoauth2: xoauth2String(config.user, accessToken) }
+      : { password: auth.password }),
+    host: imap.host,
+    port: imap.port,
+    tls: imap.tls === 'implicit',
+    // node-imap upgrades with STARTTLS when autotls is 'always'
+    autotls: imap.tls === 'starttls' ? 'always' : 'never',
+    tlsOptions: { rejectUnauthorized, servername: imap.host },
+    authTimeout: 10000
+  };
+}
+
+/**
+ * Transport options for nodemailer. OAuth2 tokens are refreshed by nodemailer itself.
+ *
+ * @param {object} config - From loadMailConfig()
+ */
+export function smtpOptions(config) {
+  const { smtp, auth } = config;
+  return {
+    host: smtp.host,
+    port: smtp.port,
+    secure: smtp.tls === 'implicit',
+    requireTLS: smtp.tls === 'starttls',
+    ignoreTLS: smtp.tls === 'none',
+    tls: { rejectUnauthorized: smtp.reject_unauthorized },
+    auth: auth.method === 'xoauth2'
+      ? {
+        type: 'OAuth2',
+        user: config.user,
+        accessToken: auth.access_token || undefined,
+        clientId: auth.client_id || undefined,
+        clientSecret: auth.client_secret || undefined,
+        refreshToken: auth.refresh_token || undefined,
+        accessUrl: auth.token_url || undefined
+      }
+      : { user: config.user, pass: auth.password }
+  };
+}
+
+export default { PROVIDERS, loadMailConfig, assertMailConfig, oauthAccessToken, xoauth2String, imapOptions, smtpOptions };
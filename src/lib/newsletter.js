@@ -0,0 +1,221 @@
+/**
+ * Newsletter-aware parsing for the paper inbox. Issues from senders listed in
+ * `newsletter_sources` are split into one item per story (headline, blurb,
+ * outbound link) instead of becoming a single article.
+ */
+import * as cheerio from 'cheerio';
+
+// Sections that are newsletter furniture rather than stories
+const BOILERPLATE = /unsubscribe|manage (your )?(subscription|preferences)|view (this )?(email )?in (your )?browser|share this|refer a friend|sponsor|advertise|presented by|together with|update your profile|privacy policy|follow us|forwarded this|sign up|subscribe/i;
+
+// Links that never point at the story itself
+const SKIP_LINK = /^mailto:|^tel:|^#|unsubscribe|list-manage|manage-preferences|\/preferences|\/referral|\/refer\b|twitter\.com\/intent|x\.com\/intent|facebook\.com\/sharer|linkedin\.com\/share/i;
+
+const HEADINGS = 'h1, h2, h3, h4';
+const BLOCKS = 'p, li, blockquote, td';
+const MAX_BLURB = 600;
+
+function cleanText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Bare address from a From header ("The Rundown <news@x.com>" → "news@x.com").
+ */
+export function senderAddress(from) {
+  const text = String(from || '');
+  const match = text.match(/<([^>]+)>/) || text.match(/[\w.+-]+@[\w-]+(\.[\w-]+)+/);
+  return (match ? match[1] || match[0] : text).trim().toLowerCase();
+}
+
+/**
+ * Original sender of a forwarded email, read from the forward header
+ * (Gmail's "Forwarded message" block or Apple Mail's "Begin forwarded message").
+ */
+export function forwardedSender(email) {
+  const text = email.text || '';
+  const match = text.match(/(?:-{5,}\s*Forwarded message\s*-{5,}|Begin forwarded message:)[\s\S]*?^\s*From:\s*(.+)$/im);
+  return match ? senderAddress(match[1]) : null;
+}
+
+/**
+ * Does an address match a sender pattern — an exact address, or a domain
+ * ("therundown.ai" / "@therundown.ai") covering its subdomains?
+ */
+export function senderMatches(address, pattern) {
+  const wanted = String(pattern || '').trim().toLowerCase();
+  if (!address || !wanted) return false;
+  if (wanted.includes('@') && !wanted.startsWith('@')) return address === wanted;
+  const domain = wanted.replace(/^@/, '');
+  const host = address.split('@')[1] || '';
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+/**
+ * Which configured newsletter, if any, an email is — matched on the sender
+ * or, for forwards, the original sender.
+ *
+ * @param {object} email - Parsed email from checkInbox()
+ * @param {Array} newsletterSources - `newsletter_sources` from sources.json
+ * @returns {object|null} The matching newsletter entry
+ */
+export function matchNewsletter(email, newsletterSources = []) {
+  const candidates = [forwardedSender(email), senderAddress(email.from)].filter(Boolean);
+  return newsletterSources.find(n =>
+    n.enabled !== false &&
+    (n.senders || []).some(pattern => candidates.some(address => senderMatches(address, pattern)))
+  ) || null;
+}
+
+function isStoryLink(href) {
+  return /^https?:\/\//i.test(href || '') && !SKIP_LINK.test(href);
+}
+
+/**
+ * Walk the issue in document order, starting a new section at each heading
+ * and collecting the text and links of the blocks that follow it.
+ */
+function headingSections($, $root) {
+  const sections = [];
+  let current = null;
+
+  $root.find(`${HEADINGS}, ${BLOCKS}`).each((_, el) => {
+    const $el = $(el);
+
+    if ($el.is(HEADINGS)) {
+      current = {
+        title: cleanText($el.text()),
+        links: $el.find('a').toArray().map(a => $(a).attr('href')),
+        paragraphs: []
+      };
+      sections.push(current);
+      return;
+    }
+
+    // Only the innermost blocks carry text; layout tables nest them deeply
+    if (!current || $el.find(`${HEADINGS}, ${BLOCKS}`).length > 0) return;
+    const text = cleanText($el.text());
+    if (!text) return;
+    current.paragraphs.push(text);
+    current.links.push(...$el.find('a').toArray().map(a => $(a).attr('href')));
+  });
+
+  return sections;
+}
+
+/**
+ * Issues without headings often lead each story with a bold phrase:
+ * "<p><strong>Title.</strong> Blurb... <a>Read more</a></p>".
+ */
+function boldLedSections($, $root) {
+  const sections = [];
+  $root.find('p, li').each((_, el) => {
+    const $el = $(el);
+    const $lead = $el.children('strong, b').first();
+    if ($lead.length === 0 || $el.find('p, li').length > 0) return;
+
+    const title = cleanText($lead.text()).replace(/[.:—-]\s*$/, '');
+    const paragraph = cleanText($el.text()).slice(cleanText($lead.text()).length).replace(/^[.:—-]\s*/, '').trim();
+    sections.push({
+      title,
+      links: $el.find('a').toArray().map(a => $(a).attr('href')),
+      paragraphs: paragraph ? [paragraph] : []
+    });
+  });
+  return sections;
+}
+
+function truncate(text, max) {
+  if (text.length <= max) return text;
+  const cut = text.slice(0, max);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : max)}…`;
+}
+
+/**
+ * Split a newsletter issue's HTML into stories.
+ * Sections without an outbound link, or that are sponsor/footer furniture, are dropped.
+ *
+ * @param {string} html - The email's HTML part
+ * @param {object} options - maxItems
+ * @returns {Array<{ title: string, blurb: string, link: string }>}
+ */
+export function splitNewsletter(html, { maxItems = 20 } = {}) {
+  const $ = cheerio.load(html || '');
+  $('script, style, head, .gmail_attr').remove();
+
+  // In a forward, the original issue sits inside the quote block
+  const $quote = $('.gmail_quote, blockquote[type="cite"]').first();
+  const $root = $quote.length > 0 ? $quote : $('body');
+
+  let sections = headingSections($, $root);
+  if (sections.filter(s => s.links.some(isStoryLink)).length < 2) {
+    sections = boldLedSections($, $root);
+  }
+
+  const seen = new Set();
+  const items = [];
+  for (const section of sections) {
+    const link = section.links.find(isStoryLink);
+    if (!section.title || !link) continue;
+    if (BOILERPLATE.test(section.title)) continue;
+    if (seen.has(link)) continue;
+    seen.add(link);
+
+    items.push({
+      title: section.title,
+      blurb: truncate(section.paragraphs.join('\n\n'), MAX_BLURB),
+      link
+    });
+  }
+
+  return items.slice(0, maxItems);
+}
+
+/**
+ * Doug's note above the forward header, if he wrote one.
+ */
+function forwardNote(text) {
+  const marker = (text || '').search(/-{5,}\s*Forwarded message\s*-{5,}|Begin forwarded message:/i);
+  return marker > 0 ? text.substring(0, marker).trim() : null;
+}
+
+/**
+ * One queue-ready item per story in a newsletter email, tagged with the
+ * newsletter as its source. Falls back to a single item for the whole
+ * issue when the HTML has no recognizable stories.
+ *
+ * @param {object} email - Parsed email from checkInbox()
+ * @param {object} newsletter - Matching `newsletter_sources` entry
+ * @returns {Array<object>}
+ */
+export function newsletterItems(email, newsletter) {
+  const retrievedAt = new Date().toISOString();
+  const issue = (email.subject || '').replace(/^(fwd?:|fw:)\s*/i, '').trim();
+  const common = {
+    source: newsletter.name,
+    published: email.date,
+    retrieved_at: retrievedAt,
+    // Subscriptions compete in ranking like any feed; only Doug's own sends are forced in
+    manual_send: false,
+    doug_note: forwardNote(email.text),
+    category: newsletter.category || 'newsletter',
+    newsletter: newsletter.name,
+    newsletter_issue: issue
+  };
+
+  const stories = splitNewsletter(email.html, { maxItems: newsletter.max_items });
+  if (stories.length === 0) {
+    const urls = (email.text || '').match(/https?:\/\/[^\s<>"{}|\\^`\][\n]+/g) || [];
+    return [{ ...common, title: issue || newsletter.name, content: email.text || '', link: urls[0] || null, links: urls }];
+  }
+
+  return stories.map(story => ({
+    ...common,
+    title: story.title,
+    content: story.blurb,
+    link: story.link,
+    links: [story.link]
+  }));
+}
+
+export default { senderAddress, forwardedSender, senderMatches, matchNewsletter, splitNewsletter, newsletterItems };
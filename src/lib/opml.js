@@ -0,0 +1,124 @@
+/**
+ * OPML parsing, merging and writing for the source list.
+ */
+import * as cheerio from 'cheerio';
+import { canonicalizeUrl } from './urls.js';
+
+/**
+ * Folder name → category id ("Dev Tools" → "dev_tools").
+ */
+export function folderToCategory(folder) {
+  return (folder || '').toLowerCase().trim().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+/**
+ * Parse an OPML document into a flat feed list.
+ * Each feed remembers its top-level folder (nested folders fold into it).
+ *
+ * @param {string} xml
+ * @returns {Array<{ name: string, url: string, html_url: string|null, folder: string|null }>}
+ */
+export function parseOpml(xml) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const feeds = [];
+
+  function walk(el, folder) {
+    $(el).children('outline').each((_, child) => {
+      const $child = $(child);
+      const label = $child.attr('title') || $child.attr('text') || '';
+      const xmlUrl = $child.attr('xmlUrl') || $child.attr('xmlurl');
+
+      if (xmlUrl) {
+        feeds.push({
+          name: label || xmlUrl,
+          url: xmlUrl.trim(),
+          html_url: $child.attr('htmlUrl') || null,
+          folder,
+        });
+      } else {
+        walk(child, folder || label);
+      }
+    });
+  }
+
+  walk($('opml > body').first(), null);
+  return feeds;
+}
+
+/**
+ * Add OPML feeds to an rss_feeds list, skipping any whose normalized URL is
+ * already present (in the list or earlier in the OPML).
+ *
+ * @param {Array} existing - Current rss_feeds
+ * @param {Array} incoming - Output of parseOpml()
+ * @param {object} options - defaultCategory, checkFrequency
+ * @returns {{ feeds: Array, added: Array, duplicates: Array }}
+ */
+export function mergeFeeds(existing, incoming, { defaultCategory = 'news', checkFrequency = 1800 } = {}) {
+  const known = new Map(existing.map(f => [canonicalizeUrl(f.url), f]));
+  const added = [];
+  const duplicates = [];
+
+  for (const feed of incoming) {
+    const key = canonicalizeUrl(feed.url);
+    if (known.has(key)) {
+      duplicates.push({ name: feed.name, url: feed.url, existing: known.get(key).name });
+      continue;
+    }
+
+    const entry = {
+      name: feed.name,
+      url: feed.url,
+      category: folderToCategory(feed.folder) || defaultCategory,
+      check_frequency: checkFrequency,
+    };
+    known.set(key, entry);
+    added.push(entry);
+  }
+
+  return { feeds: [...existing, ...added], added, duplicates };
+}
+
+function escapeAttr(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function outline(attrs, children) {
+  const attrText = Object.entries(attrs)
+    .filter(([, v]) => v !== null && v !== undefined && v !== '')
+    .map(([k, v]) => `${k}="${escapeAttr(v)}"`)
+    .join(' ');
+  if (!children) return `<outline ${attrText}/>`;
+  return `<outline ${attrText}>\n${children.map(c => `      ${c}`).join('\n')}\n    </outline>`;
+}
+
+/**
+ * Write folders of outlines as an OPML 2.0 document.
+ *
+ * @param {string} title
+ * @param {Array<{ folder: string, items: Array<object> }>} groups - items are outline attributes
+ */
+export function buildOpml(title, groups) {
+  const body = groups
+    .filter(g => g.items.length > 0)
+    .map(g => `    ${outline({ text: g.folder, title: g.folder }, g.items.map(item => outline(item)))}`)
+    .join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<opml version="2.0">
+  <head>
+    <title>${escapeAttr(title)}</title>
+    <dateCreated>${new Date().toUTCString()}</dateCreated>
+  </head>
+  <body>
+${body}
+  </body>
+</opml>
+`;
+}
+
+export default { folderToCategory, parseOpml, mergeFeeds, buildOpml };
@@ -0,0 +1,125 @@
+/**
+ * Follow the links in a "Send to Paper" email: fetch each page and use its
+ * title and readable text as the item's content, so the model reads the
+ * article rather than a bare URL.
+ */
+import { createLogger } from './logger.js';
+import { httpGet } from './http-fixtures.js';
+import { extractReadableText } from './readability.js';
+import { USER_AGENT, canonicalizeUrl } from './urls.js';
+
+const log = createLogger('paper-links');
+
+const DEFAULTS = {
+  follow_links: true,
+  max_links: 5,
+  link_timeout_ms: 15000,
+  max_html_bytes: 2000000,
+  max_content_chars: 20000
+};
+
+// Links in a message that are never the thing being sent
+const SKIP_LINK = /unsubscribe|list-manage|\/preferences|accounts\.google\.com|support\.google\.com|mail\.google\.com/i;
+
+const URL_PATTERN = /https?:\/\/[^\s<>"{}|\\^`\][\n]+/g;
+
+/**
+ * Distinct, followable links in the order they appear.
+ */
+export function paperLinks(links = [], maxLinks = DEFAULTS.max_links) {
+  const seen = new Set();
+  const result = [];
+  for (const raw of links) {
+    const link = raw.replace(/[).,;:!?'"]+$/, '');
+    const key = canonicalizeUrl(link);
+    if (SKIP_LINK.test(link) || seen.has(key)) continue;
+    seen.add(key);
+    result.push(link);
+  }
+  return result.slice(0, maxLinks);
+}
+
+/**
+ * The sender's note with the pasted URLs taken out; null if nothing else was written.
+ */
+export function noteWithoutLinks(note) {
+  const text = (note || '').replace(URL_PATTERN, '').replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+  return text || null;
+}
+
+/**
+ * Fetch one page and pull out its title and readable body.
+ * Throws on network errors and non-HTML responses.
+ *
+ * @returns {Promise<{ title: string|null, text: string, method: string, truncated: boolean }>}
+ */
+export async function fetchLinkedPage(url, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const response = await httpGet(url, {
+    timeout: settings.link_timeout_ms,
+    maxContentLength: settings.max_html_bytes,
+    responseType: 'text',
+    headers: { 'User-Agent': USER_AGENT, Accept: 'text/html,application/xhtml+xml' },
+  });
+
+  const contentType = response.headers['content-type'] || '';
+  if (!contentType.includes('html')) {
+    throw new Error(`Not an HTML page (${contentType || 'no content-type'})`);
+  }
+
+  const { title, text, method } = extractReadableText(response.data);
+  return {
+    title,
+    text: text.substring(0, settings.max_content_chars),
+    method,
+    truncated: text.length > settings.max_content_chars
+  };
+}
+
+/**
+ * Turn one extracted "Send to Paper" item into one item per link, each
+ * carrying the linked page as its content. A link that can't be fetched
+ * still becomes an item, with the email body as content, so nothing Doug
+ * sent is lost.
+ *
+ * @param {object} item - Output of extractPaperContent()
+ * @param {object} options - follow_links, max_links, link_timeout_ms, max_content_chars
+ * @returns {Promise<Array<object>>}
+ */
+export async function followPaperLinks(item, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const links = paperLinks(item.links || [], settings.max_links);
+
+  if (!settings.follow_links || links.length === 0) {
+    return [item];
+  }
+
+  const note = noteWithoutLinks(item.doug_note);
+  const items = [];
+
+  for (const link of links) {
+    const base = { ...item, link, links: [link], doug_note: note, email_subject: item.title };
+    try {
+      const page = await fetchLinkedPage(link, settings);
+      items.push({
+        ...base,
+        title: page.title || item.title || link,
+        content: page.text || item.content,
+        extraction: {
+          method: page.method,
+          chars: page.text.length,
+          truncated: page.truncated,
+          extracted_at: new Date().toISOString()
+        }
+      });
+      log.info(`Followed ${link}: "${page.title || 'untitled'}" (${page.text.length} chars)`);
+    } catch (error) {
+      log.warn(`Could not fetch ${link}: ${error.message}`);
+      items.push({ ...base, title: item.title || link, link_error: error.message });
+    }
+  }
+
+  return items;
+}
+
+export default { paperLinks, noteWithoutLinks, fetchLinkedPage, followPaperLinks };
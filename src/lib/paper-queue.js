@@ -0,0 +1,200 @@
+/**
+ * Lifecycle of "Send to Paper" queue items.
+ *
+ *   pending  → consumed   the nightly run used it and the paper was saved
+ *   pending  → expired    nobody claimed it within carry_over_days
+ *   pending  → rejected   empty, already in an earlier paper, or rejected by hand
+ *
+ * Items live in data/queue/<date queued>.json. The nightly run claims every
+ * pending item whatever file it is in, so it doesn't matter whether an item
+ * arrived before or after midnight.
+ */
+import { loadQueue, saveQueue, listQueueDates } from './storage.js';
+import { canonicalizeUrl } from './urls.js';
+
+export const QUEUE_STATUSES = ['pending', 'consumed', 'expired', 'rejected'];
+
+const DEFAULTS = {
+  carry_over_days: 3
+};
+
+/**
+ * Fill in id/status/queued_at for items written before the queue had a lifecycle.
+ */
+export function normalizeQueueItem(item, dateStr, index) {
+  return {
+    ...item,
+    id: item.id || `${dateStr}-${index}`,
+    status: QUEUE_STATUSES.includes(item.status) ? item.status : 'pending',
+    queued_at: item.queued_at || item.retrieved_at || `${dateStr}T00:00:00.000Z`
+  };
+}
+
+/**
+ * Every queue file, as { [date]: items[] }.
+ */
+export function readQueueFiles() {
+  const files = {};
+  for (const date of listQueueDates()) {
+    files[date] = loadQueue(date).map((item, i) => normalizeQueueItem(item, date, i));
+  }
+  return files;
+}
+
+function writeQueueFiles(files, dates) {
+  for (const date of dates) saveQueue(date, files[date]);
+}
+
+function setStatus(item, status, now, fields = {}) {
+  Object.assign(item, { status, status_changed_at: now.toISOString() }, fields);
+}
+
+/**
+ * Decide what happens to each pending item on a nightly run (mutates files).
+ *
+ * @param {object} files - From readQueueFiles()
+ * @param {object} options - carry_over_days, now
+ * @returns {{ claimed: Array, expired: Array, rejected: Array, changed: Set<string> }}
+ */
+export function claimQueue(files, { carry_over_days = DEFAULTS.carry_over_days, now = new Date() } = {}) {
+  const cutoff = now.getTime() - carry_over_days * 24 * 60 * 60 * 1000;
+  const result = { claimed: [], expired: [], rejected: [], changed: new Set() };
+
+  // Links that already made a paper
+  const published = new Map();
+  for (const items of Object.values(files)) {
+    for (const item of items) {
+      if (item.status === 'consumed' && item.link) published.set(canonicalizeUrl(item.link), item.paper_date);
+    }
+  }
+
+  for (const date of Object.keys(files).sort()) {
+    for (const item of files[date]) {
+      if (item.status !== 'pending') continue;
+      const key = item.link ? canonicalizeUrl(item.link) : null;
+
+      if (!item.title && !item.link && !item.content) {
+        setStatus(item, 'rejected', now, { reason: 'empty item' });
+        result.rejected.push(item);
+      } else if (key && published.has(key)) {
+        setStatus(item, 'rejected', now, { reason: `already in the ${published.get(key) || 'earlier'} paper` });
+        result.rejected.push(item);
+      } else if (new Date(item.queued_at).getTime() < cutoff) {
+        setStatus(item, 'expired', now, { reason: `not used within ${carry_over_days} day(s)` });
+        result.expired.push(item);
+      } else {
+        item.last_claimed_at = now.toISOString();
+        result.claimed.push(item);
+      }
+      result.changed.add(date);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Claim every pending item for tonight's run, expiring and rejecting as needed.
+ * Claimed items stay pending until consumeQueueItems() — if the run fails,
+ * they are picked up again next time.
+ */
+export function claimPendingItems(options = {}) {
+  const files = readQueueFiles();
+  const result = claimQueue(files, { ...DEFAULTS, ...options });
+  writeQueueFiles(files, result.changed);
+  return result;
+}
+
+/**
+ * Mark pending items consumed (mutates files).
+ * @returns {{ consumed: Array, changed: Set<string> }}
+ */
+export function markConsumed(files, ids, { paperDate, now = new Date() } = {}) {
+  const wanted = new Set(ids);
+  const result = { consumed: [], changed: new Set() };
+  for (const [date, items] of Object.entries(files)) {
+    for (const item of items) {
+      if (wanted.has(item.id) && item.status === 'pending') {
+        setStatus(item, 'consumed', now, { paper_date: paperDate || null });
+        result.consumed.push(item);
+        result.changed.add(date);
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * After the paper is saved, retire the queue items that went into it.
+ * @returns {number} Items consumed
+ */
+export function consumeQueueItems(ids, options = {}) {
+  if (!ids || ids.length === 0) return 0;
+  const files = readQueueFiles();
+  const { consumed, changed } = markConsumed(files, ids, options);
+  writeQueueFiles(files, changed);
+  return consumed.length;
+}
+
+/**
+ * Mark pending items expired, each with its own reason (mutates files).
+ *
+ * @param {Object<string, string>} reasons - { [id]: reason }
+ * @returns {{ expired: Array, changed: Set<string> }}
+ */
+export function markExpired(files, reasons, { now = new Date() } = {}) {
+  const result = { expired: [], changed: new Set() };
+  for (const [date, items] of Object.entries(files)) {
+    for (const item of items) {
+      if (reasons[item.id] && item.status === 'pending') {
+        setStatus(item, 'expired', now, { reason: reasons[item.id] });
+        result.expired.push(item);
+        result.changed.add(date);
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Retire queue items the recency window dropped. Left pending, they would be
+ * claimed and dropped again every night until carry_over_days ran out.
+ *
+ * @param {Array<{ queue_id, reason }>} drops - From applyRecencyWindow()
+ * @returns {number} Items expired
+ */
+export function expireQueueItems(drops, options = {}) {
+  const reasons = Object.fromEntries(drops.filter(d => d.queue_id).map(d => [d.queue_id, `outside the recency window (${d.reason})`]));
+  if (Object.keys(reasons).length === 0) return 0;
+  const files = readQueueFiles();
+  const { expired, changed } = markExpired(files, reasons, options);
+  writeQueueFiles(files, changed);
+  return expired.length;
+}
+
+/**
+ * Set one item's status by hand (queue CLI). Returns the item, or null if not found.
+ */
+export function updateQueueItem(id, status, { reason = null, now = new Date() } = {}) {
+  if (!QUEUE_STATUSES.includes(status)) {
+    throw new Error(`Unknown queue status "${status}" — use ${QUEUE_STATUSES.join(', ')}`);
+  }
+  const files = readQueueFiles();
+  for (const [date, items] of Object.entries(files)) {
+    const item = items.find(i => i.id === id);
+    if (!item) continue;
+    setStatus(item, status, now, {
+      reason,
+      // A restored item gets a fresh carry-over window
+      ...(status === 'pending' ? { queued_at: now.toISOString() } : {})
+    });
+    writeQueueFiles(files, [date]);
+    return item;
+  }
+  return null;
+}
+
+export default {
+  QUEUE_STATUSES, normalizeQueueItem, readQueueFiles, claimQueue, claimPendingItems,
+  markConsumed, consumeQueueItems, markExpired, expireQueueItems, updateQueueItem
+};
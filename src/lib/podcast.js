@@ -0,0 +1,402 @@
+/**
+ * Podcast episodes in RSS feeds: the enclosure, iTunes tags and Podcasting 2.0
+ * tags (podcast:transcript, podcast:chapters, podcast:person) that a plain
+ * article parse throws away.
+ *
+ * The RSS adapter calls episodeFields() for any item with an audio or video
+ * enclosure. Once the recency window has dropped old episodes, fetch-sources
+ * calls fetchEpisodeExtras() to fetch the transcript and chapters file, so an
+ * episode reaches normalize with what was actually said in it.
+ */
+import fs from 'fs';
+import path from 'path';
+import * as cheerio from 'cheerio';
+import { httpGet } from './http-fixtures.js';
+import { runScheduled } from './fetch-scheduler.js';
+
+// rss-parser customFields for the Podcasting 2.0 namespace
+export const PODCAST_ITEM_FIELDS = [
+  ['podcast:transcript', 'podcastTranscripts', { keepArray: true }],
+  ['podcast:chapters', 'podcastChapters'],
+  ['podcast:person', 'podcastPersons', { keepArray: true }]
+];
+
+export const DEFAULTS = {
+  transcripts: true,
+  chapters: true,
+  // Local transcripts, named after the episode number or GUID (e.g. 712.vtt)
+  transcript_dir: null,
+  max_transcript_chars: 100000,
+  max_notes_chars: 1500,
+  // Shared by the chapters and transcript requests of one episode
+  extras_timeout_ms: 8000
+};
+
+// Past the budget, before the scheduler gives up on an episode's task
+const EXTRAS_GRACE_MS = 2000;
+
+// Most readable first
+const TRANSCRIPT_TYPES = ['text/plain', 'text/vtt', 'application/x-subrip', 'application/srt', 'text/srt', 'application/json', 'text/html'];
+const TRANSCRIPT_EXTENSIONS = { '.txt': 'text/plain', '.vtt': 'text/vtt', '.srt': 'application/srt', '.json': 'application/json', '.html': 'text/html' };
+
+const TIMESTAMP = /(?:(\d{1,2}):)?(\d{1,2}):(\d{2})/;
+const CHAPTER_LINE = /^\s*[[(]?((?:\d{1,2}:)?\d{1,2}:\d{2})[\])]?\s*(?:[-–—:|]\s*)?(.+?)\s*$/;
+const NAME = "\\p{Lu}[\\p{L}'’.-]+(?:\\s+(?:\\p{Lu}[\\p{L}'’.-]+|de|van|von|da|del|la|le|bin)){1,3}";
+
+/**
+ * Is this feed item an episode? Any audio or video enclosure counts, unless
+ * the feed sets `"podcast": false`.
+ */
+export function isEpisode(item, feed = {}) {
+  if (feed.podcast === false) return false;
+  return /^(audio|video)\//i.test(item.enclosure?.type || '') || Boolean(item.itunes?.duration && item.enclosure?.url);
+}
+
+/**
+ * iTunes duration ("1:02:03", "62:03" or seconds) in seconds.
+ */
+export function parseDuration(value) {
+  const text = String(value ?? '').trim();
+  if (/^\d+(\.\d+)?$/.test(text)) return Math.round(Number(text));
+  const match = text.match(new RegExp(`^${TIMESTAMP.source}$`));
+  if (!match) return null;
+  const [, hours = '0', minutes, seconds] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+}
+
+/**
+ * "1h 42m", "45m".
+ */
+export function formatDuration(seconds) {
+  if (!seconds) return null;
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.round((seconds % 3600) / 60);
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+function clock(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = Math.floor(seconds % 60);
+  return [h, m, s].map(n => String(n).padStart(2, '0')).join(':');
+}
+
+/**
+ * Show notes as plain text with line breaks kept (chapter lists need them).
+ */
+export function notesText(html) {
+  const $ = cheerio.load(`<div>${String(html || '')}</div>`);
+  $('br').replaceWith('\n');
+  $('p, li, h1, h2, h3, h4, div').each((_, el) => { $(el).append('\n'); });
+  return $('div').first().text()
+    .split('\n').map(line => line.replace(/\s+/g, ' ').trim())
+    .join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Chapter markers written into show notes ("[00:12:40] Why sleep matters",
+ * "(1:02:03) — Q&A"). Fewer than two timestamps isn't a chapter list.
+ *
+ * @returns {Array<{ start: string, start_seconds: number, title: string }>}
+ */
+export function parseChapters(notes) {
+  const chapters = String(notes || '').split('\n')
+    .map(line => line.match(CHAPTER_LINE))
+    .filter(Boolean)
+    .map(([, time, title]) => {
+      const seconds = parseDuration(time);
+      return { start: clock(seconds), start_seconds: seconds, title: title.replace(/^[-–—:|\s]+/, '') };
+    })
+    .filter(c => c.title);
+  return chapters.length >= 2 ? chapters : [];
+}
+
+/**
+ * Chapters from a Podcasting 2.0 JSON chapters file.
+ */
+export function chaptersFromJson(data) {
+  const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+  return (parsed?.chapters || [])
+    .filter(c => typeof c.startTime === 'number' && c.title && c.toc !== false)
+    .map(c => ({ start: clock(c.startTime), start_seconds: Math.round(c.startTime), title: String(c.title).trim() }));
+}
+
+function uniqueNames(names, exclude = []) {
+  const skip = new Set(exclude.filter(Boolean).map(n => n.toLowerCase()));
+  const seen = new Set();
+  return names
+    .map(n => n.replace(/[’']s$/, '').trim())
+    .filter(n => {
+      const key = n.toLowerCase();
+      if (skip.has(key) || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+function namesIn(text) {
+  return String(text || '').match(new RegExp(`${NAME}(?:\\s+(?:and|&)\\s+${NAME})?`, 'u'))?.[0]
+    .split(/\s+(?:and|&)\s+/) || [];
+}
+
+/**
+ * Guest names: podcast:person tags with role "guest" when the feed has them,
+ * otherwise from the episode title ("#712: Jane Doe — …", "Ep. 12: Jane Doe on
+ * …", "… with Jane Doe") or show notes ("My guest is Jane Doe"). A name
+ * leading the title only counts after an episode number. The host is never a
+ * guest.
+ *
+ * @param {object} item - Parsed feed item
+ * @param {string} notes - Show notes text
+ * @param {string[]} hosts - Names to leave out
+ */
+export function guestNames(item, notes = '', hosts = []) {
+  const persons = (item.podcastPersons || [])
+    .filter(p => String(p?.$?.role || '').toLowerCase() === 'guest')
+    .map(p => (typeof p === 'string' ? p : p._ || '').trim())
+    .filter(Boolean);
+  if (persons.length > 0) return uniqueNames(persons, hosts);
+
+  const numbered = String(item.title || '').match(/^\s*(?:#|ep(?:isode)?\.?\s*)\d+\s*[:.|-]?\s*/i);
+  const title = String(item.title || '').substring(numbered?.[0].length || 0);
+  const fromTitle = [
+    title.match(new RegExp(`\\b(?:with|featuring|feat\\.|ft\\.)\\s+(${NAME}(?:\\s+(?:and|&)\\s+${NAME})?)`, 'u'))?.[1],
+    // Only after an episode number: a bare "Big Tech Earnings: …" is a headline, not a guest
+    numbered ? title.match(new RegExp(`^(${NAME}(?:\\s+(?:and|&)\\s+${NAME})?)\\s*(?:[—–|:]|\\s-\\s|\\son\\s)`, 'u'))?.[1] : null
+  ].filter(Boolean).flatMap(namesIn);
+  if (fromTitle.length > 0) return uniqueNames(fromTitle, hosts);
+
+  const intro = String(notes).match(/\b(?:my guests? (?:today |this week )?(?:is|are)|guests?:|joined by|welcome)\s+([^\n.]+)/i)?.[1];
+  return uniqueNames(namesIn(intro), hosts);
+}
+
+/**
+ * The feed's transcripts, most readable first.
+ *
+ * @returns {Array<{ url: string, type: string }>}
+ */
+export function transcriptLinks(item) {
+  return (item.podcastTranscripts || [])
+    .map(t => ({ url: t?.$?.url, type: String(t?.$?.type || '').toLowerCase() }))
+    .filter(t => t.url)
+    .sort((a, b) => rank(a.type) - rank(b.type));
+}
+
+function rank(type) {
+  const index = TRANSCRIPT_TYPES.indexOf(type);
+  return index === -1 ? TRANSCRIPT_TYPES.length : index;
+}
+
+/**
+ * Plain text of a transcript in any of the Podcasting 2.0 formats. Cue
+ * numbers and timings are dropped; consecutive lines from the same speaker
+ * are joined.
+ *
+ * @param {string|object} data - Transcript body
+ * @param {string} type - MIME type
+ */
+export function transcriptText(data, type = 'text/plain') {
+  if (/json/.test(type) || (typeof data === 'object' && data !== null)) {
+    const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+    return joinSpeakers((parsed?.segments || []).map(s => ({ speaker: s.speaker || null, text: String(s.body || '').trim() })));
+  }
+  const text = String(data || '');
+  if (/html/.test(type)) return notesText(text);
+  if (/vtt|srt|subrip/.test(type) || /^WEBVTT/.test(text) || /-->/.test(text)) {
+    const cues = text.replace(/\r/g, '').split(/\n{2,}/).map(block => {
+      const lines = block.split('\n').filter(line =>
+        line.trim() && !/^WEBVTT|^NOTE\b|^STYLE\b|^\d+$/.test(line.trim()) && !line.includes('-->'));
+      const body = lines.join(' ');
+      // WebVTT voice tags (<v Jane Doe>) or a "Jane Doe: " prefix
+      const voice = body.match(/^<v(?:\.[\w.]+)?\s+([^>]+)>/);
+      const prefix = voice ? null : body.match(/^(\p{Lu}[\p{L} .'-]{1,40}):\s+/u);
+      return {
+        speaker: (voice?.[1] || prefix?.[1] || '').trim() || null,
+        text: body.substring(prefix ? prefix[0].length : 0).replace(/<\/?[^>]+>/g, '').trim()
+      };
+    });
+    return joinSpeakers(cues);
+  }
+  return text.replace(/\r/g, '').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+function joinSpeakers(cues) {
+  const paragraphs = [];
+  for (const cue of cues.filter(c => c.text)) {
+    const last = paragraphs[paragraphs.length - 1];
+    if (last && (cue.speaker === last.speaker || !cue.speaker)) {
+      last.text += ` ${cue.text}`;
+    } else {
+      paragraphs.push({ ...cue });
+    }
+  }
+  return paragraphs.map(p => (p.speaker ? `${p.speaker}: ${p.text}` : p.text)).join('\n\n');
+}
+
+/**
+ * Episode metadata for a feed item.
+ *
+ * @param {object} item - Parsed feed item (rss-parser, with PODCAST_ITEM_FIELDS)
+ * @param {object} feed - Feed entry from sources.json
+ * @param {object} channel - Parsed feed (for the host's name)
+ */
+export function episodeFields(item, feed = {}, channel = {}) {
+  const settings = { ...DEFAULTS, ...(typeof feed.podcast === 'object' ? feed.podcast : {}) };
+  const notes = notesText(item['content:encoded'] || item.content || item.itunes?.summary || item.summary || '');
+  const seconds = parseDuration(item.itunes?.duration);
+  const hosts = [channel.itunes?.author, feed.host].filter(Boolean);
+  const chapters = settings.chapters ? parseChapters(notes) : [];
+  // The chapter list is kept separately; the rest is the show notes
+  const prose = chapters.length > 0
+    ? notes.split('\n').filter(line => !CHAPTER_LINE.test(line)).join('\n').replace(/\n{3,}/g, '\n\n').trim()
+    : notes;
+
+  return {
+    episode: item.itunes?.episode ? Number(item.itunes.episode) || item.itunes.episode : null,
+    season: item.itunes?.season ? Number(item.itunes.season) || item.itunes.season : null,
+    duration_seconds: seconds,
+    duration: formatDuration(seconds),
+    audio_url: item.enclosure?.url || null,
+    audio_type: item.enclosure?.type || null,
+    guests: guestNames(item, notes, hosts),
+    chapters,
+    chapters_url: settings.chapters ? item.podcastChapters?.$?.url || null : null,
+    transcripts: settings.transcripts ? transcriptLinks(item) : [],
+    show_notes: prose.substring(0, settings.max_notes_chars),
+    has_transcript: false
+  };
+}
+
+/**
+ * What normalize reads for an episode: who's on it, how long, the show
+ * notes, the chapter titles and — when there is one — the transcript.
+ */
+export function episodeContent(podcast, transcript = '') {
+  const header = ['Podcast episode', podcast.duration, podcast.guests.length > 0 ? `Guests: ${podcast.guests.join(', ')}` : null]
+    .filter(Boolean).join(' · ');
+  const parts = [header];
+  if (podcast.show_notes) parts.push(podcast.show_notes);
+  if (podcast.chapters.length > 0) parts.push(`Chapters:\n${podcast.chapters.map(c => `${c.start} ${c.title}`).join('\n')}`);
+  if (transcript) parts.push(`Transcript:\n${transcript}`);
+  return parts.join('\n\n');
+}
+
+function localTranscript(podcast, item, settings) {
+  if (!settings.transcript_dir) return null;
+  const names = [podcast.episode, item.guid].filter(v => v !== null && v !== undefined && v !== '')
+    .map(v => String(v).replace(/[^\w.-]+/g, '-'));
+  for (const name of names) {
+    for (const [ext, type] of Object.entries(TRANSCRIPT_EXTENSIONS)) {
+      const file = path.join(settings.transcript_dir, `${name}${ext}`);
+      if (fs.existsSync(file)) return { file, type };
+    }
+  }
+  return null;
+}
+
+function podcastSettings(feed = {}) {
+  return { ...DEFAULTS, ...(typeof feed.podcast === 'object' ? feed.podcast : {}) };
+}
+
+/**
+ * Fetch what the feed only links to — the transcript (or a local transcript
+ * file) and a JSON chapters file — and rebuild the episode's content (mutates
+ * the article). A transcript that can't be fetched leaves the show notes.
+ *
+ * All of the episode's requests share one budget; once it's spent the rest
+ * are skipped.
+ *
+ * @param {object} article - From the RSS adapter, with `podcast`
+ * @param {object} item - { guid } of the feed item
+ * @param {object} feed - Feed entry from sources.json
+ * @param {object} options - budgetMs (defaults to the feed's extras_timeout_ms), logger
+ */
+export async function attachEpisodeExtras(article, item, feed = {}, { budgetMs, logger = null } = {}) {
+  const settings = podcastSettings(feed);
+  const podcast = article.podcast;
+  const deadline = Date.now() + (budgetMs ?? settings.extras_timeout_ms);
+  const remaining = () => deadline - Date.now();
+
+  if (podcast.chapters.length === 0 && podcast.chapters_url) {
+    try {
+      const response = await httpGet(podcast.chapters_url, { timeout: remaining(), responseType: 'text' });
+      podcast.chapters = chaptersFromJson(response.data);
+    } catch (error) {
+      logger?.debug(`No chapters for "${article.title}": ${error.message}`);
+    }
+  }
+
+  let transcript = '';
+  const local = localTranscript(podcast, item, settings);
+  if (local) {
+    transcript = transcriptText(fs.readFileSync(local.file, 'utf-8'), local.type);
+    podcast.transcript_source = local.file;
+  } else {
+    for (const link of podcast.transcripts) {
+      if (remaining() <= 0) {
+        logger?.debug(`Out of time for transcripts of "${article.title}"`);
+        break;
+      }
+      try {
+        const response = await httpGet(link.url, { timeout: remaining(), responseType: 'text' });
+        transcript = transcriptText(response.data, link.type);
+        podcast.transcript_source = link.url;
+        break;
+      } catch (error) {
+        logger?.debug(`Transcript ${link.url} for "${article.title}" failed: ${error.message}`);
+      }
+    }
+  }
+
+  if (transcript) {
+    podcast.has_transcript = true;
+    const text = episodeContent(podcast, transcript.substring(0, settings.max_transcript_chars));
+    // Like an extracted page, so full-text extraction leaves it alone
+    article.full_content = text;
+    article.extraction = {
+      method: 'transcript',
+      chars: text.length,
+      truncated: transcript.length > settings.max_transcript_chars,
+      extracted_at: new Date().toISOString()
+    };
+  }
+  article.content = episodeContent(podcast);
+  return article;
+}
+
+/**
+ * Fetch extras for every episode that survived the recency window. Each
+ * episode is its own scheduler task, apart from its feed's, with its own
+ * budget — a slow transcript host costs that episode its transcript and
+ * nothing else.
+ *
+ * @param {Array} articles - Kept articles; those with `podcast` are filled in
+ * @param {Function} feedFor - article → its feed entry from sources.json
+ * @param {object} options - concurrency, logger
+ * @returns {Promise<{ episodes: number, transcribed: number }>}
+ */
+export async function fetchEpisodeExtras(articles, feedFor, { concurrency, logger = null } = {}) {
+  const episodes = articles.filter(a => a.podcast);
+  const tasks = episodes.map(article => {
+    const feed = feedFor(article) || {};
+    const budgetMs = podcastSettings(feed).extras_timeout_ms;
+    return {
+      name: `${article.source}: ${article.title}`,
+      type: 'podcast',
+      timeout_ms: budgetMs + EXTRAS_GRACE_MS,
+      retries: 0,
+      run: async () => {
+        await attachEpisodeExtras(article, { guid: article.guid }, feed, { budgetMs, logger });
+        return { articles: [] };
+      }
+    };
+  });
+
+  await runScheduled(tasks, concurrency ? { concurrency } : {});
+  return { episodes: episodes.length, transcribed: episodes.filter(a => a.podcast.has_transcript).length };
+}
+
+export default {
+  PODCAST_ITEM_FIELDS, isEpisode, parseDuration, formatDuration, notesText, parseChapters, chaptersFromJson,
+  guestNames, transcriptLinks, transcriptText, episodeFields, episodeContent, attachEpisodeExtras, fetchEpisodeExtras
+};
@@ -0,0 +1,144 @@
+import * as cheerio from 'cheerio';
+
+// Elements that never hold article text
+const STRIP_TAGS = 'script, style, noscript, iframe, svg, form, nav, header, footer, aside, button, select, figure figcaption';
+
+// Class/id hints, in the spirit of Mozilla's Readability
+const UNLIKELY = /comment|sidebar|footer|header|menu|nav|share|social|related|recommend|promo|sponsor|advert|\bads?\b|newsletter|subscribe|signup|cookie|consent|popup|modal|banner|breadcrumb|byline|author-bio|tags|pagination/i;
+const MAYBE = /article|body|content|main|column|post|story|text|entry/i;
+const POSITIVE = /article|body|content|entry|main|page|post|story|text|blog/i;
+const NEGATIVE = /comment|meta|footer|footnote|sidebar|widget|promo|related|share|sponsor|ad-|masthead|shoutbox/i;
+
+// Block elements whose text makes up the article body
+const BLOCKS = 'p, h2, h3, h4, li, blockquote, pre';
+
+function cleanText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+function classWeight($el) {
+  const hint = `${$el.attr('class') || ''} ${$el.attr('id') || ''}`;
+  let weight = 0;
+  if (POSITIVE.test(hint)) weight += 25;
+  if (NEGATIVE.test(hint)) weight -= 25;
+  return weight;
+}
+
+function linkDensity($, $el) {
+  const textLength = cleanText($el.text()).length;
+  if (textLength === 0) return 1;
+  const linkLength = $el.find('a').toArray()
+    .reduce((sum, a) => sum + cleanText($(a).text()).length, 0);
+  return linkLength / textLength;
+}
+
+/**
+ * Join the readable blocks under a node into paragraphs.
+ */
+function collectBlocks($, $root) {
+  const paragraphs = [];
+  $root.find(BLOCKS).each((_, el) => {
+    const $el = $(el);
+    // Skip blocks nested in another collected block (e.g. <p> inside <li>)
+    if ($el.parentsUntil($root).filter(BLOCKS).length > 0) return;
+    const text = cleanText($el.text());
+    if (text.length < 25 && !/^h[234]$/i.test(el.tagName)) return;
+    if (linkDensity($, $el) > 0.5) return;
+    paragraphs.push(text);
+  });
+  return paragraphs.join('\n\n');
+}
+
+/**
+ * Publishers often embed the full body as schema.org JSON-LD.
+ */
+function fromJsonLd($) {
+  for (const el of $('script[type="application/ld+json"]').toArray()) {
+    try {
+      const data = JSON.parse($(el).contents().text());
+      const nodes = [data, ...(Array.isArray(data) ? data : []), ...(data['@graph'] || [])];
+      const article = nodes.find(n => n && typeof n.articleBody === 'string' && n.articleBody.length > 0);
+      if (article) {
+        return { title: cleanText(article.headline) || null, text: article.articleBody.trim() };
+      }
+    } catch (_) {
+      // Malformed JSON-LD is common — fall through to the DOM
+    }
+  }
+  return null;
+}
+
+/**
+ * Score containers by the paragraphs they hold and return the best one.
+ */
+function topCandidate($) {
+  const scores = new Map();
+
+  $('p, pre, td').each((_, el) => {
+    const text = cleanText($(el).text());
+    if (text.length < 25) return;
+
+    const score = 1 + (text.match(/,/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+    const parent = el.parent;
+    const grandparent = parent?.parent;
+
+    for (const [node, share] of [[parent, 1], [grandparent, 0.5]]) {
+      if (!node || node.type !== 'tag') continue;
+      if (!scores.has(node)) scores.set(node, classWeight($(node)));
+      scores.set(node, scores.get(node) + score * share);
+    }
+  });
+
+  let best = null;
+  let bestScore = 0;
+  for (const [node, score] of scores) {
+    const adjusted = score * (1 - linkDensity($, $(node)));
+    if (adjusted > bestScore) {
+      best = node;
+      bestScore = adjusted;
+    }
+  }
+  return best;
+}
+
+/**
+ * Extract the main readable body from an HTML page.
+ * Tries JSON-LD articleBody, then a Readability-style scoring pass, then all paragraphs.
+ *
+ * @param {string} html - Raw page HTML
+ * @returns {{ title: string|null, text: string, method: string }}
+ */
+export function extractReadableText(html) {
+  const $ = cheerio.load(html || '');
+  const title = cleanText($('meta[property="og:title"]').attr('content')) ||
+    cleanText($('title').first().text()) ||
+    cleanText($('h1').first().text()) ||
+    null;
+
+  const jsonLd = fromJsonLd($);
+  if (jsonLd && jsonLd.text.length >= 200) {
+    return { title: jsonLd.title || title, text: jsonLd.text, method: 'json-ld' };
+  }
+
+  $(STRIP_TAGS).remove();
+  $('*').each((_, el) => {
+    const $el = $(el);
+    const hint = `${$el.attr('class') || ''} ${$el.attr('id') || ''}`;
+    if (el.tagName !== 'body' && el.tagName !== 'html' && UNLIKELY.test(hint) && !MAYBE.test(hint)) {
+      $el.remove();
+    }
+  });
+
+  const candidate = topCandidate($);
+  if (candidate) {
+    const text = collectBlocks($, $(candidate));
+    if (text.length >= 200) {
+      return { title, text, method: 'readability' };
+    }
+  }
+
+  const fallbackRoot = $('article').first().length ? $('article').first() : $('main').first().length ? $('main').first() : $('body');
+  return { title, text: collectBlocks($, fallbackRoot), method: 'paragraphs' };
+}
+
+export default { extractReadableText };
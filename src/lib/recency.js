@@ -0,0 +1,109 @@
+/**
+ * Recency window and date sanity checks for fetched feed items.
+ *
+ * Feed dates are messy: missing, unparseable, in a local timezone that lands
+ * them in the future, or simply months old. Every item gets an explicit verdict
+ * and every drop carries a reason.
+ */
+
+const DEFAULTS = {
+  default_hours: 36,
+  by_category: {},
+  future_tolerance_hours: 6,
+  undated: 'keep'
+};
+
+/**
+ * Parse a feed date into a Date, or null if missing/unparseable.
+ */
+export function parseFeedDate(raw) {
+  if (!raw) return null;
+  const date = new Date(raw);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Hours an item in this category stays newsworthy.
+ */
+function windowHoursFor(category, settings, override) {
+  if (typeof override === 'number') return override;
+  return settings.by_category?.[category] ?? settings.default_hours;
+}
+
+/**
+ * Check one article's date. Mutates `published` into ISO form and sets flags.
+ * @returns {string|null} Drop reason, or null to keep
+ */
+function checkArticle(article, settings, windowHours, now) {
+  const raw = article.published;
+  const date = parseFeedDate(raw);
+
+  if (!date) {
+    article.published = article.retrieved_at || now.toISOString();
+    article.date_unknown = true;
+    article.date_issue = raw ? `unparseable: ${String(raw).substring(0, 60)}` : 'missing';
+    return settings.undated === 'drop' ? `undated (${article.date_issue})` : null;
+  }
+
+  const aheadHours = (date - now) / 3600000;
+  if (aheadHours > settings.future_tolerance_hours) {
+    return `future date ${date.toISOString()}`;
+  }
+  if (aheadHours > 0) {
+    // Small skew is usually a timezone mistake in the feed — treat as "just now"
+    article.published = now.toISOString();
+    article.date_issue = `clamped from ${date.toISOString()}`;
+    return null;
+  }
+
+  article.published = date.toISOString();
+  const ageHours = -aheadHours;
+  if (ageHours > windowHours) {
+    return `stale: ${Math.round(ageHours)}h old, window ${windowHours}h`;
+  }
+  return null;
+}
+
+/**
+ * Split articles into those inside their category's recency window and those dropped.
+ * Manual sends (inbox, queue) are always kept — Doug chose them.
+ *
+ * @param {Array} articles
+ * @param {object} options - default_hours, by_category, future_tolerance_hours, undated ('keep'|'drop')
+ * @param {object} overrides - { [sourceName]: hours } per-source windows
+ * @returns {{ kept: Array, dropped: Array<{ source, title, link, published, reason, queue_id? }> }}
+ */
+export function applyRecencyWindow(articles, options = {}, overrides = {}, now = new Date()) {
+  const settings = { ...DEFAULTS, ...options };
+  const kept = [];
+  const dropped = [];
+
+  for (const article of articles) {
+    if (article.manual_send) {
+      kept.push(article);
+      continue;
+    }
+
+    const rawPublished = article.published;
+    const windowHours = windowHoursFor(article.category, settings, overrides[article.source]);
+    const reason = checkArticle(article, settings, windowHours, now);
+
+    if (reason) {
+      dropped.push({
+        source: article.source,
+        title: article.title,
+        link: article.link,
+        published: rawPublished || null,
+        reason,
+        // Queued items that fall outside the window are expired rather than claimed again
+        ...(article.queue_id ? { queue_id: article.queue_id } : {}),
+      });
+    } else {
+      kept.push(article);
+    }
+  }
+
+  return { kept, dropped };
+}
+
+export default { parseFeedDate, applyRecencyWindow };
@@ -0,0 +1,139 @@
+/**
+ * Who may put stories in the paper by email. A message is accepted only if
+ * its sender is on the allowlist and the receiving server's
+ * Authentication-Results show the From domain really sent it (DMARC, or an
+ * aligned DKIM signature or SPF pass). Everything else is quarantined.
+ */
+import { senderAddress, senderMatches } from './newsletter.js';
+
+const DEFAULTS = {
+  allowed_senders: [],
+  allow_newsletter_senders: true,
+  require_authentication: true,
+  // authserv-ids whose Authentication-Results are believed; empty trusts only the topmost header
+  trusted_authserv_ids: []
+};
+
+/**
+ * Parse one Authentication-Results header value (RFC 8601).
+ *
+ * "mx.google.com; dkim=pass header.i=@gmail.com; spf=pass smtp.mailfrom=doug@gmail.com; dmarc=pass header.from=gmail.com"
+ *
+ * @returns {{ authserv_id: string, methods: Array<{ method: string, result: string, props: object }> }}
+ */
+export function parseAuthenticationResults(value) {
+  // Drop RFC 5322 comments, e.g. "(google.com: domain of ... designates ...)"
+  const text = String(value || '').replace(/\([^()]*\)/g, ' ').replace(/\s+/g, ' ').trim();
+  const [head, ...segments] = text.split(';').map(s => s.trim());
+  const methods = [];
+
+  for (const segment of segments) {
+    const match = segment.match(/^([\w-]+)\s*=\s*([\w-]+)(.*)$/);
+    if (!match) continue;
+    const props = {};
+    for (const [, key, val] of match[3].matchAll(/([\w.-]+)\s*=\s*("[^"]*"|\S+)/g)) {
+      props[key.toLowerCase()] = val.replace(/^"|"$/g, '');
+    }
+    methods.push({ method: match[1].toLowerCase(), result: match[2].toLowerCase(), props });
+  }
+
+  return { authserv_id: (head || '').split(' ')[0].toLowerCase(), methods };
+}
+
+function domainOf(value) {
+  const text = String(value || '').toLowerCase();
+  return text.includes('@') ? text.split('@').pop() : text;
+}
+
+// Relaxed alignment: same organizational domain in either direction
+function aligned(domain, fromDomain) {
+  if (!domain || !fromDomain) return false;
+  return domain === fromDomain || domain.endsWith(`.${fromDomain}`) || fromDomain.endsWith(`.${domain}`);
+}
+
+/**
+ * Did the receiving server authenticate the From domain?
+ *
+ * @param {object} email - From checkInbox(); uses `from` and `authentication_results`
+ * @param {object} policy - trusted_authserv_ids
+ * @returns {{ verified: boolean, method: string|null, summary: string }}
+ */
+export function verifyAuthentication(email, policy = {}) {
+  const trusted = (policy.trusted_authserv_ids || []).map(id => id.toLowerCase());
+  const headers = (email.authentication_results || []).map(parseAuthenticationResults);
+  // Senders can forge their own Authentication-Results lower down; only the receiving server's count
+  const header = trusted.length > 0
+    ? headers.find(h => trusted.includes(h.authserv_id))
+    : headers[0];
+
+  if (!header) {
+    return { verified: false, method: null, summary: 'no Authentication-Results from a trusted server' };
+  }
+
+  const fromDomain = domainOf(senderAddress(email.from));
+  const results = Object.fromEntries(['dmarc', 'dkim', 'spf'].map(name => {
+    const entries = header.methods.filter(m => m.method === name);
+    return [name, entries];
+  }));
+  const summary = ['spf', 'dkim', 'dmarc']
+    .map(name => `${name}=${results[name].map(r => r.result).join(',') || 'none'}`)
+    .join(' ');
+
+  if (results.dmarc.some(r => r.result === 'pass')) {
+    return { verified: true, method: 'dmarc', summary };
+  }
+  if (results.dkim.some(r => r.result === 'pass' && aligned(domainOf(r.props['header.d'] || r.props['header.i']), fromDomain))) {
+    return { verified: true, method: 'dkim', summary };
+  }
+  if (results.spf.some(r => r.result === 'pass' && aligned(domainOf(r.props['smtp.mailfrom']), fromDomain))) {
+    return { verified: true, method: 'spf', summary };
+  }
+  return { verified: false, method: null, summary };
+}
+
+/**
+ * Sender patterns allowed to mail the paper: the configured allowlist,
+ * DOUG_EMAIL, and (unless turned off) the newsletter senders.
+ */
+export function allowedSenders(settings = {}) {
+  const policy = { ...DEFAULTS, ...settings };
+  return [
+    ...policy.allowed_senders,
+    ...(process.env.DOUG_EMAIL ? [process.env.DOUG_EMAIL] : []),
+    ...(policy.allow_newsletter_senders
+      ? (settings.newsletter_sources || []).filter(n => n.enabled !== false).flatMap(n => n.senders || [])
+      : [])
+  ];
+}
+
+/**
+ * Decide whether an inbox email may be queued.
+ *
+ * @param {object} email - From checkInbox()
+ * @param {object} settings - paper_inbox settings (with newsletter_sources)
+ * @returns {{ accepted: boolean, reason: string|null, auth: object|null }}
+ */
+export function screenEmail(email, settings = {}) {
+  const policy = { ...DEFAULTS, ...settings };
+  const address = senderAddress(email.from);
+  const allowed = allowedSenders(settings);
+
+  if (allowed.length === 0) {
+    return { accepted: false, reason: 'no allowed_senders configured for paper_inbox', auth: null };
+  }
+  if (!allowed.some(pattern => senderMatches(address, pattern))) {
+    return { accepted: false, reason: `sender ${address || '(none)'} is not on the allowlist`, auth: null };
+  }
+
+  if (!policy.require_authentication) {
+    return { accepted: true, reason: null, auth: null };
+  }
+
+  const auth = verifyAuthentication(email, policy);
+  if (!auth.verified) {
+    return { accepted: false, reason: `sender ${address} failed authentication (${auth.summary})`, auth };
+  }
+  return { accepted: true, reason: null, auth };
+}
+
+export default { parseAuthenticationResults, verifyAuthentication, allowedSenders, screenEmail };
@@ -0,0 +1,124 @@
+/**
+ * Researcher posts from any platform — X via RSS bridges, Bluesky, Mastodon —
+ * in the article shape the Twitter adapter has always produced, plus
+ * `platform` and `researcher` so cross-posts can be recognised in dedup.
+ *
+ * A researcher in twitter-researchers.json lists a handle per platform:
+ *
+ *   { "name": "Simon Willison", "handle": "simonw",
+ *     "handles": { "bluesky": "simonwillison.net", "mastodon": "@simon@simonwillison.net" } }
+ *
+ * `handle` on its own is the X handle, as before.
+ */
+import fs from 'fs';
+import path from 'path';
+import * as cheerio from 'cheerio';
+import { toArticle } from './article-schema.js';
+
+export const PLATFORMS = ['twitter', 'bluesky', 'mastodon'];
+
+const TIMELINE_DEFAULTS = {
+  include_replies: false,
+  include_retweets: false
+};
+
+/**
+ * A researcher's handle on one platform, without the leading @ (Mastodon
+ * handles keep their instance: "simon@simonwillison.net").
+ */
+export function researcherHandle(researcher, platform) {
+  const handle = researcher.handles?.[platform] ?? (platform === 'twitter' ? researcher.handle : null);
+  return handle ? String(handle).trim().replace(/^@/, '') || null : null;
+}
+
+/**
+ * Researchers with a handle on the platform, each carrying the shared
+ * timeline settings and its handle there.
+ */
+export function loadPlatformResearchers(configDir, platform) {
+  const data = JSON.parse(fs.readFileSync(path.join(configDir, 'twitter-researchers.json'), 'utf-8'));
+  const settings = { ...TIMELINE_DEFAULTS, ...(data.timeline_settings || {}) };
+
+  return (data.researchers || [])
+    .filter(r => researcherHandle(r, platform))
+    .map(r => ({
+      include_replies: settings.include_replies,
+      include_retweets: settings.include_retweets,
+      ...r,
+      platform,
+      handle: researcherHandle(r, platform)
+    }));
+}
+
+/**
+ * Plain text of a post body (Mastodon statuses are HTML).
+ */
+export function postText(html) {
+  const $ = cheerio.load(`<div>${String(html || '').replace(/<br\s*\/?>/gi, '\n').replace(/<\/p>\s*<p>/gi, '</p>\n\n<p>')}</div>`);
+  return $('div').first().text().replace(/[ \t]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Turn one post into an article, shaped like a tweet from the Twitter adapter.
+ *
+ * @param {object} post - { text, link, published, card: { url, title, description }|null, id }
+ * @param {object} researcher - From loadPlatformResearchers()
+ */
+export function postToArticle(post, researcher, { retrievedAt = new Date().toISOString() } = {}) {
+  const card = post.card?.url
+    ? `\n\n${[post.card.title, post.card.description].filter(Boolean).join(' — ')}\n${post.card.url}`
+    : '';
+
+  return toArticle({
+    source: `@${researcher.handle} (${researcher.name})`,
+    title: post.text || post.card?.title || 'Untitled Post',
+    link: post.link,
+    published: post.published,
+    content: `${post.text}${card}`.trim(),
+    retrieved_at: retrievedAt,
+    category: 'twitter',
+    platform: researcher.platform,
+    researcher: researcher.name,
+    post_id: post.id,
+    linked_url: post.card?.url || null
+  }, researcher);
+}
+
+/**
+ * Text two copies of a cross-post share: no links (each platform shortens
+ * them its own way), mentions, or punctuation, and no "…" from a
+ * cross-poster's truncation.
+ */
+export function crossPostKey(text) {
+  return postText(text)
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/@[\w.-]+(@[\w.-]+)?/g, ' ')
+    .replace(/\b[\w-]+(\.[\w-]+)+(\/\S*)?/g, ' ')
+    .replace(/(…|\.\.\.)\s*$/, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Are two articles the same researcher saying the same thing on different
+ * platforms? A copy truncated to fit a shorter limit still matches.
+ *
+ * @param {object} options - window_hours: how far apart the two posts can be
+ */
+export function isCrossPost(a, b, { window_hours = 24, min_chars = 30 } = {}) {
+  if (!a.researcher || a.researcher !== b.researcher || !a.platform || a.platform === b.platform) return false;
+
+  const at = Date.parse(a.published);
+  const bt = Date.parse(b.published);
+  if (!Number.isNaN(at) && !Number.isNaN(bt) && Math.abs(at - bt) > window_hours * 60 * 60 * 1000) return false;
+
+  // Titles are the post text on every platform; content may carry link cards
+  const [shorter, longer] = [crossPostKey(a.title), crossPostKey(b.title)].sort((x, y) => x.length - y.length);
+  if (shorter.length < min_chars) return shorter.length > 0 && shorter === longer;
+  return longer.startsWith(shorter);
+}
+
+export default {
+  PLATFORMS, researcherHandle, loadPlatformResearchers, postText, postToArticle, crossPostKey, isCrossPost
+};
@@ -0,0 +1,96 @@
+/**
+ * Per-source health tracking and automatic quarantine.
+ *
+ * Each source gets a ledger record keyed by "<type>:<name>". A source that fails
+ * `quarantine_after_failures` runs in a row is quarantined and only retried on a
+ * back-off schedule (base hours, doubling per failed retry, capped). A successful
+ * retry lifts the quarantine.
+ */
+
+const DEFAULTS = {
+  quarantine_after_failures: 3,
+  quarantine_backoff_hours: 24,
+  quarantine_max_backoff_hours: 168
+};
+
+// Outcome statuses that mean the source answered, even with nothing new
+const HEALTHY_STATUSES = new Set(['ok', 'not_modified', 'skipped']);
+
+export function sourceKey(type, name) {
+  return `${type}:${name}`;
+}
+
+function emptyRecord(type, name) {
+  return {
+    source: name,
+    type,
+    consecutive_failures: 0,
+    total_runs: 0,
+    total_failures: 0,
+    last_success: null,
+    last_failure: null,
+    last_error: null,
+    avg_items: null,
+    quarantined: false,
+    quarantine_level: 0,
+    quarantined_until: null
+  };
+}
+
+/**
+ * Should this source be skipped on this run?
+ * Quarantined sources are only attempted once their back-off has elapsed.
+ */
+export function isQuarantined(record, now = new Date()) {
+  if (!record || !record.quarantined) return false;
+  return !record.quarantined_until || new Date(record.quarantined_until) > now;
+}
+
+/**
+ * Fold one fetch outcome into the ledger (mutates it).
+ * @returns {'went_dark'|'recovered'|null} A state change worth telling Doug about
+ */
+export function recordOutcome(ledger, outcome, options = {}, now = new Date()) {
+  const settings = { ...DEFAULTS, ...options };
+  const key = sourceKey(outcome.type, outcome.source);
+  const record = ledger[key] || emptyRecord(outcome.type, outcome.source);
+  const wasQuarantined = record.quarantined;
+
+  record.total_runs++;
+
+  if (HEALTHY_STATUSES.has(outcome.status)) {
+    record.consecutive_failures = 0;
+    record.last_success = now.toISOString();
+    if (outcome.status === 'ok') {
+      // Exponential moving average so a single quiet day doesn't dominate
+      record.avg_items = record.avg_items === null
+        ? outcome.items
+        : Math.round((record.avg_items * 0.8 + outcome.items * 0.2) * 10) / 10;
+    }
+    record.quarantined = false;
+    record.quarantine_level = 0;
+    record.quarantined_until = null;
+    ledger[key] = record;
+    return wasQuarantined ? 'recovered' : null;
+  }
+
+  record.consecutive_failures++;
+  record.total_failures++;
+  record.last_failure = now.toISOString();
+  record.last_error = outcome.error || outcome.status;
+
+  if (record.consecutive_failures >= settings.quarantine_after_failures) {
+    record.quarantined = true;
+    record.quarantine_level++;
+    const backoffHours = Math.min(
+      settings.quarantine_backoff_hours * 2 ** (record.quarantine_level - 1),
+      settings.quarantine_max_backoff_hours
+    );
+    record.quarantined_until = new Date(now.getTime() + backoffHours * 3600 * 1000).toISOString();
+  }
+
+  ledger[key] = record;
+  return !wasQuarantined && record.quarantined ? 'went_dark' : null;
+}
+
+export default { sourceKey, isQuarantined, recordOutcome };
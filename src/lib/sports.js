@@ -0,0 +1,177 @@
+import { format, subDays } from 'date-fns';
+
+/**
+ * Sports results and schedule, built from ESPN scoreboard JSON.
+ *
+ * Every game is seen from the followed team's side:
+ *   {
+ *     id, league, day: 'yesterday'|'today',
+ *     team, team_id, opponent, opponent_id, home_away: 'home'|'away',
+ *     date, time_tbd, status: 'scheduled'|'in_progress'|'final'|'postponed'|'canceled'|'delayed'|'suspended',
+ *     status_detail, team_score, opponent_score, result: 'W'|'L'|'T'|null, score: '24-17'|null,
+ *     venue, broadcast
+ *   }
+ */
+
+// ESPN's URL path segment for each league
+const SPORT_PATHS = { nfl: 'football', mlb: 'baseball', nba: 'basketball', nhl: 'hockey', wnba: 'basketball', mls: 'soccer' };
+
+const STATUS_NAMES = {
+  STATUS_POSTPONED: 'postponed',
+  STATUS_CANCELED: 'canceled',
+  STATUS_DELAYED: 'delayed',
+  STATUS_RAIN_DELAY: 'delayed',
+  STATUS_SUSPENDED: 'suspended',
+};
+
+/**
+ * Scoreboard URL for one league on one day (dateStr as YYYYMMDD).
+ */
+export function scoreboardUrl(sport, dateStr) {
+  return `https://site.api.espn.com/apis/site/v2/sports/${SPORT_PATHS[sport] || sport}/${sport}/scoreboard?dates=${dateStr}`;
+}
+
+/**
+ * The two scoreboard days a paper covers: yesterday's finals and today's games.
+ */
+export function scoreboardDays(now = new Date()) {
+  return [
+    { day: 'yesterday', date: format(subDays(now, 1), 'yyyyMMdd') },
+    { day: 'today', date: format(now, 'yyyyMMdd') },
+  ];
+}
+
+function gameStatus(status) {
+  const type = status?.type || {};
+  if (STATUS_NAMES[type.name]) return STATUS_NAMES[type.name];
+  if (type.completed || type.state === 'post') return 'final';
+  if (type.state === 'in') return 'in_progress';
+  return 'scheduled';
+}
+
+/**
+ * Is this competitor the followed team? By ESPN team ID when configured,
+ * otherwise by name.
+ */
+function isFollowedTeam(competitor, team) {
+  if (team.team_id) return String(competitor.team?.id ?? competitor.id) === String(team.team_id);
+
+  const wanted = team.name.toLowerCase();
+  const names = [competitor.team?.displayName, competitor.team?.name, competitor.team?.shortDisplayName]
+    .filter(Boolean)
+    .map(n => n.toLowerCase());
+  return names.some(n => n === wanted || wanted.endsWith(` ${n}`));
+}
+
+function teamLabel(competitor) {
+  return competitor.team?.shortDisplayName || competitor.team?.name || competitor.team?.displayName || 'Unknown';
+}
+
+/**
+ * Turn one ESPN event into a game record for the followed team, or null if
+ * the team isn't playing in it.
+ */
+export function normalizeGame(event, team, { day = null } = {}) {
+  const competition = event.competitions?.[0];
+  const competitors = competition?.competitors || [];
+  const us = competitors.find(c => isFollowedTeam(c, team));
+  const them = competitors.find(c => c !== us);
+  if (!us || !them) return null;
+
+  const status = gameStatus(event.status || competition.status);
+  const hasScore = status === 'final' || status === 'in_progress' || status === 'suspended';
+  const teamScore = hasScore ? parseInt(us.score, 10) : NaN;
+  const opponentScore = hasScore ? parseInt(them.score, 10) : NaN;
+  const scored = !Number.isNaN(teamScore) && !Number.isNaN(opponentScore);
+
+  let result = null;
+  if (status === 'final' && scored) {
+    result = teamScore > opponentScore ? 'W' : teamScore < opponentScore ? 'L' : 'T';
+  }
+
+  return {
+    id: event.id,
+    league: team.sport,
+    day,
+    team: teamLabel(us),
+    team_id: String(us.team?.id ?? us.id),
+    opponent: teamLabel(them),
+    opponent_id: String(them.team?.id ?? them.id),
+    home_away: us.homeAway === 'away' ? 'away' : 'home',
+    date: event.date || competition.date,
+    time_tbd: competition.timeValid === false,
+    status,
+    status_detail: (event.status || competition.status)?.type?.shortDetail || null,
+    team_score: scored ? teamScore : null,
+    opponent_score: scored ? opponentScore : null,
+    result,
+    score: scored ? `${teamScore}-${opponentScore}` : null,
+    venue: competition.venue?.fullName || null,
+    broadcast: (competition.broadcasts || []).flatMap(b => b.names || [])[0] || null,
+  };
+}
+
+/**
+ * All of the followed team's games on one scoreboard.
+ */
+export function parseScoreboard(data, team, { day = null } = {}) {
+  return (data.events || [])
+    .map(event => normalizeGame(event, team, { day }))
+    .filter(Boolean);
+}
+
+/**
+ * Split games into yesterday's results and today's schedule.
+ * A game between two followed teams shows once.
+ *
+ * @param {Array} games - Game records from every followed team
+ * @returns {{ results: Array, upcoming: Array }}
+ */
+export function buildScoreboard(games = []) {
+  const seen = new Set();
+  const unique = games.filter(g => {
+    if (!g?.id || seen.has(g.id)) return false;
+    seen.add(g.id);
+    return true;
+  });
+  const byStart = (a, b) => new Date(a.date) - new Date(b.date);
+
+  return {
+    results: unique.filter(g => g.day === 'yesterday' && g.status !== 'scheduled').sort(byStart),
+    upcoming: unique.filter(g => g.day === 'today').sort(byStart),
+  };
+}
+
+function matchup(game) {
+  return `${game.team} ${game.home_away === 'away' ? '@' : 'vs'} ${game.opponent}`;
+}
+
+const RESULT_ICONS = { W: '✅', L: '❌', T: '➖' };
+
+/**
+ * One scoreboard line: "✅ Jets 24-17 @ Bills" or "⏸️ Mets vs Braves — Postponed".
+ */
+export function formatResultLine(game) {
+  if (game.status === 'final' && game.score) {
+    const detail = game.status_detail && game.status_detail !== 'Final' ? ` (${game.status_detail})` : '';
+    return `${RESULT_ICONS[game.result] || ''} ${game.team} ${game.score} ${game.home_away === 'away' ? '@' : 'vs'} ${game.opponent}${detail}`.trim();
+  }
+  return `⏸️ ${matchup(game)} — ${game.status_detail || game.status}`;
+}
+
+/**
+ * One "next up" line: "Yankees vs Orioles — 7:05 PM (YES)".
+ */
+export function formatUpcomingLine(game) {
+  let when;
+  if (game.status === 'scheduled') {
+    when = game.time_tbd ? 'TBD' : format(new Date(game.date), 'h:mm a');
+  } else if (game.status === 'final' && game.score) {
+    when = `Final ${game.score}`;
+  } else {
+    when = game.status_detail || game.status;
+  }
+  return `${matchup(game)} — ${when}${game.broadcast ? ` (${game.broadcast})` : ''}`;
+}
+
+export default { scoreboardUrl, scoreboardDays, normalizeGame, parseScoreboard, buildScoreboard, formatResultLine, formatUpcomingLine };
@@ -107,6 +107,12 @@ export function loadFeedbackRange(startDate, endDate) {
 }
 
 // ─── Queue Storage (for "Send to Paper" items) ───
+// One file per day an item was queued; each item carries its own id and status
+// (see lib/paper-queue.js for the lifecycle).
+
+function newQueueId() {
+  return `q_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
 
 export function addToQueue(dateStr, item) {
   const file = join(DATA_DIR, 'queue', `${dateStr}.json`);
@@ -114,8 +120,17 @@ export function addToQueue(dateStr, item) {
   if (existsSync(file)) {
     existing = JSON.parse(readFileSync(file, 'utf-8'));
   }
-  existing.push(item);
+  const now = new Date().toISOString();
+  const stored = {
+    ...item,
+    id: item.id || newQueueId(),
+    status: item.status || 'pending',
+    queued_at: item.queued_at || now,
+    status_changed_at: now
+  };
+  existing.push(stored);
   writeFileSync(file, JSON.stringify(existing, null, 2));
+  return stored;
 }
 
 export function loadQueue(dateStr) {
@@ -124,6 +139,21 @@ export function loadQueue(dateStr) {
   return JSON.parse(readFileSync(file, 'utf-8'));
 }
 
+export function saveQueue(dateStr, items) {
+  const file = join(DATA_DIR, 'queue', `${dateStr}.json`);
+  writeFileSync(file, JSON.stringify(items, null, 2));
+}
+
+/**
+ * Dates that have a queue file, oldest first.
+ */
+export function listQueueDates() {
+  return readdirSync(join(DATA_DIR, 'queue'))
+    .filter(f => /^\d{4}-\d{2}-\d{2}\.json$/.test(f))
+    .map(f => f.replace('.json', ''))
+    .sort();
+}
+
 export function clearQueue(dateStr) {
   const file = join(DATA_DIR, 'queue', `${dateStr}.json`);
   if (existsSync(file)) {
@@ -131,6 +161,72 @@ export function clearQueue(dateStr) {
   }
 }
 
+// ─── Feed Cache (conditional GET state per feed URL) ───
+
+/**
+ * Load the feed cache: { [feedUrl]: { etag, last_modified, last_checked, seen_guids } }
+ */
+export function loadFeedCache() {
+  const file = join(DATA_DIR, 'feed-cache.json');
+  if (!existsSync(file)) return {};
+  return JSON.parse(readFileSync(file, 'utf-8'));
+}
+
+export function saveFeedCache(cache) {
+  const file = join(DATA_DIR, 'feed-cache.json');
+  writeFileSync(file, JSON.stringify(cache, null, 2));
+}
+
+// ─── Source Health Ledger ───
+
+/**
+ * Load the source health ledger: { [sourceKey]: { consecutive_failures, last_success, ... } }
+ */
+export function loadSourceHealth() {
+  const file = join(DATA_DIR, 'source-health.json');
+  if (!existsSync(file)) return {};
+  return JSON.parse(readFileSync(file, 'utf-8'));
+}
+
+export function saveSourceHealth(ledger) {
+  const file = join(DATA_DIR, 'source-health.json');
+  writeFileSync(file, JSON.stringify(ledger, null, 2));
+}
+
+// ─── Twitter Bridge Health ───
+
+/**
+ * Load per-instance bridge health: { [bridgeName]: { score, consecutive_failures, cooling_until, ... } }
+ */
+export function loadBridgeHealth() {
+  const file = join(DATA_DIR, 'bridge-health.json');
+  if (!existsSync(file)) return {};
+  return JSON.parse(readFileSync(file, 'utf-8'));
+}
+
+export function saveBridgeHealth(ledger) {
+  const file = join(DATA_DIR, 'bridge-health.json');
+  writeFileSync(file, JSON.stringify(ledger, null, 2));
+}
+
+// ─── Inbox Quarantine (emails refused by the sender policy) ───
+
+export function quarantineEmail(record) {
+  const file = join(DATA_DIR, 'inbox-quarantine.json');
+  let existing = [];
+  if (existsSync(file)) {
+    existing = JSON.parse(readFileSync(file, 'utf-8'));
+  }
+  existing.push(record);
+  writeFileSync(file, JSON.stringify(existing, null, 2));
+}
+
+export function loadInboxQuarantine() {
+  const file = join(DATA_DIR, 'inbox-quarantine.json');
+  if (!existsSync(file)) return [];
+  return JSON.parse(readFileSync(file, 'utf-8'));
+}
+
 // ─── Judgment Model Weights ───
 
 export function loadWeights() {
@@ -163,7 +259,11 @@ export default {
   savePaper, loadPaper, loadTodaysPaper,
   savePipelineStep, loadPipelineStep,
   saveFeedback, loadFeedback, loadFeedbackRange,
-  addToQueue, loadQueue, clearQueue,
+  addToQueue, loadQueue, saveQueue, listQueueDates, clearQueue,
+  loadFeedCache, saveFeedCache,
+  loadSourceHealth, saveSourceHealth,
+  loadBridgeHealth, saveBridgeHealth,
+  quarantineEmail, loadInboxQuarantine,
   loadWeights, saveWeights,
   saveMessageMap, loadMessageMap
 };
@@ -0,0 +1,38 @@
+/**
+ * URL handling shared by the pipeline modules and the libraries under them
+ * (queue, OPML import, inbox links).
+ */
+
+// Sent with every page fetch (full-text extraction, inbox links)
+export const USER_AGENT = 'Mozilla/5.0 (compatible; GuttenbergPress/1.0; +https://github.com/DougGuttenberg/the-guttenberg-press)';
+
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|mc_cid|mc_eid|ref|ref_src|cmpid|guccounter|__twitter_impression)$/i;
+
+/**
+ * Reduce a URL to the form two outlets would share for the same page:
+ * no tracking params, no AMP variant, no trailing slash, no fragment, no www.
+ */
+export function canonicalizeUrl(link) {
+  if (!link) return null;
+  try {
+    const url = new URL(link);
+    url.hash = '';
+    url.hostname = url.hostname.toLowerCase().replace(/^(www|amp|m)\./, '');
+    for (const key of [...url.searchParams.keys()]) {
+      if (TRACKING_PARAMS.test(key) || key === 'amp' || key === 'outputType') {
+        url.searchParams.delete(key);
+      }
+    }
+    url.pathname = url.pathname
+      .replace(/\/amp\/?$/i, '')
+      .replace(/\.amp(\.html)?$/i, '$1')
+      .replace(/\/+$/, '');
+    url.searchParams.sort();
+    const query = url.searchParams.toString();
+    return `${url.hostname}${url.pathname}${query ? `?${query}` : ''}`;
+  } catch (_) {
+    return link.trim().toLowerCase();
+  }
+}
+
+export default { USER_AGENT, canonicalizeUrl };
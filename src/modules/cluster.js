@@ -1,11 +1,13 @@
 import { askClaudeJSON } from '../lib/claude-client.js';
 import { createLogger } from '../lib/logger.js';
+import { clusterEngagement } from '../lib/engagement.js';
 
 const logger = createLogger('cluster');
 
 const SYSTEM_PROMPT = `You are a newspaper editor grouping related facts into stories. Each cluster should read like a real news story — with a specific headline about WHAT HAPPENED, not a vague topic label. Write headlines the way the New York Post or Bloomberg would: punchy, specific, naming names.`;
 
 const DOMAIN_CATEGORIES = {
+  developer: ['developer'],
   ai_business: ['ai', 'business'],
   sports: ['sports'],
   culture: ['culture'],
@@ -161,11 +163,18 @@ async function clusterStories(assertionsData) {
       .map(idx => assertions[idx])
       .filter(Boolean);
 
-    const sources = [...new Set(clusterAssertions.map(a => a.source_name || 'Unknown'))];
+    // Outlets whose duplicate copies were collapsed before normalize still count as coverage
+    const sources = [...new Set(clusterAssertions.flatMap(a => [a.source_name || 'Unknown', ...(a.also_reported_by || [])]))];
     const domains = [...new Set(clusterAssertions.flatMap(a => a.domains || []))];
 
     const hasManualBoost = clusterAssertions.some(a => a.manual_send === true);
 
+    // The most trusted source reporting the story sets its weight
+    const sourceWeights = clusterAssertions
+      .map(a => a.source_weight)
+      .filter(w => typeof w === 'number');
+    const sourceWeight = sourceWeights.length > 0 ? Math.max(...sourceWeights) : null;
+
     return {
       cluster_id: clusterId,
       headline: cluster.headline,
@@ -176,6 +185,9 @@ async function clusterStories(assertionsData) {
       domains,
       why_this_matters: cluster.why_this_matters || '',
       manual_boost: hasManualBoost,
+      source_weight: sourceWeight,
+      // Discussion volume from HN / Reddit threads behind the story
+      engagement: clusterEngagement(clusterAssertions),
       doug_note: cluster.doug_note || null,
     };
   });
@@ -0,0 +1,236 @@
+import { readFileSync, existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { createLogger } from '../lib/logger.js';
+import { busiestEngagement } from '../lib/engagement.js';
+import { isCrossPost } from '../lib/social-posts.js';
+import { canonicalizeUrl } from '../lib/urls.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const CONFIG_FILE = join(__dirname, '..', '..', 'config', 'dedup.json');
+
+const logger = createLogger('dedup-articles');
+
+// ─── Config ───
+
+const DEFAULTS = {
+  enabled: true,
+  simhash_max_distance: 5,      // bits of 64 that may differ for a near-duplicate body (feed bodies are short)
+  title_similarity: 0.7,        // Jaccard over title word shingles
+  min_body_tokens: 20,          // shorter bodies (tweets, teasers) only match by URL or title
+  cross_post_window_hours: 24   // same researcher, same text on X / Bluesky / Mastodon within this window
+};
+
+function loadConfig() {
+  try {
+    if (existsSync(CONFIG_FILE)) {
+      const config = JSON.parse(readFileSync(CONFIG_FILE, 'utf-8'));
+      return { ...DEFAULTS, ...(config.article_dedup || {}) };
+    }
+  } catch (err) {
+    logger.warn(`Could not load dedup config: ${err.message}`);
+  }
+  return { ...DEFAULTS };
+}
+
+// ─── URL Canonicalization ───
+
+// Lives in lib/urls.js; re-exported for callers that already import it from here
+export { canonicalizeUrl };
+
+// ─── Fingerprints ───
+
+function tokenize(text) {
+  return (text || '')
+    .replace(/<[^>]+>/g, ' ')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(t => t.length > 1);
+}
+
+/**
+ * 64-bit FNV-1a hash of a string.
+ */
+function fnv1a64(str) {
+  let hash = 0xcbf29ce484222325n;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= BigInt(str.charCodeAt(i));
+    hash = (hash * 0x100000001b3n) & 0xffffffffffffffffn;
+  }
+  return hash;
+}
+
+/**
+ * SimHash over word 3-shingles. Near-identical texts differ in only a few bits.
+ */
+export function simhash(tokens) {
+  const counts = new Array(64).fill(0);
+  const shingles = tokens.length >= 3
+    ? tokens.slice(0, -2).map((t, i) => `${t} ${tokens[i + 1]} ${tokens[i + 2]}`)
+    : tokens;
+
+  for (const shingle of shingles) {
+    const hash = fnv1a64(shingle);
+    for (let bit = 0; bit < 64; bit++) {
+      counts[bit] += (hash >> BigInt(bit)) & 1n ? 1 : -1;
+    }
+  }
+
+  let fingerprint = 0n;
+  for (let bit = 0; bit < 64; bit++) {
+    if (counts[bit] > 0) fingerprint |= 1n << BigInt(bit);
+  }
+  return fingerprint;
+}
+
+export function hammingDistance(a, b) {
+  let x = a ^ b;
+  let distance = 0;
+  while (x) {
+    distance += Number(x & 1n);
+    x >>= 1n;
+  }
+  return distance;
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const item of a) if (b.has(item)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+function titleShingles(title) {
+  const tokens = tokenize(title);
+  return new Set(tokens.length >= 2 ? tokens.slice(0, -1).map((t, i) => `${t} ${tokens[i + 1]}`) : tokens);
+}
+
+function fingerprint(article) {
+  // Body only — syndicated copies are often retitled
+  const bodyTokens = tokenize(article.content);
+  return {
+    url: canonicalizeUrl(article.link),
+    titleShingles: titleShingles(article.title),
+    bodyTokens: bodyTokens.length,
+    simhash: simhash(bodyTokens),
+  };
+}
+
+function isDuplicate(a, b, config) {
+  if (a.url && a.url === b.url) return 'url';
+  if (a.bodyTokens >= config.min_body_tokens && b.bodyTokens >= config.min_body_tokens &&
+      hammingDistance(a.simhash, b.simhash) <= config.simhash_max_distance) {
+    return 'content';
+  }
+  if (a.titleShingles.size >= 3 && b.titleShingles.size >= 3 &&
+      jaccard(a.titleShingles, b.titleShingles) >= config.title_similarity) {
+    return 'title';
+  }
+  return null;
+}
+
+// ─── Collapse ───
+
+/**
+ * Pick which copy of a story to keep: Doug's own sends first, then the most
+ * trusted source, then the longest body.
+ */
+function pickRepresentative(group) {
+  return [...group].sort((a, b) =>
+    (b.manual_send === true) - (a.manual_send === true) ||
+    (b.source_weight ?? 0.5) - (a.source_weight ?? 0.5) ||
+    (b.content || '').length - (a.content || '').length
+  )[0];
+}
+
+function collapse(group) {
+  const keep = pickRepresentative(group);
+  const others = group.filter(a => a !== keep);
+  const seenSources = new Set([keep.source]);
+  const alsoReportedBy = [];
+  const crossPostedTo = [];
+
+  for (const article of others) {
+    // The same researcher on another platform is one voice, not extra coverage
+    if (keep.researcher && article.researcher === keep.researcher && article.platform !== keep.platform) {
+      crossPostedTo.push({ platform: article.platform, source: article.source, link: article.link });
+      continue;
+    }
+    if (seenSources.has(article.source)) continue;
+    seenSources.add(article.source);
+    alsoReportedBy.push({ source: article.source, title: article.title, link: article.link });
+  }
+
+  const notes = group.map(a => a.doug_note).filter(Boolean);
+  // An HN or Reddit thread about the story keeps its engagement when the outlet's copy wins
+  const engagement = busiestEngagement(group);
+  return {
+    ...keep,
+    manual_send: group.some(a => a.manual_send === true),
+    doug_note: keep.doug_note || notes[0] || null,
+    ...(engagement ? { engagement } : {}),
+    ...(crossPostedTo.length > 0 ? { cross_posted_to: crossPostedTo } : {}),
+    also_reported_by: alsoReportedBy,
+  };
+}
+
+/**
+ * Collapse duplicate and near-duplicate articles before anything is sent to the LLM.
+ * Duplicates are grouped transitively (A≈B and B≈C puts all three together).
+ *
+ * @param {Object} articlesData - Output of fetchSources()
+ * @returns {Object} Same shape with collapsed articles and a dedup summary
+ */
+export default function dedupArticles(articlesData) {
+  const config = loadConfig();
+  const articles = articlesData.articles || [];
+
+  if (!config.enabled || articles.length === 0) {
+    return articlesData;
+  }
+
+  const prints = articles.map(fingerprint);
+
+  // Union-find over duplicate pairs
+  const parent = articles.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const matchedBy = { url: 0, content: 0, title: 0, cross_post: 0 };
+  const crossPostOptions = { window_hours: config.cross_post_window_hours };
+
+  for (let i = 0; i < articles.length; i++) {
+    for (let j = i + 1; j < articles.length; j++) {
+      if (find(i) === find(j)) continue;
+      const reason = isCrossPost(articles[i], articles[j], crossPostOptions)
+        ? 'cross_post'
+        : isDuplicate(prints[i], prints[j], config);
+      if (reason) {
+        parent[find(j)] = find(i);
+        matchedBy[reason]++;
+      }
+    }
+  }
+
+  const groups = new Map();
+  articles.forEach((article, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(article);
+  });
+
+  const deduped = [...groups.values()].map(group => (group.length > 1 ? collapse(group) : group[0]));
+  const removed = articles.length - deduped.length;
+
+  logger.info(`Collapsed ${articles.length} articles to ${deduped.length} (${removed} duplicates; by url=${matchedBy.url}, content=${matchedBy.content}, title=${matchedBy.title}, cross-post=${matchedBy.cross_post})`);
+
+  return {
+    ...articlesData,
+    articles: deduped,
+    count: deduped.length + (articlesData.scores?.length || 0),
+    dedup_summary: {
+      before: articles.length,
+      after: deduped.length,
+      matched_by: matchedBy,
+    },
+  };
+}
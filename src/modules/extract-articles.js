@@ -0,0 +1,156 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createLogger } from '../lib/logger.js';
+import { httpGet } from '../lib/http-fixtures.js';
+import { runScheduled } from '../lib/fetch-scheduler.js';
+import { extractReadableText } from '../lib/readability.js';
+import { USER_AGENT } from '../lib/urls.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const logger = createLogger('extract-articles');
+
+const DEFAULTS = {
+  enabled: true,
+  min_content_chars: 600,
+  max_html_bytes: 2000000,
+  max_content_chars: 20000,
+  timeout_ms: 15000,
+  concurrency: 4,
+  skip_domains: []
+};
+
+/**
+ * Load the `extraction` block from sources.json, plus which feeds opted out.
+ */
+function loadConfig() {
+  const sourcesPath = path.resolve(__dirname, '../../config/sources.json');
+  try {
+    const sourcesData = JSON.parse(fs.readFileSync(sourcesPath, 'utf-8'));
+    const optedOut = (sourcesData.rss_feeds || [])
+      .filter(f => f.extract_full_text === false)
+      .map(f => f.name);
+    return { ...DEFAULTS, ...(sourcesData.extraction || {}), opted_out_sources: optedOut };
+  } catch (error) {
+    logger.warn(`Could not load extraction config, using defaults: ${error.message}`);
+    return { ...DEFAULTS, opted_out_sources: [] };
+  }
+}
+
+function hostnameOf(link) {
+  try {
+    return new URL(link).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Does this domain (or a parent domain) appear in the skip list?
+ */
+export function isSkippedDomain(link, skipDomains) {
+  const host = hostnameOf(link);
+  if (!host) return true;
+  return skipDomains.some(d => host === d || host.endsWith(`.${d}`));
+}
+
+/**
+ * Plain-text length of feed content, which is often HTML.
+ */
+function textLength(content) {
+  return (content || '').replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim().length;
+}
+
+/**
+ * Only teaser-length articles with a real link are worth a page fetch.
+ */
+function needsExtraction(article, config) {
+  // Inbox links were already followed when the email arrived
+  if (!article.link || article.full_content || article.extraction) return false;
+  if (config.opted_out_sources.includes(article.source)) return false;
+  if (isSkippedDomain(article.link, config.skip_domains)) return false;
+  return textLength(article.content) < config.min_content_chars;
+}
+
+/**
+ * Fetch a page and extract its readable body onto the article (mutates it).
+ * Throws on network errors so the scheduler records the failure.
+ */
+export async function extractArticle(article, config = DEFAULTS, { timeoutMs } = {}) {
+  const response = await httpGet(article.link, {
+    timeout: timeoutMs || config.timeout_ms,
+    maxContentLength: config.max_html_bytes,
+    responseType: 'text',
+    headers: { 'User-Agent': USER_AGENT, Accept: 'text/html,application/xhtml+xml' },
+  });
+
+  const contentType = response.headers['content-type'] || '';
+  if (!contentType.includes('html')) {
+    return { status: 'not_html' };
+  }
+
+  const { text, method } = extractReadableText(response.data);
+  if (text.length <= textLength(article.content)) {
+    return { status: 'no_gain' };
+  }
+
+  article.full_content = text.substring(0, config.max_content_chars);
+  article.extraction = {
+    method,
+    chars: article.full_content.length,
+    truncated: text.length > config.max_content_chars,
+    extracted_at: new Date().toISOString(),
+  };
+  return { status: 'ok' };
+}
+
+/**
+ * Pipeline stage between fetch and normalize: pull the full article body for
+ * snippet-only feed items and store it as `full_content`.
+ *
+ * @param {Object} articlesData - Output of fetchSources()
+ * @returns {Promise<Object>} Same shape, with articles enriched and an extraction summary
+ */
+export default async function extractArticles(articlesData) {
+  const startTime = Date.now();
+  const config = loadConfig();
+  const articles = articlesData.articles || [];
+
+  if (!config.enabled) {
+    logger.info('Full-text extraction disabled in config');
+    return articlesData;
+  }
+
+  const candidates = articles.filter(a => needsExtraction(a, config));
+  logger.info(`Extracting full text for ${candidates.length}/${articles.length} articles`);
+
+  const tasks = candidates.map(article => ({
+    name: article.link,
+    type: 'extract',
+    run: async ({ timeoutMs }) => extractArticle(article, config, { timeoutMs }),
+  }));
+
+  const results = await runScheduled(tasks, {
+    concurrency: config.concurrency,
+    timeout_ms: config.timeout_ms,
+    retries: 0,
+  });
+
+  const byStatus = {};
+  for (const { outcome } of results) {
+    byStatus[outcome.status] = (byStatus[outcome.status] || 0) + 1;
+  }
+
+  logger.info(`Extraction complete in ${Date.now() - startTime}ms: ${JSON.stringify(byStatus)}`);
+
+  return {
+    ...articlesData,
+    articles,
+    extraction_summary: {
+      attempted: candidates.length,
+      by_status: byStatus,
+    },
+  };
+}
@@ -1,335 +1,312 @@
-import Parser from 'rss-parser';
-import axios from 'axios';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { checkInbox, extractPaperContent } from '../lib/email-client.js';
 import { createLogger } from '../lib/logger.js';
-import { loadQueue, todayStr } from '../lib/storage.js';
+import {
+  loadFeedCache, saveFeedCache, loadSourceHealth, saveSourceHealth
+} from '../lib/storage.js';
+import { runScheduled } from '../lib/fetch-scheduler.js';
+import { sourceKey, isQuarantined, recordOutcome } from '../lib/source-health.js';
+import { applyRecencyWindow } from '../lib/recency.js';
+import { validateArticle } from '../lib/article-schema.js';
+import { fixtureMode, fixtureDir, replayClock, startingFeedCache } from '../lib/http-fixtures.js';
+import { fetchEpisodeExtras } from '../lib/podcast.js';
+import { expireQueueItems } from '../lib/paper-queue.js';
+import { sendMessage } from '../lib/telegram-client.js';
+import { getAdapter, listAdapters, loadCustomAdapters } from '../adapters/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const PROJECT_ROOT = path.resolve(__dirname, '../..');
+const CONFIG_DIR = path.join(PROJECT_ROOT, 'config');
+
 const logger = createLogger('fetch-sources');
-const parser = new Parser();
+
+// Items taken per feed when neither the source nor fetch_settings says otherwise
+const DEFAULT_MAX_ITEMS = 10;
 
 /**
- * Load configuration files
+ * Load sources.json and collect every configured source, paired with its adapter.
+ * Sources come from each adapter's own config keys (rss_feeds, espn_teams, ...)
+ * plus the generic `sources` list, where each entry names its adapter by `type`.
  */
-function loadConfig() {
-  const sourcesPath = path.resolve(__dirname, '../../config/sources.json');
-  const twitterPath = path.resolve(__dirname, '../../config/twitter-researchers.json');
-
-  let rssFeeds = [];
-  let espnTeams = [];
-  let twitterResearchers = [];
-  let twitterBridgeUrl = '';
-
+async function loadConfig() {
+  let sourcesData = {};
   try {
-    const sourcesData = JSON.parse(fs.readFileSync(sourcesPath, 'utf-8'));
-    rssFeeds = sourcesData.rss_feeds || [];
-    espnTeams = sourcesData.espn_teams || [];
-    logger.info(`Loaded ${rssFeeds.length} RSS feeds and ${espnTeams.length} ESPN teams from config`);
+    sourcesData = JSON.parse(fs.readFileSync(path.join(CONFIG_DIR, 'sources.json'), 'utf-8'));
   } catch (error) {
     logger.error(`Failed to load sources.json: ${error.message}`);
   }
 
   try {
-    const twitterData = JSON.parse(fs.readFileSync(twitterPath, 'utf-8'));
-    twitterResearchers = (twitterData.researchers || []).map(r => ({
-      ...r,
-      nitterBridge: twitterData.rss_bridge_base_url || 'https://nitter.net'
-    }));
-    twitterBridgeUrl = twitterData.rss_bridge_base_url || '';
-    logger.info(`Loaded ${twitterResearchers.length} Twitter researchers from config`);
+    await loadCustomAdapters(sourcesData.adapters, PROJECT_ROOT);
   } catch (error) {
-    logger.error(`Failed to load twitter-researchers.json: ${error.message}`);
+    logger.error(`Failed to load custom source adapters: ${error.message}`);
   }
 
-  return { rssFeeds, espnTeams, twitterResearchers };
-}
-
-/**
- * Fetch articles from a single RSS feed
- */
-async function fetchRssFeed(feedUrl, sourceName) {
-  try {
-    const feed = await parser.parseURL(feedUrl);
-    const items = feed.items.slice(0, 10);
-
-    const articles = items.map((item) => ({
-      source: sourceName || feed.title || 'Unknown Source',
-      title: item.title || 'Untitled',
-      link: item.link || '',
-      published: item.pubDate || new Date().toISOString(),
-      content: item.content || item.contentSnippet || item.summary || '',
-      retrieved_at: new Date().toISOString(),
-      manual_send: false,
-      doug_note: null,
-      category: 'news',
-    }));
-
-    logger.info(`Fetched ${articles.length} articles from ${sourceName}`);
-    return articles;
-  } catch (error) {
-    logger.warn(`Failed to fetch RSS feed "${sourceName}" (${feedUrl}): ${error.message}`);
-    return [];
+  const sources = [];
+  for (const adapter of listAdapters()) {
+    try {
+      const configured = adapter.configured ? adapter.configured(sourcesData, { configDir: CONFIG_DIR }) : [];
+      sources.push(...configured.map(source => ({ adapter, source })));
+    } catch (error) {
+      logger.error(`Failed to load ${adapter.type} sources: ${error.message}`);
+    }
   }
-}
 
-/**
- * Fetch ESPN scores for configured teams
- */
-async function fetchEspnScores(teamsConfig) {
-  const scores = [];
-
-  if (!teamsConfig || !Array.isArray(teamsConfig)) {
-    logger.warn('No teams configuration provided for ESPN scores');
-    return scores;
+  for (const source of sourcesData.sources || []) {
+    const adapter = getAdapter(source.type);
+    if (!adapter) {
+      logger.warn(`Skipping source "${source.name}": no adapter registered for type "${source.type}"`);
+      continue;
+    }
+    sources.push({ adapter, source });
   }
 
-  // Deduplicate API calls by sport (e.g., only fetch MLB scoreboard once)
-  const sportsFetched = new Set();
-
-  for (const team of teamsConfig) {
-    try {
-      const { name, sport } = team;
-      // ESPN API uses sport name as both sport and league path segment
-      const league = sport;
-
-      if (!sport) {
-        logger.warn(`Skipping team ${name}: missing sport`);
-        continue;
-      }
-
-      const url = `https://site.api.espn.com/apis/site/v2/sports/${sport === 'nfl' ? 'football' : sport === 'mlb' ? 'baseball' : sport === 'nba' ? 'basketball' : sport}/${league}/scoreboard`;
-      const response = await axios.get(url, { timeout: 10000 });
-      const events = response.data.events || [];
-
-      for (const event of events) {
-        const competitors = event.competitions[0]?.competitors || [];
-        if (competitors.length < 2) continue;
-
-        const homeTeam = competitors.find((c) => c.homeAway === 'home');
-        const awayTeam = competitors.find((c) => c.homeAway === 'away');
-
-        if (!homeTeam || !awayTeam) continue;
-
-        const teamName = homeTeam.team?.name || homeTeam.team?.displayName || '';
-        const opponentName = awayTeam.team?.name || awayTeam.team?.displayName || '';
-        const teamScore = parseInt(homeTeam.score, 10) || 0;
-        const opponentScore = parseInt(awayTeam.score, 10) || 0;
-
-        if (
-          teamName.toLowerCase().includes(name.toLowerCase()) ||
-          teamName === name
-        ) {
-          scores.push({
-            team: teamName,
-            opponent: opponentName,
-            team_score: teamScore,
-            opponent_score: opponentScore,
-            won: teamScore > opponentScore,
-            sport,
-            date: event.date || new Date().toISOString(),
-          });
-        }
-      }
-    } catch (error) {
-      logger.warn(`Failed to fetch ESPN scores for ${team.name}: ${error.message}`);
-    }
+  // Drop sources switched off with `enabled: false`
+  const enabled = sources.filter(({ source }) => source.enabled !== false);
+  if (enabled.length < sources.length) {
+    logger.info(`Skipping ${sources.length - enabled.length} disabled sources`);
   }
 
-  logger.info(`Fetched ${scores.length} ESPN scores`);
-  return scores;
+  const byType = {};
+  for (const { adapter } of enabled) byType[adapter.type] = (byType[adapter.type] || 0) + 1;
+  logger.info(`Loaded ${enabled.length} sources: ${Object.entries(byType).map(([t, n]) => `${t} ${n}`).join(', ')}`);
+
+  return {
+    sources: enabled,
+    fetchSettings: sourcesData.fetch_settings || {},
+    recencySettings: sourcesData.recency || {},
+  };
 }
 
 /**
- * Fetch Twitter researcher posts via Nitter RSS bridge
+ * Normalize an adapter's return value and drop articles that break the schema.
  */
-async function fetchTwitterResearchers(researchers) {
-  const articles = [];
-
-  if (!researchers || !Array.isArray(researchers)) {
-    logger.warn('No Twitter researchers configuration provided');
-    return articles;
-  }
-
-  for (const researcher of researchers) {
-    try {
-      const { name, handle, nitterBridge } = researcher;
-
-      if (!handle || !nitterBridge) {
-        logger.warn(`Skipping researcher ${name}: missing handle or nitterBridge`);
-        continue;
-      }
-
-      const feedUrl = `${nitterBridge}/search/rss?q=from:${handle}`;
-      const feed = await parser.parseURL(feedUrl);
-      const items = feed.items.slice(0, 10);
-
-      const tweets = items.map((item) => ({
-        source: `@${handle} (${name})`,
-        title: item.title || 'Untitled Tweet',
-        link: item.link || '',
-        published: item.pubDate || new Date().toISOString(),
-        content: item.content || item.contentSnippet || '',
-        retrieved_at: new Date().toISOString(),
-        manual_send: false,
-        doug_note: null,
-        category: 'twitter',
-      }));
-
-      articles.push(...tweets);
-      logger.info(`Fetched ${tweets.length} tweets from @${handle}`);
-    } catch (error) {
-      logger.warn(
-        `Failed to fetch Twitter researcher "${researcher.name}" (@${researcher.handle}): ${error.message}`
-      );
+function acceptResult(result, taskName) {
+  const { articles = [], scores = [], status } = Array.isArray(result) ? { articles: result } : (result || {});
+
+  const valid = articles.filter(article => {
+    const errors = validateArticle(article);
+    if (errors.length > 0) {
+      logger.warn(`${taskName}: rejected article "${article?.title}": ${errors.join('; ')}`);
+      return false;
     }
-  }
+    return true;
+  });
+
+  return { articles: valid, scores, status };
+}
 
-  logger.info(`Fetched ${articles.length} total Twitter articles`);
-  return articles;
+/**
+ * Build one scheduler task per source. Each task resolves to { articles, scores, status }.
+ */
+function buildFetchTasks({ sources, fetchSettings }, feedCache) {
+  const maxItems = fetchSettings.max_items_per_feed ?? DEFAULT_MAX_ITEMS;
+  // Per run, so a long-running `npm start` never serves last night's responses
+  const shared = new Map();
+
+  return sources.map(({ adapter, source }) => {
+    const name = adapter.taskName ? adapter.taskName(source) : source.name;
+    return {
+      name,
+      type: adapter.type,
+      timeout_ms: source.timeout_ms,
+      retries: source.retries ?? adapter.retries,
+      track_health: adapter.track_health,
+      run: async ({ timeoutMs }) => acceptResult(
+        await adapter.fetch(source, { timeoutMs, maxItems, feedCache, shared }),
+        name
+      ),
+    };
+  });
 }
 
 /**
- * Fetch articles from Gmail inbox with "Send to Paper" tag
+ * Fold this run's outcomes into the health ledger and tell Doug when a source
+ * goes dark or comes back.
  */
-async function fetchGmailInbox() {
-  const articles = [];
+async function updateSourceHealth(ledger, outcomes, fetchSettings) {
+  const changes = { went_dark: [], recovered: [] };
+
+  for (const outcome of outcomes) {
+    if (outcome.status === 'quarantined') continue;
+    const change = recordOutcome(ledger, outcome, fetchSettings);
+    if (change) changes[change].push(ledger[sourceKey(outcome.type, outcome.source)]);
+  }
 
   try {
-    const emails = await checkInbox();
+    saveSourceHealth(ledger);
+  } catch (error) {
+    logger.warn(`Could not save source health ledger: ${error.message}`);
+  }
 
-    if (!emails || !Array.isArray(emails)) {
-      logger.warn('No emails returned from checkInbox()');
-      return articles;
-    }
+  if (changes.went_dark.length === 0 && changes.recovered.length === 0) {
+    return changes;
+  }
 
-    for (const email of emails) {
-      try {
-        const extracted = extractPaperContent(email);
-
-        if (extracted) {
-          articles.push({
-            source: extracted.source || "Doug's Inbox",
-            title: extracted.title || email.subject || 'Untitled Email',
-            link: extracted.link || '',
-            published: extracted.published || email.date || new Date().toISOString(),
-            content: extracted.content || '',
-            retrieved_at: new Date().toISOString(),
-            manual_send: true,
-            doug_note: extracted.doug_note || null,
-            category: 'email',
-          });
-        }
-      } catch (error) {
-        logger.warn(`Failed to extract content from email: ${error.message}`);
-      }
-    }
+  let notice = '';
+  if (changes.went_dark.length > 0) {
+    notice += `📡 ${changes.went_dark.length} source(s) went dark and are quarantined:\n`;
+    notice += changes.went_dark
+      .map(r => `• ${r.source} — ${r.consecutive_failures} failures in a row (${r.last_error}). Next retry ${r.quarantined_until.split('T')[0]}`)
+      .join('\n');
+  }
+  if (changes.recovered.length > 0) {
+    notice += `${notice ? '\n\n' : ''}✅ Back online: ${changes.recovered.map(r => r.source).join(', ')}`;
+  }
 
-    logger.info(`Fetched ${articles.length} articles from Gmail inbox`);
+  logger.warn(notice);
+  try {
+    await sendMessage(notice);
   } catch (error) {
-    logger.error(`Failed to fetch Gmail inbox: ${error.message}`);
+    logger.warn(`Could not send source health notice via Telegram: ${error.message}`);
   }
 
-  return articles;
+  return changes;
 }
 
 /**
- * Load "Send to Paper" queue items from storage
+ * The feed cache for one run. Adapters update it as they fetch (ETags, seen
+ * GUIDs), but it is only written back by commit(), which the runner calls
+ * once the paper is saved — if a later stage fails, the next run fetches the
+ * same items again instead of getting 304s and "already seen".
+ *
+ * A replay starts from the cache the recording did and never writes the live one.
+ *
+ * @param {object} options - replaying; load and save default to the live cache in data/
+ * @returns {{ cache: object, commit: Function }}
  */
-function loadQueueItems() {
-  const articles = [];
-
+export function openFeedCache({ replaying = false, load = loadFeedCache, save = saveFeedCache } = {}) {
+  let cache = {};
   try {
-    const queue = loadQueue(todayStr());
-
-    if (!queue || !Array.isArray(queue)) {
-      logger.info('No queue items found for today');
-      return articles;
-    }
-
-    for (const item of queue) {
-      articles.push({
-        source: item.source || 'Queue Item',
-        title: item.title || 'Untitled',
-        link: item.link || '',
-        published: item.published || new Date().toISOString(),
-        content: item.content || '',
-        retrieved_at: new Date().toISOString(),
-        manual_send: true,
-        doug_note: item.doug_note || null,
-        category: item.category || 'queue',
-      });
-    }
-
-    logger.info(`Loaded ${articles.length} queue items for today`);
+    cache = startingFeedCache(load);
   } catch (error) {
-    logger.warn(`Failed to load queue items: ${error.message}`);
+    logger.warn(`Could not load feed cache, fetching all feeds fresh: ${error.message}`);
   }
 
-  return articles;
+  const commit = () => {
+    if (replaying) return false;
+    try {
+      save(cache);
+      return true;
+    } catch (error) {
+      logger.warn(`Could not save feed cache: ${error.message}`);
+      return false;
+    }
+  };
+  return { cache, commit };
 }
 
 /**
- * Main function to fetch all sources
+ * Main function to fetch all sources. Call `commitFeedCache()` on the result
+ * after the paper built from it is saved.
  */
 export default async function fetchSources() {
   const startTime = Date.now();
   const timestamp = new Date().toISOString();
 
-  let allArticles = [];
-  let allScores = [];
+  const allArticles = [];
+  const allScores = [];
 
   logger.info('Starting fetch-sources pipeline...');
 
   // Load configuration
-  const { rssFeeds, espnTeams, twitterResearchers } = loadConfig();
-
-  // Fetch RSS feeds
-  if (rssFeeds && rssFeeds.length > 0) {
-    logger.info(`Processing ${rssFeeds.length} RSS feeds...`);
-    for (const feed of rssFeeds) {
-      const articles = await fetchRssFeed(feed.url, feed.name);
-      // Tag each article with its configured category
-      articles.forEach(a => { a.category = feed.category || 'news'; });
-      allArticles.push(...articles);
+  const config = await loadConfig();
+
+  // Replays must not touch the real cache or health ledger, nor reach sources outside the fixture layer
+  const replaying = fixtureMode() === 'replay';
+  if (fixtureMode()) {
+    logger.info(`HTTP fixtures: ${fixtureMode()} mode (${fixtureDir()})`);
+  }
+
+  const { cache: feedCache, commit: commitFeedCache } = openFeedCache({ replaying });
+
+  let healthLedger = {};
+  if (!replaying) {
+    try {
+      healthLedger = loadSourceHealth();
+    } catch (error) {
+      logger.warn(`Could not load source health ledger: ${error.message}`);
     }
   }
 
-  // Fetch ESPN scores
-  try {
-    const scores = await fetchEspnScores(espnTeams);
-    allScores.push(...scores);
-  } catch (error) {
-    logger.warn(`ESPN scores fetching failed: ${error.message}`);
+  // Quarantined sources sit out until their back-off has elapsed
+  const allTasks = buildFetchTasks(config, feedCache)
+    .filter(t => !(replaying && getAdapter(t.type)?.replayable === false));
+  const quarantinedTasks = allTasks.filter(t => t.track_health !== false && isQuarantined(healthLedger[sourceKey(t.type, t.name)]));
+  const tasks = allTasks.filter(t => !quarantinedTasks.includes(t));
+
+  if (quarantinedTasks.length > 0) {
+    logger.info(`Skipping ${quarantinedTasks.length} quarantined sources: ${quarantinedTasks.map(t => t.name).join(', ')}`);
   }
 
-  // Fetch Twitter researchers
-  try {
-    const twitterArticles = await fetchTwitterResearchers(twitterResearchers);
-    allArticles.push(...twitterArticles);
-  } catch (error) {
-    logger.warn(`Twitter researchers fetching failed: ${error.message}`);
+  logger.info(`Fetching ${tasks.length} sources (concurrency ${config.fetchSettings.concurrency || 'default'})...`);
+  const results = await runScheduled(tasks, config.fetchSettings);
+
+  const fetchedArticles = [];
+  for (const { articles, scores } of results) {
+    fetchedArticles.push(...articles);
+    allScores.push(...scores);
   }
 
-  // Fetch Gmail inbox
-  try {
-    const gmailArticles = await fetchGmailInbox();
-    allArticles.push(...gmailArticles);
-  } catch (error) {
-    logger.warn(`Gmail inbox fetching failed: ${error.message}`);
+  // Drop stale and badly dated items so the paper only covers what's new
+  const recencyOverrides = Object.fromEntries(
+    config.sources
+      .filter(({ source }) => typeof source.recency_hours === 'number')
+      .map(({ source }) => [source.name, source.recency_hours])
+  );
+  const { kept, dropped } = applyRecencyWindow(fetchedArticles, config.recencySettings, recencyOverrides, replayClock());
+  allArticles.push(...kept);
+
+  for (const drop of dropped) {
+    logger.info(`Dropped "${drop.title}" (${drop.source}): ${drop.reason}`);
+  }
+  if (!replaying) {
+    const expired = expireQueueItems(dropped);
+    if (expired > 0) logger.info(`Expired ${expired} queue item(s) outside the recency window`);
+  }
+  const undated = kept.filter(a => a.date_unknown).length;
+  logger.info(`Recency filter kept ${kept.length}/${fetchedArticles.length} articles (${dropped.length} dropped, ${undated} undated kept)`);
+
+  // Transcripts and chapters only for episodes still in the window, outside their feed's task and timeout
+  const feedsByName = new Map(config.sources.filter(({ adapter }) => adapter.type === 'rss').map(({ source }) => [source.name, source]));
+  const extras = await fetchEpisodeExtras(kept, article => feedsByName.get(article.source), {
+    concurrency: config.fetchSettings.concurrency,
+    logger
+  });
+  if (extras.episodes > 0) {
+    logger.info(`Podcast extras: ${extras.transcribed}/${extras.episodes} episodes with transcripts`);
   }
 
-  // Load queue items
-  try {
-    const queueArticles = loadQueueItems();
-    allArticles.push(...queueArticles);
-  } catch (error) {
-    logger.warn(`Queue items loading failed: ${error.message}`);
+  const sourceOutcomes = [
+    ...results.map(r => r.outcome),
+    ...quarantinedTasks.map(t => ({
+      source: t.name,
+      type: t.type,
+      status: 'quarantined',
+      items: 0,
+      latency_ms: 0,
+      attempts: 0,
+      error: healthLedger[sourceKey(t.type, t.name)].last_error
+    }))
+  ];
+
+  const trackedOutcomes = results
+    .filter((r, idx) => tasks[idx].track_health !== false)
+    .map(r => r.outcome);
+  const healthChanges = replaying
+    ? { went_dark: [], recovered: [] }
+    : await updateSourceHealth(healthLedger, trackedOutcomes, config.fetchSettings);
+
+  const failed = sourceOutcomes.filter(o => o.status === 'error' || o.status === 'timeout');
+  const slowest = [...sourceOutcomes].sort((a, b) => b.latency_ms - a.latency_ms).slice(0, 3);
+
+  if (failed.length > 0) {
+    logger.warn(`${failed.length}/${sourceOutcomes.length} sources failed: ${failed.map(o => `${o.source} (${o.status})`).join(', ')}`);
   }
+  logger.info(`Slowest sources: ${slowest.map(o => `${o.source} ${o.latency_ms}ms`).join(', ')}`);
 
   const duration = Date.now() - startTime;
 
@@ -337,8 +314,16 @@ export default async function fetchSources() {
     articles: allArticles,
     scores: allScores,
     count: allArticles.length + allScores.length,
+    source_outcomes: sourceOutcomes,
+    recency_drops: dropped,
+    source_health_changes: {
+      went_dark: healthChanges.went_dark.map(r => r.source),
+      recovered: healthChanges.recovered.map(r => r.source),
+    },
     timestamp,
   };
+  // Not data: left out of the saved pipeline step and of what later stages copy
+  Object.defineProperty(result, 'commitFeedCache', { value: commitFeedCache, enumerable: false });
 
   logger.info(
     `Fetch-sources pipeline completed in ${duration}ms. Fetched ${allArticles.length} articles and ${allScores.length} scores.`
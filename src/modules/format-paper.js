@@ -1,5 +1,6 @@
 import { createLogger } from '../lib/logger.js';
 import { format } from 'date-fns';
+import { buildScoreboard, formatResultLine, formatUpcomingLine } from '../lib/sports.js';
 
 const logger = createLogger('format-paper');
 
@@ -34,23 +35,30 @@ function buildSection(title, emoji, stories) {
 }
 
 function buildSportsSection(title, emoji, stories, scoresData) {
-  if (!stories || stories.length === 0) {
+  const { results, upcoming } = buildScoreboard(scoresData || []);
+  if ((!stories || stories.length === 0) && results.length === 0 && upcoming.length === 0) {
     return '';
   }
 
   let section = `\n${emoji} ${title}\n\n`;
 
-  // Add scores if available
-  if (scoresData && scoresData.length > 0) {
+  if (results.length > 0) {
     section += 'YESTERDAY\'S SCORES:\n';
-    scoresData.forEach(score => {
-      const result = score.result === 'W' ? '✅' : '❌';
-      section += `${result} ${score.team} ${score.score}\n`;
+    results.forEach(game => {
+      section += `${formatResultLine(game)}\n`;
     });
     section += '\n';
   }
 
-  stories.forEach((story, index) => {
+  if (upcoming.length > 0) {
+    section += 'NEXT UP:\n';
+    upcoming.forEach(game => {
+      section += `• ${formatUpcomingLine(game)}\n`;
+    });
+    section += '\n';
+  }
+
+  (stories || []).forEach((story, index) => {
     const headline = story.is_evolution ? `UPDATE: ${story.headline}` : story.headline;
     section += `${index + 1}. ${headline}\n\n`;
     if (story.is_evolution && story.evolved_from) {
@@ -84,8 +92,14 @@ function buildTextPaper(rankedData, scoresData) {
   paper += buildSection('BUSINESS & AI SYSTEMS', '💼', selections.business);
   paper += `${'═'.repeat(27)}\n`;
 
+  // Developer (only if present)
+  if (selections.developer && selections.developer.length > 0) {
+    paper += buildSection('DEVELOPER', '🛠️', selections.developer);
+    paper += `${'═'.repeat(27)}\n`;
+  }
+
   // Sports
-  paper += buildSportsSection('JETS & NFL', '🏈', selections.sports, scoresData);
+  paper += buildSportsSection('SPORTS', '🏟️', selections.sports, scoresData);
   paper += `${'═'.repeat(27)}\n`;
 
   // Culture
@@ -292,24 +306,39 @@ function buildHtmlPaper(rankedData, scoresData) {
   // Business & AI
   html += addSectionHtml('BUSINESS & AI SYSTEMS', '💼', selections.business);
 
+  // Developer
+  html += addSectionHtml('DEVELOPER', '🛠️', selections.developer);
+
   // Sports
-  if (selections.sports && selections.sports.length > 0) {
+  const scoreboard = buildScoreboard(scoresData || []);
+  const hasScoreboard = scoreboard.results.length > 0 || scoreboard.upcoming.length > 0;
+  if ((selections.sports && selections.sports.length > 0) || hasScoreboard) {
     html += `<div class="section">
-      <h2><span class="emoji">🏈</span>JETS & NFL</h2>
+      <h2><span class="emoji">🏟️</span>SPORTS</h2>
 `;
-    if (scoresData && scoresData.length > 0) {
+    if (hasScoreboard) {
       html += `<div class="scores">
-        <strong>Yesterday's Scores:</strong>
 `;
-      scoresData.forEach(score => {
-        const result = score.result === 'W' ? '✅' : '❌';
-        html += `<div class="score-item">${result} ${score.team} ${score.score}</div>
+      if (scoreboard.results.length > 0) {
+        html += `<strong>Yesterday's Scores:</strong>
 `;
-      });
+        scoreboard.results.forEach(game => {
+          html += `<div class="score-item">${formatResultLine(game)}</div>
+`;
+        });
+      }
+      if (scoreboard.upcoming.length > 0) {
+        html += `<strong>Next Up:</strong>
+`;
+        scoreboard.upcoming.forEach(game => {
+          html += `<div class="score-item">${formatUpcomingLine(game)}</div>
+`;
+        });
+      }
       html += `</div>
 `;
     }
-    selections.sports.forEach((story, index) => {
+    (selections.sports || []).forEach((story, index) => {
       const headline = story.is_evolution ? `UPDATE: ${story.headline}` : story.headline;
       const evolutionNote = (story.is_evolution && story.evolved_from)
         ? `<div class="story-meta" style="color: #856404;">📌 Previously: "${story.evolved_from.headline}" (${story.evolved_from.date})</div>`
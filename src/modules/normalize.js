@@ -3,6 +3,9 @@ import { createLogger } from '../lib/logger.js';
 
 const logger = createLogger('normalize');
 
+// Characters of an episode transcript sent to the model (articles get 2000)
+const TRANSCRIPT_CHARS = 6000;
+
 /**
  * Normalize raw articles by extracting key factual assertions using Claude AI
  * @param {Object} articlesData - The input data containing articles and metadata
@@ -75,7 +78,8 @@ async function processBatch(batch) {
     source: article.source || 'Unknown',
     title: article.title || 'Untitled',
     link: article.link || null,
-    content: (article.content || '').substring(0, 2000),
+    // An episode transcript gets more room than an article — the first minutes are often ads
+    content: (article.full_content || article.content || '').substring(0, article.podcast?.has_transcript ? TRANSCRIPT_CHARS : 2000),
     category: article.category || 'uncategorized',
     manual_send: article.manual_send || false,
   }));
@@ -98,13 +102,53 @@ async function processBatch(batch) {
       a.assertion && typeof a.assertion === 'string' && a.assertion.length > 0
     );
 
-    return validatedAssertions;
+    // Carry source weight and duplicate coverage through from the originating article
+    return validatedAssertions.map((a) => {
+      const article = findSourceArticle(a, batch);
+      // The position in this batch means nothing downstream
+      const { article_number: _number, ...assertion } = a;
+      return {
+        ...assertion,
+        // Adapters that know better (arXiv papers are the primary source) override the model
+        evidence_type: article?.evidence_type || a.evidence_type,
+        // Releases from the GitHub watchlist belong in the Developer section whatever the model picks
+        domains: article?.category === 'developer' ? ['developer'] : a.domains,
+        source_weight: article?.source_weight ?? null,
+        // Points and comment volume from HN / Reddit, for signal_timing and disagreement
+        engagement: article?.engagement ?? null,
+        also_reported_by: (article?.also_reported_by || []).map((r) => r.source),
+      };
+    });
   } catch (error) {
     logger.error(`Error processing batch: ${error.message}`);
     throw error;
   }
 }
 
+/**
+ * Match an assertion back to the article it came from.
+ * The model echoes the article's number in the batch, its URL and title; a
+ * source name only counts when one article in the batch has it. HN, Reddit
+ * and arXiv send many articles under one source name, and guessing would hand
+ * one thread's engagement and weight to another's story.
+ * @param {Object} assertion - Assertion returned by the model
+ * @param {Array} batch - Articles that were sent in this batch
+ * @returns {Object|undefined} The originating article
+ */
+export function findSourceArticle(assertion, batch) {
+  const number = Number(assertion.article_number);
+  if (Number.isInteger(number) && number >= 1 && number <= batch.length) {
+    return batch[number - 1];
+  }
+
+  const sameSource = batch.filter((article) => assertion.source_name && article.source === assertion.source_name);
+  return (
+    batch.find((article) => assertion.source_url && article.link === assertion.source_url) ||
+    batch.find((article) => assertion.source_article && article.title === assertion.source_article) ||
+    (sameSource.length === 1 ? sameSource[0] : undefined)
+  );
+}
+
 /**
  * Build the prompt for Claude to extract assertions
  * @param {Array} batchData - Processed batch data with article info
@@ -143,6 +187,7 @@ Assign each assertion to its PRIMARY domain — pick the single best fit:
 - "sports" = games, trades, scores, NFL/NBA/MLB, team news
 - "culture" = music, film, food, art, entertainment
 - "personal" = health, productivity, psychology, personal development
+- "developer" = releases of SDKs, frameworks and developer tools, repositories, changelogs
 
 Return a JSON array:
 [
@@ -151,6 +196,7 @@ Return a JSON array:
     "evidence_type": "primary_source|analysis|community_signal",
     "confidence": "high|medium|low",
     "domains": ["primary_domain"],
+    "article_number": number of the ARTICLE it came from,
     "source_article": "title of the source article",
     "source_name": "name of the news source",
     "source_url": "URL of the source article or null",
@@ -19,12 +19,15 @@ const DEFAULT_CONFIG = {
   threshold_sports: 5.0,
   threshold_culture: 5.0,
   threshold_personal: 6.0,
+  threshold_developer: 5.0,
   manual_boost: 2,
+  source_weight_boost: 2,
   front_page_max: 5,
   business_max: 4,
   sports_max: 3,
   culture_max: 3,
   personal_max: 3,
+  developer_max: 3,
   min_total_stories: 8,
   surprise_quota_threshold: 5.0
 };
@@ -41,6 +44,18 @@ function calculateFinalScore(cluster, weights) {
   return score;
 }
 
+// Source weight that neither raises nor lowers a story (see docs/CUSTOMIZATION.md)
+const NEUTRAL_SOURCE_WEIGHT = 0.5;
+
+/**
+ * Score adjustment from the configured weight of the cluster's sources.
+ * Weight 1.0 adds half the boost, 0.0 subtracts half; unweighted sources are neutral.
+ */
+function sourceWeightAdjustment(cluster, config) {
+  if (typeof cluster.source_weight !== 'number') return 0;
+  return (cluster.source_weight - NEUTRAL_SOURCE_WEIGHT) * config.source_weight_boost;
+}
+
 function assignConfidenceLabel(cluster, manualBoost) {
   const evidence = cluster.dimension_scores.evidence_quality || 0;
   const timing = cluster.dimension_scores.signal_timing || 0;
@@ -69,13 +84,17 @@ function assignConfidenceLabel(cluster, manualBoost) {
   return 'Developing';
 }
 
-function selectStoriesBySection(sortedClusters, config) {
+/**
+ * Fill each section from clusters sorted by final score, front page first.
+ */
+export function selectStoriesBySection(sortedClusters, config = DEFAULT_CONFIG) {
   const selections = {
     front_page: [],
     business: [],
     sports: [],
     culture: [],
-    personal: []
+    personal: [],
+    developer: []
   };
 
   let rank = 1;
@@ -101,6 +120,18 @@ function selectStoriesBySection(sortedClusters, config) {
     }
   }
 
+  // Developer: releases of the SDKs and tools we build on. After Business, so an
+  // OpenAI SDK launch tagged ai + developer still leads Business & AI
+  for (const cluster of sortedClusters) {
+    if (selections.developer.length >= config.developer_max) break;
+    if (usedClusterIds.has(cluster.cluster_id)) continue;
+    const domains = cluster.domains || [];
+    if (domains.includes('developer') && cluster.final_score >= config.threshold_developer) {
+      selections.developer.push({ ...cluster, rank: rank++ });
+      usedClusterIds.add(cluster.cluster_id);
+    }
+  }
+
   // Sports
   for (const cluster of sortedClusters) {
     if (selections.sports.length >= config.sports_max) break;
@@ -193,6 +224,7 @@ function buildSelectedStory(cluster, rank) {
       .slice(0, 5),
     source_count: cluster.source_count || (cluster.assertions ? cluster.assertions.length : 0),
     domains: cluster.domains || [],
+    source_weight: cluster.source_weight ?? null,
     dimension_scores: cluster.dimension_scores,
     // Entity dedup metadata (for format-paper evolution labels + future memory)
     is_evolution: cluster.is_evolution || false,
@@ -230,9 +262,13 @@ export default async function rankStories(scoredData) {
         threshold_sports: judgmentModel.thresholds.sports_section || DEFAULT_CONFIG.threshold_sports,
         threshold_culture: judgmentModel.thresholds.culture_section || DEFAULT_CONFIG.threshold_culture,
         threshold_personal: judgmentModel.thresholds.personal_section || DEFAULT_CONFIG.threshold_personal,
+        threshold_developer: judgmentModel.thresholds.developer_section || DEFAULT_CONFIG.threshold_developer,
         manual_boost: judgmentModel.weights?.manual_boost || DEFAULT_CONFIG.manual_boost,
       };
-      logger.info(`Loaded per-section thresholds: front=${config.threshold_front_page}, biz=${config.threshold_business}, sports=${config.threshold_sports}, culture=${config.threshold_culture}, personal=${config.threshold_personal}`);
+      logger.info(`Loaded per-section thresholds: front=${config.threshold_front_page}, biz=${config.threshold_business}, sports=${config.threshold_sports}, culture=${config.threshold_culture}, personal=${config.threshold_personal}, developer=${config.threshold_developer}`);
+    }
+    if (judgmentModel && typeof judgmentModel.source_weight_boost === 'number') {
+      config.source_weight_boost = judgmentModel.source_weight_boost;
     }
     if (judgmentModel && judgmentModel.section_limits) {
       const limits = judgmentModel.section_limits;
@@ -241,6 +277,7 @@ export default async function rankStories(scoredData) {
       config.sports_max = limits.sports?.max || config.sports_max;
       config.culture_max = limits.culture?.max || config.culture_max;
       config.personal_max = limits.personal?.max || config.personal_max;
+      config.developer_max = limits.developer?.max || config.developer_max;
     }
   } catch (error) {
     logger.warn(`Could not load judgment model, using defaults: ${error.message}`);
@@ -248,7 +285,7 @@ export default async function rankStories(scoredData) {
 
   // Calculate final scores and confidence labels
   const clustersWithScores = scoredData.scored_clusters.map(cluster => {
-    const finalScore = calculateFinalScore(cluster, weights);
+    const finalScore = calculateFinalScore(cluster, weights) + sourceWeightAdjustment(cluster, config);
     const boostedScore = cluster.manual_boost ? finalScore + config.manual_boost : finalScore;
     const confidenceLabel = assignConfidenceLabel(cluster, cluster.manual_boost);
 
@@ -301,6 +338,10 @@ export default async function rankStories(scoredData) {
         selections.business.push({ ...cluster, rank: nextRank++ });
         usedClusterIds.add(cluster.cluster_id);
         placed = true;
+      } else if (domains.includes('developer') && selections.developer.length < config.developer_max) {
+        selections.developer.push({ ...cluster, rank: nextRank++ });
+        usedClusterIds.add(cluster.cluster_id);
+        placed = true;
       } else if (domains.includes('sports') && selections.sports.length < config.sports_max) {
         selections.sports.push({ ...cluster, rank: nextRank++ });
         usedClusterIds.add(cluster.cluster_id);
@@ -343,6 +384,7 @@ export default async function rankStories(scoredData) {
     sports: selections.sports.map((s, i) => buildSelectedStory(s, s.rank)),
     culture: selections.culture.map((s, i) => buildSelectedStory(s, s.rank)),
     personal: selections.personal.map((s, i) => buildSelectedStory(s, s.rank)),
+    developer: selections.developer.map((s, i) => buildSelectedStory(s, s.rank)),
     surprise_pick: surprisePick ? buildSelectedStory(surprisePick, nextRank) : null
   };
 
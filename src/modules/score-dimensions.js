@@ -1,9 +1,19 @@
 import { askClaudeJSON } from '../lib/claude-client.js';
 import { createLogger } from '../lib/logger.js';
+import { describeEngagement } from '../lib/engagement.js';
 
 const logger = createLogger('score-dimensions');
 
-const LENS_DEFINITIONS = {
+/**
+ * Real discussion volume for the lenses that care about it; empty when no
+ * HN / Reddit thread is behind the story.
+ */
+function discussionBlock(cluster, guidance) {
+  const discussion = describeEngagement(cluster.engagement);
+  return discussion ? `\n${discussion}\n${guidance}\n` : '';
+}
+
+export const LENS_DEFINITIONS = {
   system_shift: {
     name: 'System Shift',
     systemPrompt: 'You are evaluating whether a story represents a system-level shift.',
@@ -31,7 +41,7 @@ Provide JSON: { "score": <0-10>, "reasoning": "<brief explanation>" }`,
 Headline: "${cluster.headline}"
 Why it matters: ${cluster.why_this_matters}
 Sources: ${cluster.sources.join(', ')}
-
+${discussionBlock(cluster, 'A busy thread with few outlets covering it yet is an early signal; heavy discussion after wide coverage is late confirmation.')}
 Score this 0-10:
 - 10: First/early signal of emerging trend, active debate stage
 - 7: Clear early indicator before mainstream awareness
@@ -113,7 +123,7 @@ Provide JSON: { "score": <0-10>, "reasoning": "<brief explanation>" }`,
 Headline: "${cluster.headline}"
 Why it matters: ${cluster.why_this_matters}
 Sources: ${cluster.sources.join(', ')}
-
+${discussionBlock(cluster, 'Judge disagreement from what the top comments actually argue, not from comment volume alone. A low upvote ratio means a divided audience.')}
 Score this 0-10:
 - 10: Smart people meaningfully disagree with competing frameworks
 - 7: Clear debate with substantive different perspectives
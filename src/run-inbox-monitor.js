@@ -3,24 +3,39 @@
 /**
  * INBOX MONITOR — Runs continuously, checks every 30 minutes
  * Watches the paper inbox for "Send to Paper" items from Doug.
- * Also listens for Telegram feedback on delivered papers.
+ * Also listens for Telegram feedback on delivered papers, and for links
+ * and forwards Doug sends the bot.
  */
 
 import 'dotenv/config';
 import cron from 'node-cron';
 import { createLogger } from './lib/logger.js';
-import { checkInbox, extractPaperContent } from './lib/email-client.js';
-import { addToQueue, tomorrowStr, todayStr } from './lib/storage.js';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { checkInbox, extractInboxItems, loadInboxSettings } from './lib/email-client.js';
+import { addToQueue, todayStr } from './lib/storage.js';
 import { initBot, sendMessage } from './lib/telegram-client.js';
 import { startFeedbackListener } from './modules/capture-feedback.js';
+import { buildQueueAck, startSubmissionListener } from './telegram/submission-handler.js';
 
 const log = createLogger('inbox-monitor');
+const CONFIG_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'config');
+
+function inboxSettings() {
+  try {
+    return loadInboxSettings(CONFIG_DIR);
+  } catch (error) {
+    log.warn(`Could not load paper_inbox settings: ${error.message}`);
+    return {};
+  }
+}
 
 async function checkPaperInbox() {
   log.info('Checking paper inbox...');
 
   try {
-    const emails = await checkInbox();
+    const settings = inboxSettings();
+    const emails = await checkInbox(settings);
 
     if (emails.length === 0) {
       log.debug('No new emails in paper inbox');
@@ -30,17 +45,16 @@ async function checkPaperInbox() {
     log.info(`Found ${emails.length} new email(s) in paper inbox`);
 
     for (const email of emails) {
-      const content = extractPaperContent(email);
-      const targetDate = tomorrowStr();
+      const items = await extractInboxItems(email, settings);
 
-      addToQueue(targetDate, content);
-      log.info(`Queued for ${targetDate}: "${content.title}"`);
+      for (const content of items) {
+        const queued = addToQueue(todayStr(), content);
+        log.info(`Queued ${queued.id}: "${content.title}"`);
+      }
 
       // Acknowledge to Doug via Telegram
       try {
-        const ack = content.doug_note
-          ? `📧 Received: "${content.title}"\n💬 Your note: "${content.doug_note.substring(0, 100)}"\n✓ Added to tomorrow's paper consideration`
-          : `📧 Received: "${content.title}"\n✓ Added to tomorrow's paper consideration`;
+        const ack = buildQueueAck(items, { icon: '📧' });
         await sendMessage(ack);
       } catch (telegramErr) {
         log.warn(`Could not send Telegram acknowledgment: ${telegramErr.message}`);
@@ -72,6 +86,13 @@ async function run() {
     log.warn(`Feedback listener failed to start: ${error.message}`);
   }
 
+  // Links, forwards and /add commands sent to the bot go into the queue
+  try {
+    startSubmissionListener(inboxSettings());
+  } catch (error) {
+    log.warn(`Telegram submissions disabled: ${error.message}`);
+  }
+
   // Run inbox check immediately on start
   await checkPaperInbox();
 
@@ -8,7 +8,10 @@
 import 'dotenv/config';
 import { createLogger } from './lib/logger.js';
 import { savePaper, savePipelineStep, todayStr } from './lib/storage.js';
+import { consumeQueueItems } from './lib/paper-queue.js';
 import fetchSources from './modules/fetch-sources.js';
+import dedupArticles from './modules/dedup-articles.js';
+import extractArticles from './modules/extract-articles.js';
 import normalize from './modules/normalize.js';
 import clusterStories from './modules/cluster.js';
 import scoreDimensions from './modules/score-dimensions.js';
@@ -37,43 +40,55 @@ async function runNightlyPipeline() {
   log.info('═══════════════════════════════════════');
 
   // Step 1: Fetch sources
-  log.step(1, 6, 'Fetching sources...');
-  const articles = await fetchSources();
-  savePipelineStep(dateStr, '1-articles', articles);
-  log.success(`Fetched ${articles.count} articles, ${articles.scores?.length || 0} scores`);
+  log.step(1, 8, 'Fetching sources...');
+  const fetched = await fetchSources();
+  savePipelineStep(dateStr, '1-articles', fetched);
+  log.success(`Fetched ${fetched.count} articles, ${fetched.scores?.length || 0} scores`);
 
-  if (articles.count === 0) {
+  if (fetched.count === 0) {
     log.warn('No articles fetched. Check source configuration and internet connection.');
     await notifyError(new Error('No articles fetched — check sources'));
     return;
   }
 
-  // Step 2: Normalize to assertions
-  log.step(2, 6, 'Normalizing to assertions...');
+  // Step 2: Collapse duplicate articles before the LLM sees them
+  log.step(2, 8, 'Collapsing duplicate articles...');
+  const deduped = dedupArticles(fetched);
+  savePipelineStep(dateStr, '1a-deduped', deduped);
+  log.success(`${deduped.dedup_summary?.after ?? deduped.articles.length} unique articles (${fetched.articles.length} fetched)`);
+
+  // Step 3: Pull full text for snippet-only articles
+  log.step(3, 8, 'Extracting full article text...');
+  const articles = await extractArticles(deduped);
+  savePipelineStep(dateStr, '1b-extracted', articles);
+  log.success(`Extracted full text for ${articles.extraction_summary?.by_status?.ok || 0} articles`);
+
+  // Step 4: Normalize to assertions
+  log.step(4, 8, 'Normalizing to assertions...');
   const assertions = await normalize(articles);
   savePipelineStep(dateStr, '2-assertions', assertions);
   log.success(`Extracted ${assertions.count} assertions`);
 
-  // Step 3: Cluster stories
-  log.step(3, 6, 'Clustering stories...');
+  // Step 5: Cluster stories
+  log.step(5, 8, 'Clustering stories...');
   const clusters = await clusterStories(assertions);
   savePipelineStep(dateStr, '3-clusters', clusters);
   log.success(`Created ${clusters.count} clusters`);
 
-  // Step 4: Score dimensions
-  log.step(4, 6, 'Scoring dimensions (6 lenses per cluster)...');
+  // Step 6: Score dimensions
+  log.step(6, 8, 'Scoring dimensions (6 lenses per cluster)...');
   const scored = await scoreDimensions(clusters);
   savePipelineStep(dateStr, '4-scored', scored);
   log.success(`Scored ${scored.scored_clusters.length} clusters`);
 
-  // Step 5: Rank stories
-  log.step(5, 6, 'Ranking stories and selecting for paper...');
+  // Step 7: Rank stories
+  log.step(7, 8, 'Ranking stories and selecting for paper...');
   const ranked = await rankStories(scored);
   savePipelineStep(dateStr, '5-ranked', ranked);
   log.success(`Selected ${ranked.total_stories} stories for today's paper`);
 
-  // Step 6: Format paper
-  log.step(6, 6, 'Formatting paper...');
+  // Step 8: Format paper
+  log.step(8, 8, 'Formatting paper...');
   const formatted = await formatPaper(ranked, articles.scores);
   savePipelineStep(dateStr, '6-formatted', formatted);
   log.success(`Paper formatted (${formatted.formatted_paper.metadata.story_count} stories, ${formatted.formatted_paper.metadata.total_length_chars} chars)`);
@@ -94,6 +109,11 @@ async function runNightlyPipeline() {
     }
   });
 
+  // The paper is saved — feed items and queue items that went into this run won't be offered again
+  fetched.commitFeedCache();
+  const consumed = consumeQueueItems(fetched.articles.map(a => a.queue_id).filter(Boolean), { paperDate: dateStr });
+  if (consumed > 0) log.info(`Marked ${consumed} queue item(s) consumed`);
+
   const elapsed = ((Date.now() - startTime) / 1000 / 60).toFixed(1);
 
   log.info('═══════════════════════════════════════');
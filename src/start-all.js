@@ -11,9 +11,12 @@
 
 import 'dotenv/config';
 import cron from 'node-cron';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import { createLogger } from './lib/logger.js';
 
 const log = createLogger('scheduler');
+const CONFIG_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'config');
 const tz = process.env.TZ || 'America/New_York';
 
 log.info('╔═══════════════════════════════════════════╗');
@@ -25,6 +28,7 @@ log.info('Schedule:');
 log.info('  • 2:00 AM  — Nightly pipeline (fetch + process)');
 log.info('  • 7:30 AM  — Deliver paper (Telegram + Email)');
 log.info('  • Every 30 min — Check inbox for "Send to Paper"');
+log.info('  • Always   — Browser intake on 127.0.0.1 (INTAKE_TOKEN)');
 log.info('');
 
 // Import modules dynamically to avoid loading everything at startup
@@ -34,18 +38,27 @@ cron.schedule('0 2 * * *', async () => {
   log.info('⏰ Triggering nightly pipeline...');
   try {
     const { default: fetchSources } = await import('./modules/fetch-sources.js');
+    const { default: dedupArticles } = await import('./modules/dedup-articles.js');
+    const { default: extractArticles } = await import('./modules/extract-articles.js');
     const { default: normalize } = await import('./modules/normalize.js');
     const { default: clusterStories } = await import('./modules/cluster.js');
     const { default: scoreDimensions } = await import('./modules/score-dimensions.js');
     const { default: rankStories } = await import('./modules/rank-stories.js');
     const { default: formatPaper } = await import('./modules/format-paper.js');
     const { savePaper, savePipelineStep, todayStr } = await import('./lib/storage.js');
+    const { consumeQueueItems } = await import('./lib/paper-queue.js');
 
     const dateStr = todayStr();
     const start = Date.now();
 
-    const articles = await fetchSources();
-    savePipelineStep(dateStr, '1-articles', articles);
+    const fetched = await fetchSources();
+    savePipelineStep(dateStr, '1-articles', fetched);
+
+    const deduped = dedupArticles(fetched);
+    savePipelineStep(dateStr, '1a-deduped', deduped);
+
+    const articles = await extractArticles(deduped);
+    savePipelineStep(dateStr, '1b-extracted', articles);
 
     const assertions = await normalize(articles);
     savePipelineStep(dateStr, '2-assertions', assertions);
@@ -75,6 +88,9 @@ cron.schedule('0 2 * * *', async () => {
       }
     });
 
+    fetched.commitFeedCache();
+    consumeQueueItems(fetched.articles.map(a => a.queue_id).filter(Boolean), { paperDate: dateStr });
+
     log.success(`Pipeline complete in ${((Date.now() - start) / 60000).toFixed(1)} minutes`);
   } catch (error) {
     log.error(`Nightly pipeline failed: ${error.message}`);
@@ -104,15 +120,17 @@ cron.schedule('30 7 * * *', async () => {
 // ─── Inbox Monitor: Every 30 minutes ───
 cron.schedule('*/30 * * * *', async () => {
   try {
-    const { checkInbox, extractPaperContent } = await import('./lib/email-client.js');
-    const { addToQueue, tomorrowStr } = await import('./lib/storage.js');
+    const { checkInbox, extractInboxItems, loadInboxSettings } = await import('./lib/email-client.js');
+    const { addToQueue, todayStr } = await import('./lib/storage.js');
 
-    const emails = await checkInbox();
+    const settings = loadInboxSettings(CONFIG_DIR);
+    const emails = await checkInbox(settings);
     if (emails.length > 0) {
       for (const email of emails) {
-        const content = extractPaperContent(email);
-        addToQueue(tomorrowStr(), content);
-        log.info(`Queued: "${content.title}"`);
+        for (const content of await extractInboxItems(email, settings)) {
+          addToQueue(todayStr(), content);
+          log.info(`Queued: "${content.title}"`);
+        }
       }
     }
   } catch (error) {
@@ -153,6 +171,28 @@ try {
   log.warn(`Telegram feedback listener not started: ${error.message}`);
 }
 
+// Links, forwards and /add commands sent to the bot go into the queue
+try {
+  const { initBot } = await import('./lib/telegram-client.js');
+  const { loadInboxSettings } = await import('./lib/email-client.js');
+  const { startSubmissionListener } = await import('./telegram/submission-handler.js');
+  initBot({ polling: true });
+  startSubmissionListener(loadInboxSettings(CONFIG_DIR));
+} catch (error) {
+  log.warn(`Telegram submissions not started: ${error.message}`);
+}
+
+// ─── Intake server: "Send to Paper" from the browser ───
+try {
+  const { loadIntakeSettings, startIntakeServer } = await import('./lib/intake-server.js');
+  const intake = loadIntakeSettings(CONFIG_DIR);
+  if (intake.enabled) {
+    await startIntakeServer(intake);
+  }
+} catch (error) {
+  log.warn(`Intake server not started: ${error.message}`);
+}
+
 log.info('All schedules registered. System running.');
 log.info('Press Ctrl+C to stop.');
 
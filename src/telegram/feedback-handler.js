@@ -1,6 +1,7 @@
 import { createLogger } from '../lib/logger.js';
 import { saveFeedback, loadMessageMap, todayStr } from '../lib/storage.js';
 import { getBot, initBot } from '../lib/telegram-client.js';
+import { handleSubmissionMessage } from './submission-handler.js';
 
 const logger = createLogger('telegram-feedback');
 
@@ -34,7 +35,7 @@ export function buildFeedbackMessage(paper, dateStr) {
   if (!sections) return null;
 
   const allStories = [];
-  const sectionOrder = ['front_page', 'business', 'sports', 'culture', 'personal'];
+  const sectionOrder = ['front_page', 'business', 'developer', 'sports', 'culture', 'personal'];
 
   for (const sectionName of sectionOrder) {
     const stories = sections[sectionName];
@@ -139,7 +140,7 @@ export function handleTextMessage(msg) {
 }
 
 /**
- * Poll for Telegram updates and process feedback.
+ * Poll for Telegram updates and process feedback and submissions.
  * Uses getUpdates API (no webhook needed).
  */
 export async function pollAndProcessFeedback() {
@@ -178,9 +179,10 @@ export async function pollAndProcessFeedback() {
       if (update.callback_query) {
         await handleCallbackQuery(update.callback_query);
         processed++;
-      } else if (update.message?.text) {
-        const wasNote = handleTextMessage(update.message);
-        if (wasNote) processed++;
+      } else if (update.message) {
+        const wasNote = Boolean(update.message.text) && handleTextMessage(update.message);
+        // Anything that isn't a note may be a link or forward for the paper
+        if (wasNote || await handleSubmissionMessage(update.message)) processed++;
       }
 
       // Track highest update_id
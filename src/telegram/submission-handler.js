@@ -0,0 +1,272 @@
+/**
+ * "Send to Paper" from Telegram: links Doug shares with the bot, messages he
+ * forwards to it, and `/add <url> <note>` commands go into the same queue as
+ * inbox emails, with the same acknowledgment.
+ */
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createLogger } from '../lib/logger.js';
+import { addToQueue, todayStr } from '../lib/storage.js';
+import { onMessage, sendReply } from '../lib/telegram-client.js';
+import { loadInboxSettings } from '../lib/email-client.js';
+import { followPaperLinks, noteWithoutLinks } from '../lib/paper-links.js';
+
+const logger = createLogger('telegram-submissions');
+
+const CONFIG_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'config');
+
+const URL_PATTERN = /https?:\/\/[^\s<>"{}|\\^`\][\n]+/g;
+const ADD_COMMAND = /^\/add(?:@\w+)?(?:\s+([\s\S]*))?$/i;
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Only the paper's own chat, and only Doug within it when DOUG_USER_ID is set.
+ */
+export function isFromDoug(msg) {
+  if (!process.env.TELEGRAM_CHAT_ID || String(msg.chat?.id) !== String(process.env.TELEGRAM_CHAT_ID)) {
+    return false;
+  }
+  return !process.env.DOUG_USER_ID || String(msg.from?.id) === String(process.env.DOUG_USER_ID);
+}
+
+/**
+ * URLs in a message: link entities first (these include hidden text_link
+ * URLs), then anything else that looks like a URL.
+ */
+function messageLinks(text, entities = []) {
+  const links = [];
+  for (const entity of entities) {
+    if (entity.type === 'text_link' && entity.url) links.push(entity.url);
+    if (entity.type === 'url') links.push(text.substring(entity.offset, entity.offset + entity.length));
+  }
+  links.push(...(text.match(URL_PATTERN) || []));
+  return [...new Set(links)];
+}
+
+function userName(user) {
+  if (!user) return null;
+  return [user.first_name, user.last_name].filter(Boolean).join(' ') || user.username || null;
+}
+
+/**
+ * Who a forwarded message came from, and its public t.me link if it has one.
+ * Handles both `forward_origin` (Bot API 7+) and the older forward_* fields.
+ */
+function forwardOrigin(msg) {
+  const origin = msg.forward_origin;
+  if (origin) {
+    const chat = origin.chat || origin.sender_chat;
+    return {
+      name: userName(origin.sender_user) || origin.sender_user_name || chat?.title || chat?.username || null,
+      post_link: origin.type === 'channel' && chat?.username && origin.message_id
+        ? `https://t.me/${chat.username}/${origin.message_id}`
+        : null
+    };
+  }
+  if (msg.forward_date || msg.forward_from || msg.forward_from_chat || msg.forward_sender_name) {
+    const chat = msg.forward_from_chat;
+    return {
+      name: userName(msg.forward_from) || msg.forward_sender_name || chat?.title || chat?.username || null,
+      post_link: chat?.username && msg.forward_from_message_id
+        ? `https://t.me/${chat.username}/${msg.forward_from_message_id}`
+        : null
+    };
+  }
+  return null;
+}
+
+/**
+ * Work out what a Telegram message submits, if anything.
+ *
+ *   /add <url> <note>    explicit submission
+ *   forwarded message    the forwarded text, plus any links in it
+ *   shared link          a message containing a URL; the rest is the note
+ *
+ * Replies are left alone — they're feedback on the paper, not submissions.
+ *
+ * @returns {{ kind: 'command'|'forward'|'link', links: string[], note: string|null, text: string, forwarded_from: string|null, post_link: string|null }|null}
+ */
+export function parseSubmission(msg) {
+  const text = msg.text || msg.caption || '';
+  const entities = msg.entities || msg.caption_entities || [];
+
+  const command = text.trim().match(ADD_COMMAND);
+  if (command) {
+    const rest = (command[1] || '').trim();
+    return {
+      kind: 'command',
+      links: messageLinks(rest),
+      note: noteWithoutLinks(rest),
+      text: rest,
+      forwarded_from: null,
+      post_link: null
+    };
+  }
+  if (text.startsWith('/') || msg.reply_to_message) return null;
+
+  const origin = forwardOrigin(msg);
+  if (origin) {
+    if (!text.trim() && !origin.post_link) return null;
+    return {
+      kind: 'forward',
+      links: messageLinks(text, entities),
+      note: null,
+      text: text.trim(),
+      forwarded_from: origin.name,
+      post_link: origin.post_link
+    };
+  }
+
+  const links = messageLinks(text, entities);
+  if (links.length === 0) return null;
+  return {
+    kind: 'link',
+    links,
+    note: noteWithoutLinks(text),
+    text: text.trim(),
+    forwarded_from: null,
+    post_link: null
+  };
+}
+
+/**
+ * The queue item for a submission, before its links are followed —
+ * the same shape extractPaperContent() gives an inbox email.
+ */
+export function submissionItem(submission, msg) {
+  const forwarded = submission.kind === 'forward';
+  const firstLine = submission.text.split('\n').map(l => l.trim()).find(Boolean) || '';
+  const links = submission.links.length > 0 ? submission.links : [submission.post_link].filter(Boolean);
+
+  return {
+    source: 'Telegram',
+    title: forwarded
+      ? (firstLine.substring(0, 120) || `Forwarded from ${submission.forwarded_from || 'Telegram'}`)
+      : null,
+    content: forwarded ? submission.text : (submission.note || ''),
+    link: links[0] || null,
+    links,
+    published: new Date((msg.date || Date.now() / 1000) * 1000).toISOString(),
+    retrieved_at: new Date().toISOString(),
+    manual_send: true,
+    doug_note: submission.note,
+    is_forwarded: forwarded,
+    forwarded_from: submission.forwarded_from,
+    // Kept apart from content, which becomes the linked page once it's fetched
+    forwarded_text: forwarded ? submission.text : null,
+    telegram_message_id: msg.message_id ?? null
+  };
+}
+
+/**
+ * Items a submission adds to the queue: one per followed link, or the
+ * forwarded message itself when it has no links.
+ *
+ * @param {object} submission - From parseSubmission()
+ * @param {object} msg - Telegram message
+ * @param {object} settings - paper_inbox settings (follow_links, max_links, link_timeout_ms)
+ * @returns {Promise<Array<object>>}
+ */
+export async function extractSubmissionItems(submission, msg, settings = {}) {
+  const base = submissionItem(submission, msg);
+  // A forwarded channel post with no links of its own is the thing being sent; don't fetch t.me
+  if (submission.links.length === 0) return [base];
+  return followPaperLinks(base, settings);
+}
+
+/**
+ * The acknowledgment sent back for queued "Send to Paper" items — shared by
+ * inbox emails (📧) and Telegram submissions (🔗).
+ *
+ * @param {Array<object>} items - Items just queued, all from one submission
+ * @param {object} options - icon
+ * @returns {string} Telegram HTML
+ */
+export function buildQueueAck(items, { icon = '📧' } = {}) {
+  const [first] = items;
+  if (first.newsletter) {
+    return `📰 Newsletter: ${escapeHtml(first.newsletter)}\n✓ ${items.length} ${items.length === 1 ? 'story' : 'stories'} added to tomorrow's paper consideration`;
+  }
+
+  const lines = items.map(item => `${icon} Received: "${escapeHtml(item.title || item.link || 'Untitled')}"`);
+  if (first.doug_note) {
+    lines.push(`💬 Your note: "${escapeHtml(first.doug_note.substring(0, 100))}"`);
+  }
+  lines.push(`✓ Added to tomorrow's paper consideration`);
+
+  const unreachable = items.filter(item => item.link_error);
+  if (unreachable.length > 0) {
+    lines.push(`⚠️ Couldn't open ${unreachable.map(item => escapeHtml(item.link)).join(', ')} — queued with what you sent`);
+  }
+  if (first.attachments_skipped) {
+    lines.push(`⚠️ ${escapeHtml(first.attachments_skipped)}`);
+  }
+  return lines.join('\n');
+}
+
+function loadSettings() {
+  try {
+    return loadInboxSettings(CONFIG_DIR);
+  } catch (error) {
+    logger.warn(`Could not load paper_inbox settings: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Queue whatever a Telegram message submits and reply with what was added.
+ *
+ * @param {object} msg - Telegram message
+ * @param {object} settings - paper_inbox settings; read from sources.json if omitted
+ * @returns {Promise<boolean>} true if the message was a submission
+ */
+export async function handleSubmissionMessage(msg, settings = loadSettings()) {
+  if (!isFromDoug(msg)) return false;
+  const submission = parseSubmission(msg);
+  if (!submission) return false;
+
+  if (submission.kind === 'command' && submission.links.length === 0) {
+    await sendReply('Usage: /add &lt;url&gt; &lt;note&gt;', msg.message_id);
+    return true;
+  }
+
+  const items = await extractSubmissionItems(submission, msg, settings);
+  for (const item of items) {
+    const queued = addToQueue(todayStr(), item);
+    logger.info(`Queued ${queued.id} from Telegram: "${item.title || item.link}"`);
+  }
+
+  try {
+    await sendReply(buildQueueAck(items, { icon: '🔗' }), msg.message_id);
+  } catch (error) {
+    logger.warn(`Could not send Telegram acknowledgment: ${error.message}`);
+  }
+  return true;
+}
+
+/**
+ * Take submissions from incoming messages (bot must be polling).
+ */
+export function startSubmissionListener(settings) {
+  onMessage(async (msg) => {
+    try {
+      await handleSubmissionMessage(msg, settings);
+    } catch (error) {
+      logger.error(`Error handling Telegram submission: ${error.message}`);
+    }
+  });
+  logger.info('Telegram submissions active (links, forwards, /add)');
+}
+
+export default {
+  isFromDoug,
+  parseSubmission,
+  submissionItem,
+  extractSubmissionItems,
+  buildQueueAck,
+  handleSubmissionMessage,
+  startSubmissionListener,
+};
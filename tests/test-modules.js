@@ -223,6 +223,1301 @@ try {
   logTest('Format-paper module execution', false, error.message);
 }
 
+// Test 7: Fetch scheduler concurrency, timeouts and retries
+console.log('\n=== FETCH SCHEDULER TESTS ===\n');
+
+try {
+  const { runScheduled } = await import(path.resolve(__dirname, '../src/lib/fetch-scheduler.js'));
+  const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  let running = 0;
+  let maxRunning = 0;
+  let flakyCalls = 0;
+  const tracked = (fn) => async (opts) => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    try {
+      return await fn(opts);
+    } finally {
+      running--;
+    }
+  };
+
+  const results = await runScheduled([
+    { name: 'hangs', type: 'rss', run: tracked(async () => { await sleep(500); return { articles: [{}] }; }) },
+    { name: 'fast', type: 'rss', run: tracked(async () => ({ articles: [{}, {}] })) },
+    { name: 'flaky', type: 'rss', run: tracked(async () => { if (flakyCalls++ === 0) throw new Error('reset'); return { articles: [{}] }; }) },
+    { name: 'scores', type: 'espn', run: tracked(async () => ({ scores: [{}] })) },
+  ], { concurrency: 2, timeout_ms: 100, retries: 1, retry_delay_ms: 10 });
+
+  const outcomes = results.map(r => r.outcome);
+  logTest('Scheduler returns outcomes in task order', outcomes.map(o => o.source).join(',') === 'hangs,fast,flaky,scores');
+  logTest('Scheduler respects concurrency cap', maxRunning <= 2, `max in flight: ${maxRunning}`);
+  logTest('Scheduler times out a hanging source', outcomes[0].status === 'timeout' && outcomes[0].items === 0);
+  logTest('Scheduler retries a failed source', outcomes[2].status === 'ok' && outcomes[2].attempts === 2);
+  logTest('Scheduler records item counts and latency', outcomes[1].items === 2 && typeof outcomes[1].latency_ms === 'number');
+} catch (error) {
+  logTest('Fetch scheduler execution', false, error.message);
+}
+
+// Test 8: Source health ledger and quarantine back-off
+console.log('\n=== SOURCE HEALTH TESTS ===\n');
+
+try {
+  const { recordOutcome, isQuarantined, sourceKey } = await import(path.resolve(__dirname, '../src/lib/source-health.js'));
+  const ledger = {};
+  const settings = { quarantine_after_failures: 3, quarantine_backoff_hours: 24, quarantine_max_backoff_hours: 168 };
+  const fail = { source: 'Protocol', type: 'rss', status: 'error', items: 0, error: '404' };
+  const now = new Date('2026-01-01T07:00:00Z');
+  const key = sourceKey('rss', 'Protocol');
+
+  const changes = [1, 2, 3].map(() => recordOutcome(ledger, fail, settings, now));
+  logTest('Source goes dark after N consecutive failures', changes.join(',') === ',,went_dark');
+  logTest('Quarantined source is skipped during back-off', isQuarantined(ledger[key], new Date('2026-01-01T12:00:00Z')));
+  logTest('Quarantined source is retried after back-off', !isQuarantined(ledger[key], new Date('2026-01-02T08:00:00Z')));
+
+  recordOutcome(ledger, fail, settings, new Date('2026-01-02T07:00:00Z'));
+  const secondBackoff = (new Date(ledger[key].quarantined_until) - new Date('2026-01-02T07:00:00Z')) / 3600000;
+  logTest('Failed retry doubles the back-off', secondBackoff === 48, `${secondBackoff}h`);
+
+  const recovered = recordOutcome(ledger, { ...fail, status: 'ok', items: 4, error: null }, settings);
+  logTest('Successful retry lifts quarantine', recovered === 'recovered' && !ledger[key].quarantined && ledger[key].avg_items === 4);
+} catch (error) {
+  logTest('Source health execution', false, error.message);
+}
+
+// Test 9: Full-text extraction against saved HTML fixtures
+console.log('\n=== ARTICLE EXTRACTION TESTS ===\n');
+
+try {
+  const { extractReadableText } = await import(path.resolve(__dirname, '../src/lib/readability.js'));
+  const { isSkippedDomain } = await import(path.resolve(__dirname, '../src/modules/extract-articles.js'));
+  const fixture = (name) => fs.readFileSync(path.resolve(__dirname, './fixtures/html', name), 'utf-8');
+
+  const news = extractReadableText(fixture('news-article.html'));
+  logTest('Readability extracts the article body', news.method === 'readability' && news.text.includes('Claude Agent SDK') && news.text.includes('Replit, Notion and Canva'));
+  logTest('Readability strips boilerplate', !/cookies|Most Popular|Subscribe|First comment|Copyright|Share on/.test(news.text));
+  logTest('Readability keeps paragraph breaks', news.text.split('\n\n').length >= 4);
+  logTest('Readability prefers og:title', news.title === 'Anthropic ships Agent SDK for autonomous tool use');
+
+  const jsonLd = extractReadableText(fixture('json-ld-article.html'));
+  logTest('JSON-LD articleBody is used when present', jsonLd.method === 'json-ld' && jsonLd.text.startsWith('The New York Jets traded'));
+
+  const teaser = extractReadableText(fixture('teaser-only.html'));
+  logTest('Short pages fall back to plain paragraphs', teaser.method === 'paragraphs' && teaser.text.startsWith('A short post'));
+
+  logTest('Skip list matches subdomains', isSkippedDomain('https://m.youtube.com/watch?v=1', ['youtube.com']) && !isSkippedDomain('https://techcrunch.com/x', ['youtube.com']));
+} catch (error) {
+  logTest('Article extraction execution', false, error.message);
+}
+
+// Test 10: Article-level duplicate detection
+console.log('\n=== ARTICLE DEDUP TESTS ===\n');
+
+try {
+  const dedupModule = await import(path.resolve(__dirname, '../src/modules/dedup-articles.js'));
+  const { canonicalizeUrl, simhash, hammingDistance } = dedupModule;
+  const dedupArticles = dedupModule.default;
+
+  logTest('Canonical URL strips utm params, AMP and trailing slash',
+    canonicalizeUrl('https://www.theverge.com/2026/1/5/agent-sdk/amp/?utm_source=rss&utm_medium=feed') === canonicalizeUrl('https://theverge.com/2026/1/5/agent-sdk'));
+
+  const body = 'Anthropic released the Claude Agent SDK on Tuesday giving developers a harness for agents that plan call tools and recover from errors without a human in the loop according to the company';
+  const nearCopy = simhash(body.toLowerCase().split(' '));
+  const tweaked = simhash(`${body} today`.toLowerCase().split(' '));
+  const unrelated = simhash('The Jets traded their second round pick to the Rams for an edge rusher who recorded eleven sacks last season'.toLowerCase().split(' '));
+  logTest('SimHash keeps near-duplicates close', hammingDistance(nearCopy, tweaked) <= 5, `distance ${hammingDistance(nearCopy, tweaked)}`);
+  logTest('SimHash separates unrelated texts', hammingDistance(nearCopy, unrelated) > 10, `distance ${hammingDistance(nearCopy, unrelated)}`);
+
+  const result = dedupArticles({
+    articles: [
+      { source: 'TechCrunch', title: 'Anthropic launches Claude Agent SDK', link: 'https://techcrunch.com/2026/agent-sdk/?utm_source=rss', content: body },
+      { source: 'Axios AI', title: 'Anthropic debuts agent toolkit', link: 'https://axios.com/agent-toolkit', content: `${body} today` },
+      { source: 'The Verge', title: 'Anthropic launches Claude Agent SDK', link: 'https://theverge.com/agent-sdk', content: 'Short teaser.' },
+      { source: "Doug's Inbox", title: 'Fwd: agent sdk', link: 'https://techcrunch.com/2026/agent-sdk', content: '', manual_send: true, doug_note: 'Read this' },
+      { source: 'PFF', title: 'Jets trade for edge rusher', link: 'https://pff.com/jets', content: 'The Jets traded a pick.' },
+    ],
+    scores: [],
+  });
+
+  const collapsed = result.articles.find(a => a.also_reported_by?.length > 0);
+  logTest('Duplicates collapse into one article', result.articles.length === 2, `${result.articles.length} articles`);
+  logTest('Collapsed article keeps Doug\'s send and note', collapsed?.manual_send === true && collapsed?.doug_note === 'Read this');
+  logTest('Collapsed article lists other outlets in also_reported_by',
+    ['TechCrunch', 'Axios AI', 'The Verge'].every(s => s === collapsed?.source || collapsed?.also_reported_by.some(r => r.source === s)));
+} catch (error) {
+  logTest('Article dedup execution', false, error.message);
+}
+
+// Test 11: Recency window and date sanity
+console.log('\n=== RECENCY WINDOW TESTS ===\n');
+
+try {
+  const { applyRecencyWindow } = await import(path.resolve(__dirname, '../src/lib/recency.js'));
+  const now = new Date('2026-03-10T06:00:00Z');
+  const hoursAgo = (h) => new Date(now.getTime() - h * 3600000).toUTCString();
+
+  const { kept, dropped } = applyRecencyWindow([
+    { source: 'TechCrunch', category: 'ai_tech', title: 'Fresh', published: hoursAgo(5) },
+    { source: 'TechCrunch', category: 'ai_tech', title: 'Old news', published: hoursAgo(80) },
+    { source: 'Paul Graham', category: 'personal', title: 'Essay', published: hoursAgo(80) },
+    { source: 'Axios AI', category: 'ai_tech', title: 'Time traveller', published: '2026-03-14T00:00:00Z' },
+    { source: 'Axios AI', category: 'ai_tech', title: 'Timezone skew', published: hoursAgo(-2) },
+    { source: 'Blog', category: 'ai_tech', title: 'No date', published: 'not a date', retrieved_at: now.toISOString() },
+    { source: 'Blog', category: 'ai_tech', title: 'Override', published: hoursAgo(60) },
+    { source: "Doug's Inbox", title: 'Old but chosen', published: hoursAgo(500), manual_send: true },
+  ], { default_hours: 36, by_category: { personal: 168 } }, { Blog: 72 }, now);
+
+  const keptTitles = kept.map(a => a.title);
+  logTest('Recent items and manual sends are kept',
+    ['Fresh', 'Old but chosen'].every(t => keptTitles.includes(t)));
+  logTest('Stale items are dropped with a reason',
+    dropped.some(d => d.title === 'Old news' && d.reason.startsWith('stale')));
+  logTest('Category window overrides the default', keptTitles.includes('Essay'));
+  logTest('Per-source window overrides the category', keptTitles.includes('Override'));
+  logTest('Far-future dates are dropped', dropped.some(d => d.title === 'Time traveller' && d.reason.startsWith('future')));
+
+  const skewed = kept.find(a => a.title === 'Timezone skew');
+  logTest('Small clock skew is clamped to now', skewed?.published === now.toISOString() && !!skewed?.date_issue);
+
+  const undated = kept.find(a => a.title === 'No date');
+  logTest('Unparseable dates are kept and flagged', undated?.date_unknown === true && undated?.published === now.toISOString());
+} catch (error) {
+  logTest('Recency window execution', false, error.message);
+}
+
+// Test 12: Source adapters
+console.log('\n=== SOURCE ADAPTER TESTS ===\n');
+
+try {
+  const { getAdapter, registerAdapter } = await import(path.resolve(__dirname, '../src/adapters/index.js'));
+  const { validateArticle } = await import(path.resolve(__dirname, '../src/lib/article-schema.js'));
+  const { parseFeed } = await import(path.resolve(__dirname, '../src/adapters/rss.js'));
+  const { parseTimeline } = await import(path.resolve(__dirname, '../src/adapters/twitter.js'));
+  const { emailToArticle } = await import(path.resolve(__dirname, '../src/adapters/gmail.js'));
+  const { queueItemToArticle } = await import(path.resolve(__dirname, '../src/adapters/queue.js'));
+  const fixture = (name) => fs.readFileSync(path.resolve(__dirname, 'fixtures', name), 'utf-8');
+
+  logTest('Built-in adapters are registered by type',
+    ['rss', 'espn', 'twitter', 'gmail', 'queue'].every(type => getAdapter(type)?.type === type));
+
+  let rejected = false;
+  try { registerAdapter({ type: 'broken' }); } catch (_) { rejected = true; }
+  logTest('Adapters without fetch() are rejected', rejected);
+
+  const feed = { name: 'Simon Willison', category: 'ai', weight: 0.9 };
+  const { articles: feedArticles, guids } = await parseFeed(fixture('feeds/simon-willison.xml'), feed, {
+    seenGuids: new Set(['https://simonwillison.net/2026/Mar/8/local-model/'])
+  });
+  logTest('RSS adapter skips seen items', feedArticles.length === 2 && guids.length === 3, `${feedArticles.length} articles`);
+  logTest('RSS adapter output matches the article schema', feedArticles.every(a => validateArticle(a).length === 0),
+    feedArticles.map(a => validateArticle(a).join(', ')).filter(Boolean).join(' | '));
+  logTest('RSS adapter carries category and weight', feedArticles[0].category === 'ai' && feedArticles[0].source_weight === 0.9);
+  logTest('RSS adapter leaves missing dates null', feedArticles.find(a => a.title === 'Undated link')?.published === null);
+
+  const tweets = await parseTimeline(fixture('feeds/nitter-timeline.xml'), { name: 'Andrej Karpathy', handle: 'karpathy' });
+  logTest('Twitter adapter parses a bridge timeline',
+    tweets.length === 1 && tweets[0].source === '@karpathy (Andrej Karpathy)' && validateArticle(tweets[0]).length === 0);
+
+  const emailArticle = emailToArticle({
+    from: 'doug@example.com',
+    subject: 'Fwd: Worth reading',
+    date: '2026-03-09T12:00:00.000Z',
+    text: 'Save this one\n\n---------- Forwarded message ----------\nhttps://example.com/story',
+    attachments: []
+  });
+  logTest('Gmail adapter builds a manual-send article',
+    emailArticle.manual_send === true && emailArticle.link === 'https://example.com/story' &&
+    emailArticle.doug_note === 'Save this one' && validateArticle(emailArticle).length === 0);
+
+  const queued = queueItemToArticle({ title: 'Queued link', link: 'https://example.com/q', doug_note: 'for Friday' });
+  logTest('Queue adapter builds a manual-send article', queued.manual_send === true && validateArticle(queued).length === 0);
+
+  logTest('Schema validation reports bad fields', validateArticle({ ...queued, title: '', source_weight: 3 }).length === 2);
+} catch (error) {
+  logTest('Source adapter execution', false, error.message);
+}
+
+// Test 13: HTTP record/replay
+console.log('\n=== HTTP REPLAY TESTS ===\n');
+
+try {
+  process.env.HTTP_FIXTURES = 'replay';
+  process.env.HTTP_FIXTURES_DIR = path.resolve(__dirname, 'fixtures/http');
+  const { httpGet, replayClock } = await import(path.resolve(__dirname, '../src/lib/http-fixtures.js'));
+  const { getAdapter } = await import(path.resolve(__dirname, '../src/adapters/index.js'));
+
+  const feed = { name: 'Simon Willison', url: 'https://simonwillison.net/atom/everything/', category: 'ai' };
+  const feedCache = {};
+  const { articles, status } = await getAdapter('rss').fetch(feed, { feedCache });
+  logTest('RSS feed replays from a recorded response', status === 'ok' && articles.length === 3, `${status}, ${articles.length} articles`);
+  logTest('Replayed headers reach the feed cache', feedCache[feed.url]?.etag === '"abc123"');
+
+  const { scores } = await getAdapter('espn').fetch({ name: 'New York Yankees', sport: 'mlb', team_id: '10' }, {});
+  logTest('ESPN scoreboards replay for the recording\'s yesterday and today', scores.length === 2, `${scores.length} games`);
+
+  const shared = new Map();
+  const [yankees] = await Promise.all([
+    getAdapter('espn').fetch({ name: 'New York Yankees', sport: 'mlb', team_id: '10' }, { shared }),
+    getAdapter('espn').fetch({ name: 'New York Mets', sport: 'mlb', team_id: '21' }, { shared }),
+  ]);
+  logTest('Teams in one league share a run\'s scoreboard requests',
+    shared.size === 2 && [...shared.keys()].every(k => k.includes('/baseball/mlb/')) && yankees.scores.length === 2, `${shared.size} requests`);
+
+  let recordedFailure = null;
+  try { await httpGet('https://openai.com/blog/rss.xml', { responseType: 'text' }); } catch (error) { recordedFailure = error; }
+  logTest('Recorded failures replay as errors', recordedFailure?.response?.status === 403);
+
+  let missing = null;
+  try { await httpGet('https://example.com/never-recorded'); } catch (error) { missing = error; }
+  logTest('Unrecorded URLs fail without touching the network', missing?.code === 'FIXTURE_MISSING');
+
+  logTest('Replay clock is the recording time', replayClock().toISOString() === '2026-03-10T12:00:00.000Z');
+} catch (error) {
+  logTest('HTTP replay execution', false, error.message);
+} finally {
+  delete process.env.HTTP_FIXTURES;
+  delete process.env.HTTP_FIXTURES_DIR;
+}
+
+// Test 14: OPML import/export
+console.log('\n=== OPML TESTS ===\n');
+
+try {
+  const { parseOpml, mergeFeeds, buildOpml } = await import(path.resolve(__dirname, '../src/lib/opml.js'));
+  const opml = fs.readFileSync(path.resolve(__dirname, 'fixtures/opml/reader-export.opml'), 'utf-8');
+  const feeds = parseOpml(opml);
+
+  logTest('OPML feeds are read from nested folders', feeds.length === 7, `${feeds.length} feeds`);
+  logTest('Nested folders fold into the top-level folder', feeds.find(f => f.name === 'Hugging Face Blog')?.folder === 'AI');
+
+  const existing = [{ name: 'Simon Willison', url: 'https://simonwillison.net/atom/everything/', category: 'ai' }];
+  const { added, duplicates } = mergeFeeds(existing, feeds);
+  logTest('Duplicates are detected by normalized URL',
+    duplicates.some(d => d.name === 'Simon Willison') && duplicates.some(d => d.name === 'Interconnects (dupe)'));
+  logTest('Category comes from the OPML folder',
+    added.find(f => f.name === 'GitHub Changelog')?.category === 'dev_tools' &&
+    added.find(f => f.name === 'Unfiled & Misc')?.category === 'news');
+
+  const roundTrip = parseOpml(buildOpml('Test', [{ folder: 'ai', items: [{ text: 'A & B', type: 'rss', xmlUrl: 'https://example.com/feed?a=1&b=2' }] }]));
+  logTest('Exported OPML round-trips', roundTrip[0]?.name === 'A & B' && roundTrip[0]?.url === 'https://example.com/feed?a=1&b=2' && roundTrip[0]?.folder === 'ai');
+} catch (error) {
+  logTest('OPML execution', false, error.message);
+}
+
+// Test 15: Sports scoreboard
+console.log('\n=== SPORTS TESTS ===\n');
+
+try {
+  const { parseScoreboard, buildScoreboard, formatResultLine, formatUpcomingLine } = await import(path.resolve(__dirname, '../src/lib/sports.js'));
+  const formatPaper = (await import(path.resolve(__dirname, '../src/modules/format-paper.js'))).default;
+  const scoreboard = (name) => JSON.parse(fs.readFileSync(path.resolve(__dirname, 'fixtures/espn', name), 'utf-8'));
+
+  const [jets] = parseScoreboard(scoreboard('nfl-scoreboard.json'), { name: 'New York Jets', sport: 'nfl', team_id: '20' }, { day: 'yesterday' });
+  logTest('Away games are read from the followed team\'s side',
+    jets?.home_away === 'away' && jets?.result === 'W' && jets?.score === '24-17' && jets?.opponent === 'Bills');
+  logTest('Teams resolve by ID, not name', parseScoreboard(scoreboard('nfl-scoreboard.json'), { name: 'Jets', sport: 'nfl', team_id: '19' }).every(g => g.team === 'Giants'));
+
+  const mets = { name: 'New York Mets', sport: 'mlb', team_id: '21' };
+  const yankees = { name: 'New York Yankees', sport: 'mlb', team_id: '10' };
+  const games = [mets, yankees].flatMap(team => [
+    ...parseScoreboard(scoreboard('mlb-scoreboard-20260309.json'), team, { day: 'yesterday' }),
+    ...parseScoreboard(scoreboard('mlb-scoreboard-20260310.json'), team, { day: 'today' }),
+  ]);
+  const { results, upcoming } = buildScoreboard(games);
+  const postponed = results.find(g => g.team === 'Mets');
+
+  logTest('Postponed games carry no score or result', postponed?.status === 'postponed' && postponed?.result === null && postponed?.score === null);
+  logTest('Results and next-up are split by day', results.length === 2 && upcoming.length === 2 && upcoming[0].team === 'Mets');
+  logTest('Scoreboard lines read naturally',
+    formatResultLine(results.find(g => g.team === 'Yankees')) === '❌ Yankees 3-5 @ Red Sox' &&
+    formatResultLine(postponed) === '⏸️ Mets vs Braves — Postponed' &&
+    formatUpcomingLine(upcoming[1]).startsWith('Yankees vs Orioles — ') && formatUpcomingLine(upcoming[1]).endsWith('(YES)'));
+
+  const paper = await formatPaper({
+    timestamp: '2026-03-10T07:00:00Z',
+    total_stories: 0,
+    daily_selections: { front_page: [], business: [], sports: [], culture: [], personal: [], surprise_pick: null },
+  }, games);
+  const text = paper.formatted_paper.text;
+  logTest('Paper renders the scoreboard and next-up list without sports stories',
+    text.includes('YESTERDAY\'S SCORES:') && text.includes('NEXT UP:') && text.includes('Yankees 3-5 @ Red Sox') &&
+    paper.formatted_paper.html.includes('Next Up:'));
+  logTest('The sports section is titled for every league, not just the Jets',
+    text.includes('SPORTS') && paper.formatted_paper.html.includes('SPORTS</h2>') &&
+    !text.includes('JETS & NFL') && !paper.formatted_paper.html.includes('JETS & NFL'));
+} catch (error) {
+  logTest('Sports execution', false, error.message);
+}
+
+// Test 16: Twitter bridge failover
+console.log('\n=== TWITTER BRIDGE TESTS ===\n');
+
+try {
+  const { loadBridges, bridgeUrl, orderBridges, recordBridgeResult } = await import(path.resolve(__dirname, '../src/lib/bridge-pool.js'));
+  const { parseTimeline, classifyItem } = await import(path.resolve(__dirname, '../src/adapters/twitter.js'));
+  const { getAdapter } = await import(path.resolve(__dirname, '../src/adapters/index.js'));
+
+  const bridges = loadBridges({
+    rss_bridges: [
+      { name: 'nitter.net', type: 'nitter', base_url: 'https://nitter.net/' },
+      { name: 'nitter.privacydev.net', type: 'nitter', base_url: 'https://nitter.privacydev.net' },
+      { name: 'rsshub', type: 'rsshub', base_url: 'https://rsshub.app' },
+      { name: 'local', type: 'rss-bridge', base_url: 'http://localhost:3000', enabled: false },
+    ]
+  });
+  logTest('Path template follows the bridge type',
+    bridgeUrl(bridges[0], '@karpathy') === 'https://nitter.net/karpathy/rss' &&
+    bridgeUrl(bridges[2], 'karpathy') === 'https://rsshub.app/twitter/user/karpathy' && bridges.length === 3);
+  logTest('Legacy single-bridge config still works',
+    bridgeUrl(loadBridges({ rss_bridge_base_url: 'https://nitter.example', rss_path_template: '/{handle}/rss' })[0], 'sama') === 'https://nitter.example/sama/rss');
+
+  const ledger = {};
+  const now = new Date('2026-03-10T12:00:00Z');
+  recordBridgeResult(ledger, bridges[0], { ok: false, error: '503' }, now);
+  recordBridgeResult(ledger, bridges[0], { ok: false, error: '503' }, now);
+  logTest('Failing bridges cool down and move to the back', orderBridges(bridges, ledger, now)[2].name === 'nitter.net' && !!ledger['nitter.net'].cooling_until);
+
+  logTest('Replies and retweets are recognized',
+    classifyItem({ title: 'R to @someone: agreed' }, 'karpathy') === 'reply' &&
+    classifyItem({ title: 'RT by @karpathy: great thread' }, 'karpathy') === 'retweet' &&
+    classifyItem({ title: 'Great paper', 'dc:creator': '@ylecun' }, 'karpathy') === 'retweet' &&
+    classifyItem({ title: 'New video', 'dc:creator': '@karpathy' }, 'karpathy') === null);
+
+  const xml = fs.readFileSync(path.resolve(__dirname, 'fixtures/feeds/nitter-timeline.xml'), 'utf-8');
+  const withReplies = await parseTimeline(xml, { name: 'Andrej Karpathy', handle: 'karpathy', include_replies: true });
+  logTest('Replies can be opted into', withReplies.length === 2);
+  logTest('Bridge links point at x.com', withReplies[0].link === 'https://x.com/karpathy/status/1900000000000000001');
+
+  process.env.HTTP_FIXTURES = 'replay';
+  process.env.HTTP_FIXTURES_DIR = path.resolve(__dirname, 'fixtures/http');
+  const tweets = await getAdapter('twitter').fetch({
+    name: 'Andrej Karpathy', handle: 'karpathy', bridges: bridges.slice(0, 2), bridge_timeout_ms: 1000, max_bridge_attempts: 2
+  }, {});
+  logTest('A dead instance fails over to the next bridge', tweets.length === 1, `${tweets.length} posts`);
+} catch (error) {
+  logTest('Twitter bridge execution', false, error.message);
+} finally {
+  delete process.env.HTTP_FIXTURES;
+  delete process.env.HTTP_FIXTURES_DIR;
+}
+
+// Test 17: Newsletter splitting
+console.log('\n=== NEWSLETTER TESTS ===\n');
+
+try {
+  const { matchNewsletter, splitNewsletter, senderAddress } = await import(path.resolve(__dirname, '../src/lib/newsletter.js'));
+  const { extractInboxItems } = await import(path.resolve(__dirname, '../src/lib/email-client.js'));
+  const { emailToArticles } = await import(path.resolve(__dirname, '../src/adapters/gmail.js'));
+  const { validateArticle } = await import(path.resolve(__dirname, '../src/lib/article-schema.js'));
+
+  const newsletters = [
+    { name: 'The Rundown AI', type: 'newsletter', senders: ['therundown.ai'], category: 'ai' },
+    { name: 'Benedict Evans', type: 'newsletter', senders: ['list@ben-evans.com'] },
+  ];
+  const html = fs.readFileSync(path.resolve(__dirname, 'fixtures/email/rundown-forward.html'), 'utf-8');
+  const email = {
+    from: 'Doug <doug@example.com>',
+    subject: "Fwd: OpenAI's agent goes public",
+    date: '2026-03-10T11:15:00.000Z',
+    text: 'Worth a look — the Anthropic one especially\n\n---------- Forwarded message ---------\nFrom: The Rundown AI <news@daily.therundown.ai>\nDate: Tue, Mar 10, 2026 at 6:02 AM\n',
+    html,
+    attachments: [],
+  };
+
+  logTest('Sender address is pulled from a From header', senderAddress('The Rundown AI <News@Daily.TheRundown.ai>') === 'news@daily.therundown.ai');
+  logTest('Forwarded newsletter is matched on the original sender', matchNewsletter(email, newsletters)?.name === 'The Rundown AI');
+  logTest('Ordinary mail is not a newsletter',
+    matchNewsletter({ from: 'Doug <doug@example.com>', subject: 'Read this', text: 'https://example.com/a' }, newsletters) === null &&
+    matchNewsletter({ from: 'Benedict <ben@ben-evans.com>', text: '' }, newsletters) === null);
+
+  const stories = splitNewsletter(html);
+  logTest('Issue splits into one item per story', stories.length === 3, stories.map(s => s.title).join(' | '));
+  logTest('Sponsor and footer sections are dropped', !stories.some(s => /ACME|Share/i.test(s.title)));
+  logTest('Each story keeps its headline, blurb and outbound link',
+    stories[1].title === 'Anthropic publishes new interpretability results' &&
+    stories[1].link.startsWith('https://www.anthropic.com/research/tracing-thoughts') &&
+    stories[0].blurb.includes('background for up to an hour'));
+
+  const items = await extractInboxItems(email, { newsletter_sources: newsletters });
+  logTest('Stories are tagged with the newsletter, not the inbox',
+    items.length === 3 && items.every(i => i.source === 'The Rundown AI' && i.manual_send === false && i.category === 'ai'));
+  logTest('Doug\'s note above the forward is kept', items[0].doug_note === 'Worth a look — the Anthropic one especially');
+
+  const articles = await emailToArticles(email, { newsletter_sources: newsletters });
+  logTest('Gmail adapter emits schema-valid story articles', articles.length === 3 && articles.every(a => validateArticle(a).length === 0));
+
+  const plain = await extractInboxItems({ ...email, from: 'Doug <doug@example.com>', text: 'Read this https://example.com/a', html: '' },
+    { newsletter_sources: newsletters, follow_links: false });
+  logTest('Non-newsletter mail stays a single Send to Paper item', plain.length === 1 && plain[0].source === "Doug's Inbox");
+} catch (error) {
+  logTest('Newsletter execution', false, error.message);
+}
+
+// Test 18: Following links in Send to Paper emails
+console.log('\n=== PAPER LINK TESTS ===\n');
+
+try {
+  const { paperLinks, noteWithoutLinks } = await import(path.resolve(__dirname, '../src/lib/paper-links.js'));
+  const { extractInboxItems } = await import(path.resolve(__dirname, '../src/lib/email-client.js'));
+
+  logTest('Links are deduplicated and trailing punctuation dropped',
+    paperLinks(['https://a.example/x).', 'https://a.example/x?utm_source=mail', 'https://list-manage.com/unsubscribe?u=1']).join() === 'https://a.example/x');
+  logTest('Note keeps the words, not the pasted URLs',
+    noteWithoutLinks('Compare these two https://a.example/x\nhttps://b.example/y') === 'Compare these two' &&
+    noteWithoutLinks('https://a.example/x') === null);
+
+  process.env.HTTP_FIXTURES = 'replay';
+  process.env.HTTP_FIXTURES_DIR = path.resolve(__dirname, 'fixtures/http');
+  const items = await extractInboxItems({
+    from: 'Doug <doug@example.com>',
+    subject: 'Add to Paper',
+    date: '2026-03-10T09:00:00.000Z',
+    text: 'Big week for agents — compare these\nhttps://techcrunch.com/2026/03/09/anthropic-agent-sdk/\nhttps://www.ft.com/content/paywalled-story\n',
+    html: '',
+    attachments: [],
+  }, { follow_links: true });
+
+  logTest('Each link becomes its own item', items.length === 2, `${items.length} items`);
+  logTest('Linked page supplies the title and readable content',
+    items[0].title === 'Anthropic ships Agent SDK for autonomous tool use' &&
+    items[0].content.includes('Agent SDK') && !items[0].content.includes('https://') && items[0].extraction?.method);
+  logTest('Sender\'s note stays as doug_note on every item',
+    items.every(i => i.doug_note === 'Big week for agents — compare these' && i.manual_send === true));
+  logTest('An unreachable link is still queued, with the email as content',
+    items[1].link === 'https://www.ft.com/content/paywalled-story' && /404/.test(items[1].link_error) && items[1].content.includes('compare these'));
+
+  const forwarded = await extractInboxItems({
+    from: 'Doug <doug@example.com>',
+    subject: 'Fwd: This week in AI',
+    date: '2026-03-10T09:00:00.000Z',
+    text: 'The lead story is the one to read https://techcrunch.com/2026/03/09/anthropic-agent-sdk/\n\n' +
+      '---------- Forwarded message ----------\nFrom: AI Weekly <hello@aiweekly.example>\n\n' +
+      'Read online: https://aiweekly.example/issues/212\nSponsored by https://sponsor.example/offer\n' +
+      'Jane Smith, Editor | https://twitter.com/janesmith\nUnsubscribe: https://aiweekly.example/unsubscribe?u=9\n' +
+      'Manage preferences https://aiweekly.example/account\n',
+    html: '',
+    attachments: [],
+  }, { follow_links: true });
+  logTest('A forward follows only the links in Doug\'s note, not the newsletter footer',
+    forwarded.length === 1 && forwarded[0].link === 'https://techcrunch.com/2026/03/09/anthropic-agent-sdk/' && !forwarded[0].link_error,
+    `${forwarded.length} items`);
+} catch (error) {
+  logTest('Paper link execution', false, error.message);
+} finally {
+  delete process.env.HTTP_FIXTURES;
+  delete process.env.HTTP_FIXTURES_DIR;
+}
+
+// Test 19: Inbox attachments
+console.log('\n=== ATTACHMENT TESTS ===\n');
+
+try {
+  const { attachmentKind, extractAttachments, describeSkipped } = await import(path.resolve(__dirname, '../src/lib/attachments.js'));
+  const { extractInboxItems } = await import(path.resolve(__dirname, '../src/lib/email-client.js'));
+
+  const pdf = fs.readFileSync(path.resolve(__dirname, 'fixtures/email/state-of-enterprise-ai.pdf'));
+  const markdown = fs.readFileSync(path.resolve(__dirname, 'fixtures/email/ai-notes.md'));
+  const attachments = [
+    { filename: 'state-of-enterprise-ai.pdf', contentType: 'application/pdf', size: pdf.length, content: pdf },
+    { filename: 'ai-notes.md', contentType: 'application/octet-stream', size: markdown.length, content: markdown },
+    { filename: 'deck.pptx', contentType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', size: 40000, content: Buffer.from('pptx') },
+    { filename: 'appendix.pdf', contentType: 'application/pdf', size: 30 * 1024 * 1024, content: Buffer.from('%PDF') },
+    { filename: 'logo.png', contentType: 'image/png', contentDisposition: 'inline', size: 900, content: Buffer.from('png') },
+  ];
+
+  logTest('Attachment kind comes from content type, then extension',
+    attachmentKind(attachments[0]) === 'pdf' && attachmentKind(attachments[1]) === 'text' && attachmentKind(attachments[2]) === null);
+
+  const { documents, skipped } = await extractAttachments(attachments);
+  logTest('PDF text is extracted locally',
+    documents[0]?.kind === 'pdf' && documents[0].text.includes('tripled in 2025') && documents[0].pages === 1);
+  logTest('Generic PDF titles give way to the document\'s first line', documents[0]?.title === 'State of Enterprise AI 2026');
+  logTest('Markdown title comes from its heading', documents[1]?.title === 'Notes from the agents offsite');
+  logTest('Unsupported and oversized files are skipped with a reason; inline images ignored',
+    skipped.length === 2 && /unsupported/.test(skipped[0].reason) && /over the 10.0 MB limit/.test(skipped[1].reason));
+  logTest('Skipped summary reads as one line', describeSkipped(skipped).startsWith('Skipped 2 attachments: deck.pptx (unsupported'));
+
+  const limited = await extractAttachments(attachments.slice(0, 2), { max_content_chars: 100, max_attachments: 1 });
+  logTest('Content and attachment-count limits apply',
+    limited.documents.length === 1 && limited.documents[0].truncated && limited.documents[0].text.length === 100 &&
+    /first 1 attachments/.test(limited.skipped[0].reason));
+
+  const items = await extractInboxItems({
+    from: 'Doug <doug@example.com>',
+    subject: 'Enterprise AI report',
+    date: '2026-03-10T09:00:00.000Z',
+    text: 'This could be a front-page story',
+    html: '',
+    attachments,
+  }, {});
+  logTest('Each readable attachment becomes a Send to Paper item',
+    items.length === 2 && items[0].content.includes('Coding assistants') && items[0].attachment?.filename === 'state-of-enterprise-ai.pdf' &&
+    items.every(i => i.manual_send === true && i.doug_note === 'This could be a front-page story'));
+  logTest('Items carry the skipped-attachment summary', items.every(i => /deck\.pptx/.test(i.attachments_skipped)));
+} catch (error) {
+  logTest('Attachment execution', false, error.message);
+}
+
+// Test 20: Paper inbox sender policy
+console.log('\n=== SENDER POLICY TESTS ===\n');
+
+try {
+  const { parseAuthenticationResults, verifyAuthentication, screenEmail } = await import(path.resolve(__dirname, '../src/lib/sender-policy.js'));
+
+  const gmailAuth = 'mx.google.com;\r\n       dkim=pass header.i=@gmail.com header.s=20230601 header.b=AbCdEf;\r\n       spf=pass (google.com: domain of doug@gmail.com designates 209.85.220.41 as permitted sender) smtp.mailfrom=doug@gmail.com;\r\n       dmarc=pass (p=NONE sp=QUARANTINE dis=NONE) header.from=gmail.com';
+  const parsed = parseAuthenticationResults(gmailAuth);
+  logTest('Authentication-Results header is parsed',
+    parsed.authserv_id === 'mx.google.com' && parsed.methods.length === 3 &&
+    parsed.methods[1].result === 'pass' && parsed.methods[1].props['smtp.mailfrom'] === 'doug@gmail.com');
+
+  const policy = { allowed_senders: ['doug@gmail.com', 'example-corp.com'], trusted_authserv_ids: ['mx.google.com'] };
+  const fromDoug = { from: 'Doug <doug@gmail.com>', subject: 'Read this', authentication_results: [gmailAuth] };
+  logTest('Allowed, authenticated sender is accepted', screenEmail(fromDoug, policy).accepted === true);
+
+  const stranger = { ...fromDoug, from: 'Someone <someone@gmail.com>' };
+  const refused = screenEmail(stranger, policy);
+  logTest('Sender not on the allowlist is refused with a reason', refused.accepted === false && /not on the allowlist/.test(refused.reason));
+
+  const spoofed = {
+    from: 'Doug <doug@gmail.com>',
+    authentication_results: [
+      'mx.google.com; dkim=none; spf=fail smtp.mailfrom=evil.example; dmarc=fail header.from=gmail.com',
+      'mx.google.com.evil.example; dkim=pass header.d=gmail.com; dmarc=pass header.from=gmail.com',
+    ],
+  };
+  const spoofResult = screenEmail(spoofed, policy);
+  logTest('Spoofed From fails authentication', spoofResult.accepted === false && /dmarc=fail/.test(spoofResult.reason));
+
+  const forged = { from: 'Doug <doug@gmail.com>', authentication_results: ['attacker.example; dmarc=pass header.from=gmail.com'] };
+  logTest('Results from an untrusted server are ignored', verifyAuthentication(forged, policy).verified === false);
+
+  const dkimOnly = { from: 'Ana <ana@news.example-corp.com>', authentication_results: ['mx.google.com; dkim=pass header.d=example-corp.com; spf=softfail smtp.mailfrom=bounce.mailer.example'] };
+  logTest('Aligned DKIM pass counts when there is no DMARC result', verifyAuthentication(dkimOnly, policy).method === 'dkim' && screenEmail(dkimOnly, policy).accepted);
+
+  const savedDoug = process.env.DOUG_EMAIL;
+  delete process.env.DOUG_EMAIL;
+  logTest('An empty allowlist refuses everything', /no allowed_senders/.test(screenEmail(fromDoug, { trusted_authserv_ids: ['mx.google.com'] }).reason));
+  process.env.DOUG_EMAIL = 'doug@gmail.com';
+  logTest('DOUG_EMAIL is always allowed', screenEmail(fromDoug, { trusted_authserv_ids: ['mx.google.com'] }).accepted === true);
+  if (savedDoug === undefined) delete process.env.DOUG_EMAIL; else process.env.DOUG_EMAIL = savedDoug;
+
+  logTest('Newsletter senders are allowed by default',
+    screenEmail({ from: 'The Rundown <news@daily.therundown.ai>', authentication_results: ['mx.google.com; dmarc=pass header.from=therundown.ai'] },
+      { ...policy, newsletter_sources: [{ name: 'The Rundown AI', senders: ['therundown.ai'] }] }).accepted === true);
+} catch (error) {
+  logTest('Sender policy execution', false, error.message);
+}
+
+// Test 21: Mail provider configuration
+console.log('\n=== MAIL CONFIG TESTS ===\n');
+
+try {
+  const { loadMailConfig, assertMailConfig, imapOptions, smtpOptions, xoauth2String } = await import(path.resolve(__dirname, '../src/lib/mail-config.js'));
+
+  const legacy = loadMailConfig({ GMAIL_USER: 'paper@gmail.com', GMAIL_APP_PASSWORD: 'abcdabcdabcdabcd' });
+  const legacyImap = imapOptions(legacy);
+  logTest('Existing Gmail app-password setup keeps working',
+    legacyImap.host === 'imap.gmail.com' && legacyImap.port === 993 && legacyImap.tls === true &&
+    legacyImap.password === 'abcdabcdabcdabcd' && legacyImap.tlsOptions.rejectUnauthorized === true &&
+    legacy.from === '"Daily Paper" <paper@gmail.com>');
+
+  const outlook = loadMailConfig({ MAIL_PROVIDER: 'outlook', MAIL_USER: 'paper@corp.example', MAIL_PASSWORD: 'x' });
+  const outlookSmtp = smtpOptions(outlook);
+  logTest('Provider presets fill hosts, ports and TLS mode',
+    outlookSmtp.host === 'smtp.office365.com' && outlookSmtp.port === 587 && outlookSmtp.secure === false && outlookSmtp.requireTLS === true);
+
+  const local = loadMailConfig({
+    MAIL_PROVIDER: 'custom', MAIL_USER: 'paper@localhost', MAIL_PASSWORD: 'secret',
+    MAIL_IMAP_HOST: 'localhost', MAIL_IMAP_TLS: 'none', MAIL_SMTP_HOST: 'localhost', MAIL_SMTP_PORT: '3025', MAIL_SMTP_TLS: 'none',
+    MAIL_TLS_REJECT_UNAUTHORIZED: 'false',
+  });
+  const localImap = imapOptions(local);
+  const localSmtp = smtpOptions(local);
+  logTest('Local test server: plain ports, no TLS',
+    localImap.port === 143 && localImap.tls === false && localImap.autotls === 'never' &&
+    localSmtp.port === 3025 && localSmtp.ignoreTLS === true && localSmtp.tls.rejectUnauthorized === false);
+
+  const oauth = loadMailConfig({
+    MAIL_USER: 'paper@gmail.com', MAIL_AUTH: 'xoauth2',
+    MAIL_OAUTH_CLIENT_ID: 'id', MAIL_OAUTH_CLIENT_SECRET: 'secret', MAIL_OAUTH_REFRESH_TOKEN: 'refresh',
+  });
+  const oauthImap = imapOptions(oauth, { accessToken: 'ya29.token' });
+  logTest('XOAUTH2 login for IMAP',
+    !oauthImap.password && Buffer.from(oauthImap.xoauth2, 'base64').toString() === 'user=paper@gmail.com\x01auth=Bearer ya29.token\x01\x01' &&
+    xoauth2String('a@b.c', 't') === Buffer.from('user=a@b.c\x01auth=Bearer t\x01\x01').toString('base64'));
+  logTest('OAuth2 for SMTP uses the refresh token and provider token URL',
+    smtpOptions(oauth).auth.type === 'OAuth2' && smtpOptions(oauth).auth.refreshToken === 'refresh' &&
+    smtpOptions(oauth).auth.accessUrl === 'https://oauth2.googleapis.com/token');
+
+  let missingMessage = '';
+  try {
+    assertMailConfig(loadMailConfig({ MAIL_PROVIDER: 'custom', MAIL_USER: 'paper@localhost' }), 'imap');
+  } catch (error) {
+    missingMessage = error.message;
+  }
+  logTest('Missing settings are named', /MAIL_IMAP_HOST/.test(missingMessage) && /MAIL_PASSWORD/.test(missingMessage));
+
+  let badMode = '';
+  try {
+    loadMailConfig({ MAIL_SMTP_TLS: 'ssl' });
+  } catch (error) {
+    badMode = error.message;
+  }
+  logTest('Unknown TLS mode is rejected', /MAIL_SMTP_TLS must be one of implicit, starttls, none/.test(badMode));
+} catch (error) {
+  logTest('Mail config execution', false, error.message);
+}
+
+// Test 22: Queue lifecycle
+console.log('\n=== QUEUE LIFECYCLE TESTS ===\n');
+
+try {
+  const { normalizeQueueItem, claimQueue, markConsumed, markExpired } = await import(path.resolve(__dirname, '../src/lib/paper-queue.js'));
+  const { applyRecencyWindow } = await import(path.resolve(__dirname, '../src/lib/recency.js'));
+  const { queueItemToArticle } = await import(path.resolve(__dirname, '../src/adapters/queue.js'));
+
+  const now = new Date('2026-03-10T06:00:00Z');
+  const files = {
+    '2026-03-01': [
+      normalizeQueueItem({ title: 'Old link', link: 'https://example.com/old', retrieved_at: '2026-03-01T09:00:00Z' }, '2026-03-01', 0),
+    ],
+    '2026-03-05': [
+      { id: 'q_done', status: 'consumed', paper_date: '2026-03-06', title: 'Already run', link: 'https://example.com/story?utm_source=x', queued_at: '2026-03-05T09:00:00Z' },
+    ],
+    '2026-03-09': [
+      { id: 'q_late', status: 'pending', title: 'Sent last night', link: 'https://example.com/late', queued_at: '2026-03-09T23:30:00Z' },
+      { id: 'q_dupe', status: 'pending', title: 'Sent again', link: 'https://example.com/story', queued_at: '2026-03-09T10:00:00Z' },
+      { id: 'q_empty', status: 'pending', queued_at: '2026-03-09T11:00:00Z' },
+    ],
+    '2026-03-10': [
+      { id: 'q_today', status: 'pending', title: 'Sent this morning', link: 'https://example.com/today', queued_at: '2026-03-10T05:00:00Z', manual_send: true },
+    ],
+  };
+
+  logTest('Legacy queue items get an id, pending status and queued_at',
+    files['2026-03-01'][0].id === '2026-03-01-0' && files['2026-03-01'][0].status === 'pending' &&
+    files['2026-03-01'][0].queued_at === '2026-03-01T09:00:00Z');
+
+  const result = claimQueue(files, { carry_over_days: 3, now });
+  logTest('Pending items are claimed from every date file',
+    result.claimed.map(i => i.id).join(',') === 'q_late,q_today');
+  logTest('Items past carry_over_days expire',
+    result.expired.length === 1 && files['2026-03-01'][0].status === 'expired' && /3 day/.test(files['2026-03-01'][0].reason));
+  logTest('A link already in a paper is rejected',
+    files['2026-03-09'][1].status === 'rejected' && files['2026-03-09'][1].reason === 'already in the 2026-03-06 paper');
+  logTest('An empty item is rejected',
+    files['2026-03-09'][2].status === 'rejected' && files['2026-03-09'][2].reason === 'empty item');
+  logTest('Claimed items stay pending until the paper is saved',
+    files['2026-03-10'][0].status === 'pending' && files['2026-03-10'][0].last_claimed_at === now.toISOString() &&
+    !result.changed.has('2026-03-05'));
+
+  const article = queueItemToArticle(files['2026-03-10'][0]);
+  logTest('Queue articles carry queue_id but not lifecycle fields',
+    article.queue_id === 'q_today' && article.status === undefined && article.queued_at === undefined && article.manual_send === true);
+
+  const consumed = markConsumed(files, ['q_late', 'q_today', 'q_dupe'], { paperDate: '2026-03-10', now });
+  logTest('Consumed items record the paper date; non-pending ids are left alone',
+    consumed.consumed.length === 2 && files['2026-03-10'][0].status === 'consumed' &&
+    files['2026-03-10'][0].paper_date === '2026-03-10' && files['2026-03-09'][1].status === 'rejected');
+
+  // A forwarded newsletter story is an ordinary candidate, so the recency window applies to it
+  const newsletterFiles = {
+    '2026-03-09': [{ id: 'q_story', status: 'pending', title: 'Last month\'s launch', link: 'https://example.com/launch', category: 'ai',
+      manual_send: false, published: '2026-02-20T09:00:00Z', queued_at: '2026-03-09T08:00:00Z' }],
+  };
+  const { dropped } = applyRecencyWindow([queueItemToArticle(newsletterFiles['2026-03-09'][0])], {}, {}, now);
+  const expired = markExpired(newsletterFiles, Object.fromEntries(dropped.map(d => [d.queue_id, `outside the recency window (${d.reason})`])), { now });
+  logTest('A queued story the recency window drops is expired, not left pending',
+    dropped[0]?.queue_id === 'q_story' && expired.expired.length === 1 &&
+    newsletterFiles['2026-03-09'][0].status === 'expired' && /recency window \(stale/.test(newsletterFiles['2026-03-09'][0].reason));
+} catch (error) {
+  logTest('Queue lifecycle execution', false, error.message);
+}
+
+// Test 23: Telegram submissions
+console.log('\n=== TELEGRAM SUBMISSION TESTS ===\n');
+
+const savedChatId = process.env.TELEGRAM_CHAT_ID;
+const savedUserId = process.env.DOUG_USER_ID;
+try {
+  const { isFromDoug, parseSubmission, extractSubmissionItems, buildQueueAck } = await import(path.resolve(__dirname, '../src/telegram/submission-handler.js'));
+
+  process.env.TELEGRAM_CHAT_ID = '1001';
+  delete process.env.DOUG_USER_ID;
+  const chat = { id: 1001 };
+  logTest('Only the paper chat can submit',
+    isFromDoug({ chat, from: { id: 7 } }) && !isFromDoug({ chat: { id: 2002 }, from: { id: 7 } }));
+
+  const command = parseSubmission({ chat, text: '/add https://techcrunch.com/2026/03/09/anthropic-agent-sdk/ worth a look for the agents piece' });
+  logTest('/add takes a URL and a note',
+    command.kind === 'command' && command.links[0] === 'https://techcrunch.com/2026/03/09/anthropic-agent-sdk/' &&
+    command.note === 'worth a look for the agents piece');
+
+  const shared = parseSubmission({
+    chat, text: 'Read this one',
+    entities: [{ type: 'text_link', offset: 5, length: 4, url: 'https://example.com/story' }],
+  });
+  logTest('A shared link (including a hidden text link) is a submission',
+    shared.kind === 'link' && shared.links[0] === 'https://example.com/story' && shared.note === 'Read this one');
+
+  const forward = parseSubmission({
+    chat, text: 'OpenAI is raising again at a higher valuation',
+    forward_origin: { type: 'channel', chat: { title: 'Tech Wire', username: 'techwire' }, message_id: 42 },
+  });
+  logTest('A forwarded channel post keeps its text, source and t.me link',
+    forward.kind === 'forward' && forward.forwarded_from === 'Tech Wire' && forward.post_link === 'https://t.me/techwire/42');
+
+  logTest('Plain chat, replies and other commands are not submissions',
+    parseSubmission({ chat, text: 'tell me more about 3' }) === null &&
+    parseSubmission({ chat, text: '💬 see https://example.com/x', reply_to_message: { message_id: 5 } }) === null &&
+    parseSubmission({ chat, text: '/start' }) === null);
+
+  process.env.HTTP_FIXTURES = 'replay';
+  process.env.HTTP_FIXTURES_DIR = path.resolve(__dirname, 'fixtures/http');
+  const commandItems = await extractSubmissionItems(command, { message_id: 9, date: 1773133200 }, { follow_links: true });
+  logTest('Submitted link is fetched, queued as manual_send with the page title',
+    commandItems.length === 1 && commandItems[0].title === 'Anthropic ships Agent SDK for autonomous tool use' &&
+    commandItems[0].manual_send === true && commandItems[0].source === 'Telegram' &&
+    commandItems[0].doug_note === 'worth a look for the agents piece');
+
+  const forwardItems = await extractSubmissionItems(forward, { message_id: 10, date: 1773133200 }, {});
+  logTest('A forward without links is queued as-is',
+    forwardItems.length === 1 && forwardItems[0].content.includes('higher valuation') &&
+    forwardItems[0].link === 'https://t.me/techwire/42' && forwardItems[0].forwarded_from === 'Tech Wire');
+
+  const ack = buildQueueAck(commandItems, { icon: '🔗' });
+  logTest('Acknowledgment names the page title and the note, like the email one',
+    ack.startsWith('🔗 Received: "Anthropic ships Agent SDK') && ack.includes('💬 Your note: "worth a look') &&
+    ack.includes("✓ Added to tomorrow's paper consideration"));
+  logTest('Acknowledgment escapes HTML',
+    buildQueueAck([{ title: 'Q&A <live>' }]).includes('Q&amp;A &lt;live&gt;'));
+} catch (error) {
+  logTest('Telegram submission execution', false, error.message);
+} finally {
+  delete process.env.HTTP_FIXTURES;
+  delete process.env.HTTP_FIXTURES_DIR;
+  if (savedChatId === undefined) delete process.env.TELEGRAM_CHAT_ID; else process.env.TELEGRAM_CHAT_ID = savedChatId;
+  if (savedUserId === undefined) delete process.env.DOUG_USER_ID; else process.env.DOUG_USER_ID = savedUserId;
+}
+
+// Test 24: Browser intake server
+console.log('\n=== INTAKE SERVER TESTS ===\n');
+
+let intakeServer = null;
+try {
+  const http = await import('http');
+  const { intakeItem, bookmarkletSource, startIntakeServer } = await import(path.resolve(__dirname, '../src/lib/intake-server.js'));
+
+  const item = intakeItem({ url: 'https://example.com/story', title: 'A story', text: 'the key quote', note: 'lead with this' });
+  logTest('Submitted page becomes a manual_send queue item',
+    item.link === 'https://example.com/story' && item.title === 'A story' && item.content === 'the key quote' &&
+    item.doug_note === 'lead with this' && item.manual_send === true && item.source === 'Browser');
+
+  let badUrl = null;
+  try {
+    intakeItem({ url: 'javascript:alert(1)' });
+  } catch (error) {
+    badUrl = error.status;
+  }
+  logTest('Non-http URLs are refused with 400', badUrl === 400);
+
+  const queued = [];
+  intakeServer = await startIntakeServer({ token: 's3cret', port: 0 }, {
+    queue: item => { const stored = { ...item, id: `q_test${queued.length}` }; queued.push(stored); return stored; },
+  });
+  const base = `http://127.0.0.1:${intakeServer.address().port}`;
+
+  const unauthorized = await fetch(`${base}/queue`, {
+    method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ url: 'https://example.com/x' }),
+  });
+  logTest('POST /queue without the token is refused', unauthorized.status === 401 && queued.length === 0);
+
+  const json = await fetch(`${base}/queue`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: 'Bearer s3cret' },
+    body: JSON.stringify({ url: 'https://example.com/story', title: 'A story', note: 'lead with this' }),
+  });
+  const body = await json.json();
+  logTest('POST /queue with a Bearer token queues the page', json.status === 201 && body.id === 'q_test0' && queued[0].doug_note === 'lead with this');
+
+  const addForm = await (await fetch(`${base}/add?url=${encodeURIComponent('https://example.com/other')}`)).text();
+  const nonce = addForm.match(/name="nonce" value="([^"]+)"/)?.[1];
+  logTest('The add form carries a one-time nonce, not the token', Boolean(nonce) && !addForm.includes('s3cret'));
+
+  const postForm = (fields, headers = {}) => fetch(`${base}/queue`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Origin: base, ...headers },
+    body: new URLSearchParams(fields).toString(),
+  });
+  const form = await postForm({ nonce, url: 'https://example.com/other', title: 'Other <story>', text: 'quote' });
+  const formHtml = await form.text();
+  logTest('Bookmarklet form post queues and confirms in HTML',
+    form.status === 201 && formHtml.includes('Other &lt;story&gt;') && queued[1].content === 'quote');
+  logTest('A form nonce works once; the token as a form field does not work at all',
+    (await postForm({ nonce, url: 'https://example.com/again' })).status === 401 &&
+    (await postForm({ token: 's3cret', url: 'https://example.com/again' })).status === 401 && queued.length === 2);
+
+  const crossSite = await postForm({ url: 'https://example.com/x' }, { Origin: 'https://evil.example', Authorization: 'Bearer s3cret' });
+  const rebound = await new Promise((resolve, reject) => {
+    http.get(`${base}/bookmarklet?token=s3cret`, { headers: { Host: `evil.example:${intakeServer.address().port}` } }, resolve).on('error', reject);
+  });
+  logTest('POSTs from another origin and requests for another host are refused',
+    crossSite.status === 403 && rebound.statusCode === 403 && queued.length === 2);
+
+  const bookmarklet = await fetch(`${base}/bookmarklet?token=s3cret`);
+  const bookmarkletHtml = await bookmarklet.text();
+  logTest('Bookmarklet page is served with the token; refused without it',
+    bookmarklet.status === 200 && bookmarkletHtml.includes('javascript:') &&
+    (await fetch(`${base}/bookmarklet`)).status === 401);
+  logTest('Bookmarklet opens the add form with the page URL, title and selection, without the token',
+    /^javascript:.*\/add\?url='\+e\(location\.href\)/.test(bookmarkletSource(base)) && !bookmarkletHtml.includes('s3cret'));
+} catch (error) {
+  logTest('Intake server execution', false, error.message);
+} finally {
+  if (intakeServer) intakeServer.close();
+}
+
+// Test 25: arXiv adapter
+console.log('\n=== ARXIV ADAPTER TESTS ===\n');
+
+try {
+  const { default: arxiv, searchQuery, loadFollowed, matchFollowed } = await import(path.resolve(__dirname, '../src/adapters/arxiv.js'));
+  const { validateArticle } = await import(path.resolve(__dirname, '../src/lib/article-schema.js'));
+
+  logTest('Query combines categories and title/abstract keywords',
+    searchQuery({ categories: ['cs.CL', 'cs.AI'], keywords: ['language model', 'agent'] }) ===
+    '(cat:cs.CL OR cat:cs.AI) AND (ti:"language model" OR abs:"language model" OR ti:agent OR abs:agent)');
+
+  const followed = loadFollowed(path.resolve(__dirname, '../config'));
+  logTest('Followed researchers and labs come from twitter-researchers.json',
+    followed.researchers.includes('Chelsea Finn') && followed.labs.includes('Anthropic'));
+
+  process.env.HTTP_FIXTURES = 'replay';
+  process.env.HTTP_FIXTURES_DIR = path.resolve(__dirname, 'fixtures/http');
+  const papers = await arxiv.fetch(
+    { name: 'arXiv test', categories: ['cs.CL'], keywords: ['agent'], max_items: 3, followed },
+    { timeoutMs: 1000 }
+  );
+
+  logTest('Papers parse with authors, abstract, primary category and PDF link',
+    papers.length === 3 && papers[1].authors.length === 4 && papers[1].primary_category === 'cs.CL' &&
+    papers[1].pdf_link === 'https://arxiv.org/pdf/2603.08790v2' && papers[1].link === 'https://arxiv.org/abs/2603.08790' &&
+    papers[1].abstract.startsWith('We introduce an evaluation suite') &&
+    papers[1].title === 'Measuring Sabotage Propensity in Tool-Using Language Model Agents');
+  logTest('Paper articles pass schema validation', papers.every(a => validateArticle(a).length === 0));
+  logTest('A followed researcher among the authors raises the weight',
+    papers[0].followed_researchers.join() === 'Chelsea Finn' && papers[0].source_weight === 0.9);
+  logTest('A followed lab in the affiliations raises the weight',
+    papers[1].followed_labs.join() === 'Anthropic' && papers[1].source_weight === 0.9);
+  logTest('Other papers keep the base weight', papers[2].source_weight === 0.5 && papers[2].followed_researchers.length === 0);
+  const benchmark = {
+    authors: ['A. Researcher'], affiliations: [], comment: '14 pages',
+    abstract: 'We evaluate frontier models from OpenAI and Anthropic on long-horizon coding tasks.'
+  };
+  logTest('A lab mentioned only in the abstract does not count as the paper\'s lab',
+    matchFollowed(benchmark, followed).labs.length === 0 &&
+    matchFollowed({ ...benchmark, comment: '14 pages. Work done while at Anthropic.' }, followed).labs.join() === 'Anthropic');
+  logTest('Papers are tagged as primary sources in the AI section',
+    papers.every(a => a.evidence_type === 'primary_source' && a.category === 'ai'));
+} catch (error) {
+  logTest('arXiv adapter execution', false, error.message);
+} finally {
+  delete process.env.HTTP_FIXTURES;
+  delete process.env.HTTP_FIXTURES_DIR;
+}
+
+// Test 26: GitHub release watch and the Developer section
+console.log('\n=== GITHUB RELEASE TESTS ===\n');
+
+try {
+  const { default: github, parseReleaseNotes, parseVersion } = await import(path.resolve(__dirname, '../src/adapters/github.js'));
+  const { selectStoriesBySection } = await import(path.resolve(__dirname, '../src/modules/rank-stories.js'));
+  const { default: formatPaper } = await import(path.resolve(__dirname, '../src/modules/format-paper.js'));
+  const { validateArticle } = await import(path.resolve(__dirname, '../src/lib/article-schema.js'));
+
+  logTest('Version is read from release titles and tags',
+    parseVersion('sdk: v0.41.0') === 'v0.41.0' && parseVersion('Release 2.3 (LTS)') === '2.3' && parseVersion('nightly') === null);
+
+  const notes = parseReleaseNotes('<h2>Changes</h2><ul><li>feat!: remove the legacy client</li><li>Add streaming helpers (#12)</li></ul>');
+  logTest('Conventional-commit breaking markers are caught outside a Breaking heading',
+    notes.breaking_changes.join() === 'remove the legacy client' && notes.highlights.join() === 'Add streaming helpers');
+
+  process.env.HTTP_FIXTURES = 'replay';
+  process.env.HTTP_FIXTURES_DIR = path.resolve(__dirname, 'fixtures/http');
+  const releases = await github.fetch({ repo: 'anthropics/anthropic-sdk-typescript', name: 'Anthropic TypeScript SDK' }, { timeoutMs: 1000 });
+  logTest('Releases parse with version, highlights and breaking changes',
+    releases[0].version === 'v0.41.0' &&
+    releases[0].breaking_changes.join(' | ') === 'client: drop support for Node 18 | messages: max_tokens is now required on messages.create' &&
+    releases[0].highlights.join(' | ') === 'api: add Agent SDK tool-use endpoints | client: automatic retries honour retry-after-ms' &&
+    releases[0].title === 'Anthropic TypeScript SDK v0.41.0 — 2 breaking changes');
+  logTest('Pre-releases are skipped unless asked for', releases.length === 2 && releases.every(r => !r.prerelease));
+  logTest('Release articles are valid developer primary sources',
+    releases.every(r => validateArticle(r).length === 0 && r.category === 'developer' && r.evidence_type === 'primary_source'));
+
+  const tagged = await github.fetch({ repo: 'example/tag-only' }, { timeoutMs: 1000 });
+  logTest('A repo without releases falls back to its tags', tagged.length === 1 && tagged[0].version === 'v2.3.0');
+
+  const cluster = (id, score, domains) => ({ cluster_id: id, headline: `Story ${id}`, final_score: score, domains, dimension_scores: {} });
+  const { selections } = selectStoriesBySection([
+    cluster('c1', 8, ['ai']), cluster('c2', 6, ['developer']), cluster('c3', 6, ['business']), cluster('c4', 4, ['developer']),
+  ]);
+  logTest('Developer clusters get their own section',
+    selections.developer.map(s => s.cluster_id).join() === 'c2' && selections.business.map(s => s.cluster_id).join() === 'c3');
+  const { selections: mixed } = selectStoriesBySection([
+    cluster('c1', 8, ['ai']), cluster('c5', 6.5, ['ai', 'developer']), cluster('c2', 6, ['developer']),
+  ]);
+  logTest('An AI story that is also tagged developer stays in Business & AI',
+    mixed.business.map(s => s.cluster_id).join() === 'c5' && mixed.developer.map(s => s.cluster_id).join() === 'c2');
+
+  const story = { rank: 2, headline: 'Anthropic TypeScript SDK v0.41.0 drops Node 18', why_this_matters: 'Upgrade before the next deploy.', confidence_label: 'Confirmed Pattern', source_count: 1, sources: [] };
+  const formatted = await formatPaper({
+    daily_selections: { front_page: [], business: [], developer: [story], sports: [], culture: [], personal: [], surprise_pick: null },
+    total_stories: 1,
+    timestamp: '2026-03-10T07:30:00.000Z',
+  });
+  logTest('Developer section is formatted in text and HTML',
+    formatted.formatted_paper.text.includes('🛠️ DEVELOPER') && formatted.formatted_paper.text.includes('drops Node 18') &&
+    formatted.formatted_paper.html.includes('DEVELOPER</h2>'));
+} catch (error) {
+  logTest('GitHub release execution', false, error.message);
+} finally {
+  delete process.env.HTTP_FIXTURES;
+  delete process.env.HTTP_FIXTURES_DIR;
+}
+
+// Test 27: Hacker News and Reddit engagement
+console.log('\n=== DISCUSSION ENGAGEMENT TESTS ===\n');
+
+try {
+  const { default: hackernews } = await import(path.resolve(__dirname, '../src/adapters/hackernews.js'));
+  const { default: reddit } = await import(path.resolve(__dirname, '../src/adapters/reddit.js'));
+  const { clusterEngagement, commentExcerpt } = await import(path.resolve(__dirname, '../src/lib/engagement.js'));
+  const { LENS_DEFINITIONS } = await import(path.resolve(__dirname, '../src/modules/score-dimensions.js'));
+  const { default: dedupArticles } = await import(path.resolve(__dirname, '../src/modules/dedup-articles.js'));
+  const { validateArticle } = await import(path.resolve(__dirname, '../src/lib/article-schema.js'));
+
+  logTest('Comment excerpts are plain text cut at a word boundary',
+    commentExcerpt('<p>Fair point &amp; well made.<p>But the <i>second</i> half is wrong', 40) === 'Fair point & well made. But the second…');
+
+  process.env.HTTP_FIXTURES = 'replay';
+  process.env.HTTP_FIXTURES_DIR = path.resolve(__dirname, 'fixtures/http');
+  const stories = await hackernews.fetch({ name: 'Hacker News: LLMs', query: 'LLM', min_points: 50, min_comments: 20 }, { timeoutMs: 1000 });
+  logTest('HN stories under the thresholds are dropped', stories.length === 2 && stories[0].engagement.points === 612);
+  logTest('HN top comments are ranked by replies and skip deleted ones',
+    stories[0].engagement.top_comments.map(c => `${c.author}:${c.replies}`).join() === 'skeptic42:3,infra_dan:1,quiet:0');
+  logTest('An Ask HN post links to its thread and survives a failed comment fetch',
+    stories[1].link === 'https://news.ycombinator.com/item?id=43309877' && stories[1].engagement.top_comments.length === 0 &&
+    stories[1].content.includes('Curious where others drew the line & why.'));
+
+  const posts = await reddit.fetch({ subreddit: 'MachineLearning', name: 'r/MachineLearning', min_points: 100, min_comments: 20 }, { timeoutMs: 1000 });
+  logTest('Stickied and low-engagement Reddit posts are dropped',
+    posts.map(p => p.reddit_id).join() === '1b2c3d,1b2e4f' && posts[0].link === 'https://arxiv.org/abs/2603.04512');
+  logTest('Reddit top comments skip bots and removed comments',
+    posts[0].engagement.top_comments.map(c => `${c.author}:${c.points}:${c.replies}`).join() === 'gradient_ascent:214:2,rl_practitioner:187:0');
+  logTest('Discussion articles are valid community signals',
+    [...stories, ...posts].every(a => validateArticle(a).length === 0 && a.evidence_type === 'community_signal'));
+
+  const outlet = { source: 'arXiv', title: 'Scaling laws break down for reasoning-heavy RL fine-tuning', link: 'https://arxiv.org/abs/2603.04512', content: 'Abstract', source_weight: 0.9 };
+  const { articles: deduped } = dedupArticles({ articles: [outlet, posts[0]] });
+  logTest('The kept copy inherits the thread\'s engagement in dedup',
+    deduped.length === 1 && deduped[0].source === 'arXiv' && deduped[0].engagement?.points === 412);
+
+  const engagement = clusterEngagement([
+    { engagement: stories[0].engagement }, { engagement: stories[0].engagement }, { engagement: posts[1].engagement }, {},
+  ]);
+  logTest('Cluster engagement counts each thread once',
+    engagement.comments === 284 + 143 && engagement.points === 612 + 188 && engagement.threads.length === 2);
+
+  const cluster = { headline: 'Open-weight model matches frontier LLMs', why_this_matters: 'Cost', sources: ['Hacker News: LLMs'], domains: ['ai'], assertion_indices: [0], engagement };
+  const timing = LENS_DEFINITIONS.signal_timing.prompt(cluster);
+  const disagreement = LENS_DEFINITIONS.disagreement.prompt(cluster);
+  logTest('Signal timing and disagreement prompts include the discussion',
+    timing.includes('Discussion: 427 comments') && disagreement.includes('61% upvoted') && disagreement.includes('skeptic42 (3 replies)') &&
+    !LENS_DEFINITIONS.system_shift.prompt(cluster).includes('Discussion:'));
+  logTest('Prompts are unchanged for clusters without a discussion',
+    !LENS_DEFINITIONS.disagreement.prompt({ ...cluster, engagement: null }).includes('Discussion'));
+} catch (error) {
+  logTest('Discussion engagement execution', false, error.message);
+} finally {
+  delete process.env.HTTP_FIXTURES;
+  delete process.env.HTTP_FIXTURES_DIR;
+}
+
+// Test 28: Bluesky and Mastodon researcher posts
+console.log('\n=== BLUESKY / MASTODON TESTS ===\n');
+
+try {
+  const { default: bluesky } = await import(path.resolve(__dirname, '../src/adapters/bluesky.js'));
+  const { default: mastodon, parseMastodonHandle } = await import(path.resolve(__dirname, '../src/adapters/mastodon.js'));
+  const { parseTimeline } = await import(path.resolve(__dirname, '../src/adapters/twitter.js'));
+  const { researcherHandle, isCrossPost } = await import(path.resolve(__dirname, '../src/lib/social-posts.js'));
+  const { default: dedupArticles } = await import(path.resolve(__dirname, '../src/modules/dedup-articles.js'));
+  const { validateArticle } = await import(path.resolve(__dirname, '../src/lib/article-schema.js'));
+
+  const entry = { name: 'Simon Willison', handle: '@simonw', handles: { bluesky: 'simonwillison.net', mastodon: '@simon@simonwillison.net' } };
+  logTest('Researchers list a handle per platform, with handle as the X account',
+    researcherHandle(entry, 'twitter') === 'simonw' && researcherHandle(entry, 'mastodon') === 'simon@simonwillison.net' &&
+    researcherHandle({ name: 'Only Bluesky', handles: { bluesky: 'x.bsky.social' } }, 'twitter') === null);
+  logTest('Mastodon handles split into account and instance',
+    parseMastodonHandle('@simon@simonwillison.net').instance === 'simonwillison.net');
+
+  process.env.HTTP_FIXTURES = 'replay';
+  process.env.HTTP_FIXTURES_DIR = path.resolve(__dirname, 'fixtures/http');
+  const settings = { name: 'Simon Willison', include_replies: false, include_retweets: false };
+  const skeets = await bluesky.fetch({ ...settings, platform: 'bluesky', handle: 'simonwillison.net' }, { timeoutMs: 1000 });
+  logTest('Bluesky replies and reposts are dropped',
+    skeets.length === 1 && skeets[0].link === 'https://bsky.app/profile/simonwillison.net/post/3lkq2a7xyz22' &&
+    skeets[0].linked_url === 'https://simonwillison.net/2026/Mar/10/llm-tools/');
+
+  const toots = await mastodon.fetch({ ...settings, platform: 'mastodon', handle: 'simon@simonwillison.net' }, { timeoutMs: 1000 });
+  logTest('Mastodon statuses become plain text with their content warning',
+    toots.length === 2 && !toots[0].content.includes('<p>') && toots[1].title.startsWith('CW: long, about prompt injection'));
+
+  const xml = `<?xml version="1.0"?><rss version="2.0"><channel><title>simonw</title><item>
+<title>New release of my LLM command-line tool adds support for tool calling across every plugin that implements it. Release notes: simonwillison.net/2026/Mar/1…</title>
+<link>https://nitter.net/simonw/status/1899000000000000001#m</link><pubDate>Tue, 10 Mar 2026 09:13:00 GMT</pubDate><description>New release…</description>
+</item></channel></rss>`;
+  const tweets = await parseTimeline(xml, { name: 'Simon Willison', handle: 'simonw' });
+  const all = [...tweets, ...skeets, ...toots];
+  logTest('Posts from every platform share the tweet article shape',
+    all.every(a => validateArticle(a).length === 0 && a.category === 'twitter' && a.researcher === 'Simon Willison' && /^@\S+ \(Simon Willison\)$/.test(a.source)));
+
+  logTest('A truncated cross-post still matches; another researcher does not',
+    isCrossPost(tweets[0], toots[0]) && !isCrossPost(tweets[0], { ...skeets[0], researcher: 'Someone Else' }) && !isCrossPost(toots[0], toots[1]));
+
+  const { articles, dedup_summary } = dedupArticles({ articles: all });
+  const kept = articles.find(a => a.cross_posted_to);
+  logTest('Cross-posts collapse to one post without counting as extra coverage',
+    articles.length === 2 && dedup_summary.matched_by.cross_post === 2 && kept.platform === 'mastodon' &&
+    kept.cross_posted_to.map(c => c.platform).sort().join() === 'bluesky,twitter' && kept.also_reported_by.length === 0);
+} catch (error) {
+  logTest('Bluesky / Mastodon execution', false, error.message);
+} finally {
+  delete process.env.HTTP_FIXTURES;
+  delete process.env.HTTP_FIXTURES_DIR;
+}
+
+// Test 29: Podcast episodes
+console.log('\n=== PODCAST EPISODE TESTS ===\n');
+
+try {
+  const { parseFeed } = await import(path.resolve(__dirname, '../src/adapters/rss.js'));
+  const { parseDuration, guestNames, transcriptText, attachEpisodeExtras } = await import(path.resolve(__dirname, '../src/lib/podcast.js'));
+  const { validateArticle } = await import(path.resolve(__dirname, '../src/lib/article-schema.js'));
+
+  logTest('iTunes durations parse in every format',
+    parseDuration('1:42:10') === 6130 && parseDuration('47:20') === 2840 && parseDuration('2840') === 2840 && parseDuration('soon') === null);
+  logTest('Guests are read from the title, leaving out the host',
+    guestNames({ title: 'Why Everything Feels Expensive (with Jason Furman)' }).join() === 'Jason Furman' &&
+    guestNames({ title: 'Ep. 12: Esther Duflo and Abhijit Banerjee — Poor Economics' }).join() === 'Esther Duflo,Abhijit Banerjee' &&
+    guestNames({ title: '#301: Tim Ferriss on fasting' }, '', ['Tim Ferriss']).length === 0);
+  logTest('Headline-style titles without an episode number have no guests',
+    ['Big Tech Earnings: What to Watch', "Why America Can't Build: The Permitting Problem", 'Housing Policy — A Primer', 'Silicon Valley on Trial']
+      .every(title => guestNames({ title }).length === 0));
+  logTest('JSON transcripts keep speakers',
+    transcriptText({ segments: [{ speaker: 'A', body: 'Hi' }, { speaker: 'A', body: 'there.' }, { speaker: 'B', body: 'Hello.' }] }, 'application/json') === 'A: Hi there.\n\nB: Hello.');
+
+  const xml = fs.readFileSync(path.resolve(__dirname, 'fixtures/feeds/podcast-episodes.xml'), 'utf-8');
+  const feed = { name: 'The Long Conversation', category: 'personal' };
+  const { articles } = await parseFeed(xml, feed);
+  const [interview, explainer, post] = articles;
+  logTest('Episodes keep duration, enclosure, guests and chapters',
+    interview.podcast.duration === '1h 42m' && interview.podcast.audio_url === 'https://cdn.example-podcast.fm/audio/712.mp3' &&
+    interview.podcast.guests.join() === 'Jane Goodall' && interview.podcast.chapters.length === 4 &&
+    interview.podcast.chapters[2].start_seconds === 2465 && !interview.podcast.show_notes.includes('[00:03:12]'));
+  logTest('podcast:person guests win over the title', explainer.podcast.guests.join() === 'Jason Furman');
+  logTest('Items without an enclosure stay ordinary articles', !post.podcast && post.content === 'Episode pages now live on the new site.');
+  logTest('Episodes match the article schema', articles.every(a => validateArticle(a).length === 0));
+
+  process.env.HTTP_FIXTURES = 'replay';
+  process.env.HTTP_FIXTURES_DIR = path.resolve(__dirname, 'fixtures/http');
+  await attachEpisodeExtras(interview, { guid: interview.guid }, feed, { budgetMs: 1000 });
+  logTest('A VTT transcript becomes the episode\'s full content',
+    interview.podcast.has_transcript && interview.extraction.method === 'transcript' &&
+    interview.full_content.includes('Jane Goodall: Thank you. It\'s been sixty years since I first went to Gombe, and the chimpanzees'));
+
+  await attachEpisodeExtras(explainer, { guid: explainer.guid }, feed, { budgetMs: 1000 });
+  logTest('A chapters file is used and a missing transcript leaves the show notes',
+    explainer.podcast.chapters.map(c => c.title).join('|') === 'Intro|Prices versus the price level|What would make it feel better' &&
+    !explainer.podcast.has_transcript && !explainer.full_content && explainer.content.includes('why does everything still feel expensive'));
+
+  const { articles: [local] } = await parseFeed(xml, feed);
+  const localFeed = { ...feed, podcast: { transcript_dir: path.resolve(__dirname, 'fixtures/transcripts') } };
+  await attachEpisodeExtras(local, { guid: local.guid }, localFeed, { budgetMs: 1000 });
+  logTest('A local transcript file named after the episode is preferred',
+    local.podcast.transcript_source.endsWith('712.srt') && local.full_content.includes('Jane Goodall: Thank you. Let me start with Gombe. It was 1960'));
+} catch (error) {
+  logTest('Podcast episode execution', false, error.message);
+} finally {
+  delete process.env.HTTP_FIXTURES;
+  delete process.env.HTTP_FIXTURES_DIR;
+}
+
+{
+  const http = await import('http');
+  const hung = [];
+  const server = http.createServer((req, res) => {
+    if (req.url === '/slow.txt') {
+      hung.push(res);
+      return;
+    }
+    res.writeHead(200, { 'content-type': 'text/plain' }).end('Host: Welcome back to the show.');
+  });
+
+  try {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const { fetchEpisodeExtras } = await import(path.resolve(__dirname, '../src/lib/podcast.js'));
+    const episode = (title, transcript) => ({
+      source: 'Slow Show', title, guid: title,
+      podcast: { guests: [], chapters: [], chapters_url: null, transcripts: [{ url: `${base}${transcript}`, type: 'text/plain' }], show_notes: 'Notes', has_transcript: false }
+    });
+    const articles = [episode('Stalls', '/slow.txt'), episode('Answers', '/fast.txt'), { source: 'Blog', title: 'Not an episode' }];
+    const feed = { name: 'Slow Show', podcast: { extras_timeout_ms: 300 } };
+
+    const started = Date.now();
+    const result = await fetchEpisodeExtras(articles, article => (article.source === feed.name ? feed : null));
+    logTest('A slow transcript host costs only that episode its transcript, within the extras budget',
+      Date.now() - started < 2000 && !articles[0].podcast.has_transcript && articles[0].content.includes('Notes') &&
+      articles[1].podcast.has_transcript && result.episodes === 2 && result.transcribed === 1, `${Date.now() - started}ms`);
+  } catch (error) {
+    logTest('Podcast extras execution', false, error.message);
+  } finally {
+    hung.forEach(res => res.destroy());
+    server.close();
+  }
+}
+
+// Test 30: Recording a night and replaying it
+console.log('\n=== RECORD AND REPLAY TESTS ===\n');
+
+{
+  const http = await import('http');
+  const os = await import('os');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+  const rss = (items) => `<?xml version="1.0"?><rss version="2.0"><channel><title>Feed</title>${items.map(i =>
+    `<item><title>${i}</title><link>https://example.com/${i}</link><guid>${i}</guid><pubDate>Tue, 10 Mar 2026 08:00:00 GMT</pubDate></item>`).join('')}</channel></rss>`;
+  const server = http.createServer((req, res) => {
+    if (req.url === '/unchanged.xml' && req.headers['if-none-match'] === '"v1"') {
+      res.writeHead(304).end();
+      return;
+    }
+    res.writeHead(200, { 'content-type': 'application/rss+xml', etag: '"v2"' }).end(rss(['first-post', 'second-post']));
+  });
+
+  try {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const { startingFeedCache } = await import(path.resolve(__dirname, '../src/lib/http-fixtures.js'));
+    const { getAdapter } = await import(path.resolve(__dirname, '../src/adapters/index.js'));
+    const feeds = [
+      { name: 'Seen before', url: `${base}/seen.xml` },
+      { name: 'Unchanged', url: `${base}/unchanged.xml` },
+      { name: 'Checked hourly', url: `${base}/hourly.xml`, check_frequency: 3600 }
+    ];
+    const liveCache = {
+      [feeds[0].url]: { seen_guids: ['first-post'], last_checked: '2026-03-09T08:00:00.000Z' },
+      [feeds[1].url]: { etag: '"v1"', seen_guids: [], last_checked: '2026-03-09T08:00:00.000Z' },
+      [feeds[2].url]: { seen_guids: [], last_checked: new Date(Date.now() - 60 * 1000).toISOString() }
+    };
+    const night = async () => {
+      const feedCache = startingFeedCache(() => structuredClone(liveCache));
+      const results = [];
+      for (const feed of feeds) results.push(await getAdapter('rss').fetch(feed, { feedCache, timeoutMs: 5000 }));
+      return results.map(r => `${r.status}:${r.articles.map(a => a.link).join(',')}`);
+    };
+
+    process.env.HTTP_FIXTURES_DIR = dir;
+    process.env.HTTP_FIXTURES = 'record';
+    const recorded = await night();
+    await new Promise(resolve => server.close(resolve));
+
+    process.env.HTTP_FIXTURES = 'replay';
+    const replayed = await night();
+    logTest('Recording saves the feed cache it started from', fs.existsSync(path.join(dir, 'feed-cache.json')));
+    logTest('The recording sees seen GUIDs, a 304 and a check_frequency skip',
+      recorded.join('|') === `ok:https://example.com/second-post|not_modified:|skipped:`, recorded.join('|'));
+    logTest('A replay returns the same articles as the recording', replayed.join('|') === recorded.join('|'), replayed.join('|'));
+  } catch (error) {
+    logTest('Record and replay execution', false, error.message);
+  } finally {
+    server.close();
+    delete process.env.HTTP_FIXTURES;
+    delete process.env.HTTP_FIXTURES_DIR;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// Test 31: Matching assertions back to their articles
+console.log('\n=== ASSERTION SOURCE TESTS ===\n');
+
+try {
+  const { findSourceArticle } = await import(path.resolve(__dirname, '../src/modules/normalize.js'));
+  const batch = [
+    { source: 'Hacker News', title: 'Show HN: A tiny vector database', link: 'https://example.com/vectors', engagement: { points: 40 } },
+    { source: 'Hacker News', title: 'Anthropic ships Agent SDK', link: 'https://example.com/agent-sdk', engagement: { points: 900 } },
+    { source: 'TechCrunch', title: 'Anthropic ships Agent SDK for autonomous tool use', link: 'https://techcrunch.com/agent-sdk' }
+  ];
+
+  logTest('The article number the model echoes picks the article',
+    findSourceArticle({ article_number: 2, source_name: 'Hacker News', source_article: 'Anthropic Ships the Agent SDK' }, batch) === batch[1]);
+  logTest('Exact URL and title still match without a number',
+    findSourceArticle({ source_url: 'https://example.com/agent-sdk' }, batch) === batch[1] &&
+    findSourceArticle({ source_article: 'Show HN: A tiny vector database' }, batch) === batch[0]);
+  logTest('A source name shared by several articles matches nothing rather than the first',
+    findSourceArticle({ source_name: 'Hacker News', source_article: 'Anthropic Ships the Agent SDK' }, batch) === undefined &&
+    findSourceArticle({ source_name: 'TechCrunch', source_article: 'Agent SDK launch' }, batch) === batch[2]);
+} catch (error) {
+  logTest('Assertion source execution', false, error.message);
+}
+
+// Test 32: The feed cache is kept until the paper is saved
+console.log('\n=== FEED CACHE COMMIT TESTS ===\n');
+
+{
+  const http = await import('http');
+  const server = http.createServer((req, res) => {
+    const etag = '"v1"';
+    if (req.headers['if-none-match'] === etag) {
+      res.writeHead(304).end();
+      return;
+    }
+    res.writeHead(200, { 'content-type': 'application/rss+xml', etag }).end(`<?xml version="1.0"?><rss version="2.0"><channel><title>Feed</title>${
+      ['first-post', 'second-post'].map(i => `<item><title>${i}</title><link>https://example.com/${i}</link><guid>${i}</guid></item>`).join('')}</channel></rss>`);
+  });
+
+  try {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { openFeedCache } = await import(path.resolve(__dirname, '../src/modules/fetch-sources.js'));
+    const { getAdapter } = await import(path.resolve(__dirname, '../src/adapters/index.js'));
+    const feed = { name: 'Nightly feed', url: `http://127.0.0.1:${server.address().port}/feed.xml` };
+
+    let stored = {};
+    const store = { load: () => structuredClone(stored), save: cache => { stored = structuredClone(cache); } };
+    const night = async ({ failAfterFetch }) => {
+      const { cache, commit } = openFeedCache(store);
+      const { articles, status } = await getAdapter('rss').fetch(feed, { feedCache: cache, timeoutMs: 5000 });
+      try {
+        if (failAfterFetch) throw new Error('normalize: model unavailable');
+        commit();
+      } catch (_) { /* the runner logs and moves on without saving the paper */ }
+      return `${status}:${articles.map(a => a.link).join(',')}`;
+    };
+
+    const failed = await night({ failAfterFetch: true });
+    logTest('A run that fails after fetch leaves the feed cache untouched', Object.keys(stored).length === 0);
+    const retried = await night({ failAfterFetch: false });
+    logTest('The next run gets the same items again', retried === failed && failed.startsWith('ok:') && failed.includes('second-post'), retried);
+    const after = await night({ failAfterFetch: false });
+    logTest('Once the paper is saved, the items count as seen', after === 'not_modified:', after);
+  } catch (error) {
+    logTest('Feed cache commit execution', false, error.message);
+  } finally {
+    server.close();
+  }
+}
+
 // Print summary
 console.log('\n=== TEST SUMMARY ===\n');
 console.log(`Passed: ${passCount}`);